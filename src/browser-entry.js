@@ -20,8 +20,14 @@ import { Logger } from './core/Logger.js';
 import { Utils } from './core/Utils.js';
 import { AjaxService } from './core/AjaxService.js';
 import { TemplateManager } from './core/TemplateManager.js';
+import { TemplateStorage } from './core/TemplateStorage.js';
 import { Router } from './core/Router.js';
 import { BlapyBlock } from './core/BlapyBlock.js';
+import { DomMorph } from './core/DomMorph.js';
+import { ResponseCache } from './core/ResponseCache.js';
+import { defaultUpdateStrategies } from './core/UpdateStrategies.js';
+import { BlapyRequestError } from './core/BlapyRequestError.js';
+import { Sanitizer, defaultSanitizerProfiles } from './core/Sanitizer.js';
 
 import * as BlapyCompat from './modules/Compatibility.js';
 
@@ -32,6 +38,13 @@ window.Blapy2 = {
   Utils,
   AjaxService,
   TemplateManager,
+  TemplateStorage,
   Router,
   BlapyBlock,
+  DomMorph,
+  ResponseCache,
+  defaultUpdateStrategies,
+  BlapyRequestError,
+  Sanitizer,
+  defaultSanitizerProfiles,
 };
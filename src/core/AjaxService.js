@@ -7,7 +7,8 @@
  *
  * -----------------------------------------------------------------------------------------
  * @copyright Intersel 2015-2025
- * @fileoverview : AJAX service for Blapy using XMLHttpRequest for compatibility with older browsers.
+ * @fileoverview : AJAX service for Blapy using XMLHttpRequest for compatibility with older browsers,
+ *                 or fetch (with AbortController support) when configured.
  * @see {@link https://github.com/intersel/blapy2}
  * @author : Corentin NELHOMME - corentin.nelhomme@intersel.fr
  * @version : 1.0.0
@@ -17,8 +18,36 @@
 
 export class AjaxService {
 
-  constructor(logger) {
+  /**
+   * Creates the AJAX service.
+   *
+   * @param {Logger} logger - The logging service instance.
+   * @param {Object} [options={}] - Service options.
+   * @param {string} [options.transport='xhr'] - Transport used to send the requests: 'xhr' or 'fetch'.
+   */
+  constructor(logger, options = {}) {
     this.logger = logger
+    this.options = {
+      transport: 'xhr',
+      ...options,
+    }
+    this.interceptors = []
+  }
+
+  /**
+   * Default values of a retry policy (cf. `options.retry` of `request`).
+   *
+   * @static
+   * @type {Object}
+   */
+  static RETRY_DEFAULTS = {
+    maxAttempts: 3,
+    delay: 500,
+    factor: 2,
+    maxDelay: 10000,
+    jitter: 0.2,
+    retryOn: [408, 429, 500, 502, 503, 504],
+    methods: ['GET', 'HEAD', 'OPTIONS'],
   }
 
   /**
@@ -32,6 +61,21 @@ export class AjaxService {
    * @param {Object|FormData|string} [options.body] - Request body.
    * @param {Object} [options.headers] - Custom headers.
    * @param {Object} [options.params] - URL parameters (for GET requests).
+   * @param {number} [options.timeout=30000] - Timeout in milliseconds.
+   * @param {AbortSignal} [options.signal] - Signal aborting the request; the promise then rejects with an `AbortError`.
+   * @param {Object|null} [options.retry] - Retry policy on network errors, timeouts and retryable HTTP statuses.
+   * @param {number} [options.retry.maxAttempts=3] - Maximum number of attempts, the first one included.
+   * @param {number} [options.retry.delay=500] - Delay before the first retry (ms).
+   * @param {number} [options.retry.factor=2] - Exponential backoff factor applied to the delay on each retry.
+   * @param {number} [options.retry.maxDelay=10000] - Maximum delay between two attempts (ms).
+   * @param {number} [options.retry.jitter=0.2] - Random variation of the delay (0.2: +/- 20%).
+   * @param {Array<number>} [options.retry.retryOn] - HTTP statuses that are retried (default: 408, 429, 500, 502, 503, 504).
+   * @param {Array<string>} [options.retry.methods] - HTTP methods that are retried (default: the idempotent GET, HEAD and OPTIONS,
+   *        a POST may only be sent again if it is given).
+   * @param {Function} [options.retry.onRetry] - Called with `{ attempt, maxAttempts, delay, error }` when a retry is scheduled.
+   * @param {Function} [options.retry.onExhausted] - Called with `{ attempts, error }` when the last attempt failed.
+   * @param {Function} [options.onResponse] - Called with the response context (`data`, `status`, `statusText`, `getHeader`)
+   *        once the response interceptors ran, to read the HTTP details of this request.
    * @returns {Promise<Object|string>} The response data as a string or parsed object.
    *
    * @example
@@ -49,24 +93,210 @@ export class AjaxService {
       throw new Error('URL is required')
     }
 
-    const {
-      method = 'GET',
-      body = null,
-      headers = {},
-      params = null,
-      timeout = 30000,
-    } = options
+    let ctx = {
+      url,
+      method: (options.method || 'GET').toUpperCase(),
+      headers: { ...(options.headers || {}) },
+      params: options.params ?? null,
+      body: options.body ?? null,
+      timeout: options.timeout ?? 30000,
+      signal: options.signal ?? null,
+      retry: options.retry ?? null,
+      options,
+    }
+
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor.request === 'function') {
+        ctx = (await interceptor.request(ctx)) || ctx
+      }
+    }
+
+    let finalUrl = ctx.url
+    if (ctx.method === 'GET' && ctx.params) {
+      const urlParams = new URLSearchParams(ctx.params)
+      finalUrl += (finalUrl.includes('?') ? '&' : '?') + urlParams.toString()
+    }
+
+    if (ctx.signal?.aborted) {
+      this.logger?.info(`AJAX Aborted: ${ctx.method} ${finalUrl}`, 'ajaxService')
+      throw this._createAbortError()
+    }
+
+    const retry = ctx.retry ? { ...AjaxService.RETRY_DEFAULTS, ...ctx.retry } : null
+
+    let response
+    for (let attempt = 1; !response; attempt++) {
+      try {
+        response = (this.options.transport === 'fetch' && typeof fetch === 'function')
+          ? await this._fetchRequest(finalUrl, ctx)
+          : await this._xhrRequest(finalUrl, ctx)
+      } catch (error) {
+        if (!retry || !this._isRetryable(error, retry, ctx.method)) {
+          return this._handleError(ctx, error)
+        }
+
+        if (attempt >= retry.maxAttempts) {
+          this.logger?.warn(`AJAX retries exhausted after ${attempt} attempts: ${ctx.method} ${finalUrl}`, 'ajaxService')
+          retry.onExhausted?.({ attempts: attempt, error })
+          return this._handleError(ctx, error)
+        }
+
+        const delay = this._getRetryDelay(retry, attempt)
+        this.logger?.info(`AJAX retry ${attempt + 1}/${retry.maxAttempts} in ${delay}ms: ${ctx.method} ${finalUrl}`, 'ajaxService')
+        retry.onRetry?.({ attempt: attempt + 1, maxAttempts: retry.maxAttempts, delay, error })
+
+        await this._wait(delay, ctx.signal)
+      }
+    }
+
+    let responseCtx = { request: ctx, ...response }
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor.response === 'function') {
+        responseCtx = (await interceptor.response(responseCtx)) || responseCtx
+      }
+    }
+
+    options.onResponse?.(responseCtx)
+
+    return responseCtx.data
+  }
+
+  /**
+   * Registers an interceptor (middleware) called on every request sent by the service.
+   *
+   * Each hook receives a context object it may modify in place, or replace by returning a new one.
+   * Interceptors are called in their registration order.
+   *
+   * - `request(ctx)`: called before sending; `ctx.url`, `ctx.method`, `ctx.headers`, `ctx.params` and `ctx.body` can be rewritten.
+   * - `response(ctx)`: called on success; `ctx.data` is the value the request resolves with.
+   *   `ctx.status` and `ctx.getHeader(name)` give the HTTP details, `ctx.request` the request context.
+   * - `error(ctx)`: called on failure (not on aborted requests); `ctx.error` is the error to throw,
+   *   unless `ctx.data` is set, the request then resolves with it.
+   *
+   * Hooks may be async.
+   *
+   * @param {Object} interceptor - The interceptor.
+   * @param {Function} [interceptor.request] - Request hook.
+   * @param {Function} [interceptor.response] - Response hook.
+   * @param {Function} [interceptor.error] - Error hook.
+   * @returns {Function} A function removing the interceptor.
+   *
+   * @example
+   * blapy.ajaxService.use({
+   *   request(ctx) {
+   *     ctx.headers['X-CSRF-Token'] = document.querySelector('meta[name=csrf-token]').content
+   *   },
+   *   error(ctx) {
+   *     if (ctx.status === 401) window.location.href = '/login'
+   *   },
+   * })
+   */
+  use(interceptor) {
+    this.interceptors.push(interceptor)
+    return () => {
+      const index = this.interceptors.indexOf(interceptor)
+      if (index > -1) this.interceptors.splice(index, 1)
+    }
+  }
+
+  /**
+   * Tells if a failed request may be sent again.
+   *
+   * Only the methods in `retry.methods` are retried (a non idempotent request could be applied twice).
+   * Aborted requests are never retried, HTTP errors only if their status is in `retry.retryOn`,
+   * network errors and timeouts always.
+   *
+   * @private
+   * @param {Error} error - The transport error.
+   * @param {Object} retry - The retry policy.
+   * @param {string} method - The HTTP method of the request.
+   * @returns {boolean} `true` if the request can be retried.
+   */
+  _isRetryable(error, retry, method) {
+    if (!retry.methods.some((retryMethod) => retryMethod.toUpperCase() === method)) return false
+    if (error.name === 'AbortError') return false
+    if (error.status) return retry.retryOn.includes(error.status)
+    return true
+  }
 
+  /**
+   * Computes the delay before the next attempt (exponential backoff with jitter).
+   *
+   * @private
+   * @param {Object} retry - The retry policy.
+   * @param {number} attempt - The number of the attempt that just failed.
+   * @returns {number} The delay in milliseconds.
+   */
+  _getRetryDelay(retry, attempt) {
+    const delay = Math.min(retry.maxDelay, retry.delay * Math.pow(retry.factor, attempt - 1))
+    const jitter = delay * retry.jitter * (Math.random() * 2 - 1)
+    return Math.max(0, Math.round(delay + jitter))
+  }
+
+  /**
+   * Waits before the next attempt, unless the request is aborted meanwhile.
+   *
+   * @private
+   * @param {number} delay - The delay in milliseconds.
+   * @param {AbortSignal|null} signal - The request signal.
+   * @returns {Promise<void>} Resolves after the delay, rejects with an `AbortError` if aborted.
+   */
+  _wait(delay, signal) {
     return new Promise((resolve, reject) => {
-      const xhr = new XMLHttpRequest()
+      if (signal?.aborted) {
+        reject(this._createAbortError())
+        return
+      }
+      const onAbort = () => {
+        clearTimeout(timer)
+        reject(this._createAbortError())
+      }
+      const timer = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort)
+        resolve()
+      }, delay)
+      signal?.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+
+  /**
+   * Runs the error interceptors on a failed request.
+   *
+   * @private
+   * @param {Object} ctx - The request context.
+   * @param {Error} error - The transport error.
+   * @returns {Promise<Object|string>} The data an interceptor recovered the request with.
+   * @throws {Error} The (possibly replaced) error if no interceptor recovered the request.
+   */
+  async _handleError(ctx, error) {
+    if (error.name === 'AbortError') throw error
 
-      let finalUrl = url
-      if (method.toUpperCase() === 'GET' && params) {
-        const urlParams = new URLSearchParams(params)
-        finalUrl += (url.includes('?') ? '&' : '?') + urlParams.toString()
+    let errorCtx = { request: ctx, error, status: error.status, data: undefined }
+    for (const interceptor of this.interceptors) {
+      if (typeof interceptor.error === 'function') {
+        errorCtx = (await interceptor.error(errorCtx)) || errorCtx
       }
+    }
+
+    if (errorCtx.data !== undefined) {
+      return errorCtx.data
+    }
+    throw errorCtx.error
+  }
+
+  /**
+   * Performs the request with XMLHttpRequest.
+   *
+   * @private
+   * @param {string} finalUrl - The request URL, GET parameters included.
+   * @param {Object} ctx - The request context.
+   * @returns {Promise<Object>} The response (`data`, `status`, `statusText`, `getHeader`).
+   */
+  _xhrRequest(finalUrl, { method, body, headers, timeout, signal }) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest()
 
-      xhr.open(method.toUpperCase(), finalUrl, true)
+      xhr.open(method, finalUrl, true)
 
       xhr.setRequestHeader('X-Requested-With', 'XMLHttpRequest')
 
@@ -78,36 +308,14 @@ export class AjaxService {
 
       xhr.onload = () => {
         if (xhr.status >= 200 && xhr.status < 300) {
-          try {
-            if (xhr.getResponseHeader('content-type')?.includes('application/json')) {
-              const jsonData = JSON.parse(xhr.responseText)
-              this.logger?.info(`AJAX Success (JSON): ${method} ${finalUrl}`, {
-                status: xhr.status,
-                dataKeys: Object.keys(jsonData),
-              })
-              resolve(jsonData)
-            } else {
-              this.logger?.info(`AJAX Success (Text): ${method} ${finalUrl}`, {
-                status: xhr.status,
-                responseLength: xhr.responseText.length,
-              })
-              resolve(xhr.responseText)
-            }
-          } catch (parseError) {
-            this.logger?.info(`AJAX Success (Raw): ${method} ${finalUrl}`, {
-              status: xhr.status,
-              parseError: parseError.message,
-            })
-            resolve(xhr.responseText)
-          }
-        } else {
-          const error = new Error(`HTTP ${xhr.status}: ${xhr.statusText}`)
-          this.logger?.error(`AJAX Error: ${method} ${finalUrl}`, {
+          resolve({
+            data: this._parseResponse(method, finalUrl, xhr.status, xhr.responseText, xhr.getResponseHeader('content-type')),
             status: xhr.status,
             statusText: xhr.statusText,
-            response: xhr.responseText,
+            getHeader: (name) => xhr.getResponseHeader(name),
           })
-          reject(error)
+        } else {
+          reject(this._createHttpError(method, finalUrl, xhr.status, xhr.statusText, xhr.responseText))
         }
       }
 
@@ -123,45 +331,230 @@ export class AjaxService {
         reject(error)
       }
 
+      if (signal) {
+        const onAbort = () => xhr.abort()
+        signal.addEventListener('abort', onAbort, { once: true })
+
+        xhr.onabort = () => {
+          this.logger?.info(`AJAX Aborted: ${method} ${finalUrl}`, 'ajaxService')
+          reject(this._createAbortError())
+        }
+        xhr.onloadend = () => signal.removeEventListener('abort', onAbort)
+      }
+
       // Prepare and send the request body
-      if (method.toUpperCase() === 'GET' || !body) {
+      if (method === 'GET' || !body) {
         xhr.send()
       } else {
-        this._sendWithBody(xhr, body)
+        this._sendWithBody(xhr, body, headers)
       }
     })
   }
 
   /**
-   * Sends the request with a body, depending on the data type.
+   * Performs the request with fetch.
    *
-   * - If the body is a FormData instance, it sends it directly.
-   * - If the body is a string, it sets the content type to `application/x-www-form-urlencoded` and sends it.
-   * - If the body is an object, it converts it to a URL-encoded string and sends it.
-   * - If the body is empty, it simply sends the request without content.
+   * The timeout and the caller's signal are both wired to a single AbortController,
+   * so that a superseded request is really cancelled on the network side.
    *
    * @private
-   * @param {XMLHttpRequest} xhr - The XMLHttpRequest instance.
-   * @param {FormData|string|Object|null} body - The request body.
+   * @param {string} finalUrl - The request URL, GET parameters included.
+   * @param {Object} ctx - The request context.
+   * @returns {Promise<Object>} The response (`data`, `status`, `statusText`, `getHeader`).
    */
-  _sendWithBody(xhr, body) {
-    if (body instanceof FormData) {
-      xhr.send(body)
-    } else if (typeof body === 'string') {
-      xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded')
-      xhr.send(body)
-    } else if (body && typeof body === 'object') {
+  async _fetchRequest(finalUrl, { method, body, headers, timeout, signal }) {
+    const controller = new AbortController()
+    const onAbort = () => controller.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+
+    let timedOut = false
+    const timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, timeout)
+
+    const fetchHeaders = {
+      'X-Requested-With': 'XMLHttpRequest',
+      ...headers,
+    }
+
+    let fetchBody
+    if (method !== 'GET' && body) {
+      fetchBody = this._serializeBody(body)
+      if (typeof fetchBody === 'string' && !this._hasHeader(headers, 'Content-Type')) {
+        fetchHeaders['Content-Type'] = 'application/x-www-form-urlencoded'
+      }
+    }
+
+    let response
+    let responseText
+    try {
+      response = await fetch(finalUrl, {
+        method,
+        headers: fetchHeaders,
+        body: fetchBody,
+        signal: controller.signal,
+      })
+      responseText = await response.text()
+    } catch {
+      if (timedOut) {
+        this.logger?.error(`AJAX Timeout: ${method} ${finalUrl}`)
+        throw new Error(`Request timeout after ${timeout}ms`)
+      }
+      if (signal?.aborted) {
+        this.logger?.info(`AJAX Aborted: ${method} ${finalUrl}`, 'ajaxService')
+        throw this._createAbortError()
+      }
+      this.logger?.error(`AJAX Network Error: ${method} ${finalUrl}`)
+      throw new Error('Network error occurred')
+    } finally {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', onAbort)
+    }
+
+    if (!response.ok) {
+      throw this._createHttpError(method, finalUrl, response.status, response.statusText, responseText)
+    }
+
+    return {
+      data: this._parseResponse(method, finalUrl, response.status, responseText, response.headers.get('content-type')),
+      status: response.status,
+      statusText: response.statusText,
+      getHeader: (name) => response.headers.get(name),
+    }
+  }
+
+  /**
+   * Parses a successful response: JSON if the content type says so, raw text otherwise.
+   *
+   * @private
+   * @param {string} method - HTTP method.
+   * @param {string} finalUrl - The request URL.
+   * @param {number} status - HTTP status.
+   * @param {string} responseText - The response body.
+   * @param {string|null} contentType - The response content type.
+   * @returns {Object|string} The parsed object or the raw text.
+   */
+  _parseResponse(method, finalUrl, status, responseText, contentType) {
+    try {
+      if (contentType?.includes('application/json')) {
+        const jsonData = JSON.parse(responseText)
+        this.logger?.info(`AJAX Success (JSON): ${method} ${finalUrl}`, {
+          status,
+          dataKeys: Object.keys(jsonData),
+        })
+        return jsonData
+      }
+      this.logger?.info(`AJAX Success (Text): ${method} ${finalUrl}`, {
+        status,
+        responseLength: responseText.length,
+      })
+      return responseText
+    } catch (parseError) {
+      this.logger?.info(`AJAX Success (Raw): ${method} ${finalUrl}`, {
+        status,
+        parseError: parseError.message,
+      })
+      return responseText
+    }
+  }
+
+  /**
+   * Creates (and logs) the error of a response with a non 2xx status.
+   *
+   * @private
+   * @param {string} method - HTTP method.
+   * @param {string} finalUrl - The request URL.
+   * @param {number} status - HTTP status.
+   * @param {string} statusText - HTTP status text.
+   * @param {string} responseText - The response body.
+   * @returns {Error} The error, carrying `status`, `statusText` and `responseText`.
+   */
+  _createHttpError(method, finalUrl, status, statusText, responseText) {
+    this.logger?.error(`AJAX Error: ${method} ${finalUrl}`, {
+      status,
+      statusText,
+      response: responseText,
+    })
+
+    const error = new Error(`HTTP ${status}: ${statusText}`)
+    error.status = status
+    error.statusText = statusText
+    error.responseText = responseText
+    return error
+  }
+
+  /**
+   * Creates the error used to reject an aborted request.
+   *
+   * @private
+   * @returns {Error} An error named `AbortError`.
+   */
+  _createAbortError() {
+    const error = new Error('Request aborted')
+    error.name = 'AbortError'
+    return error
+  }
+
+  /**
+   * Serializes a request body the same way for every transport.
+   *
+   * - FormData instances and strings are sent as is.
+   * - Objects are converted to a URL-encoded string (null and undefined values are skipped).
+   *
+   * @private
+   * @param {FormData|string|Object} body - The request body.
+   * @returns {FormData|string|undefined} The body to send.
+   */
+  _serializeBody(body) {
+    if (body instanceof FormData || typeof body === 'string') {
+      return body
+    }
+    if (body && typeof body === 'object') {
       const formData = new URLSearchParams()
       Object.entries(body).forEach(([key, value]) => {
         if (value !== null && value !== undefined) {
           formData.append(key, value.toString())
         }
       })
+      return formData.toString()
+    }
+    return undefined
+  }
+
+  /**
+   * Sends the request with a body, depending on the data type.
+   *
+   * - If the body is a FormData instance, it sends it directly.
+   * - If the body is a string, it sets the content type to `application/x-www-form-urlencoded`
+   *   (unless the caller gave one) and sends it.
+   * - If the body is an object, it converts it to a URL-encoded string and sends it.
+   * - If the body is empty, it simply sends the request without content.
+   *
+   * @private
+   * @param {XMLHttpRequest} xhr - The XMLHttpRequest instance.
+   * @param {FormData|string|Object|null} body - The request body.
+   * @param {Object} [headers={}] - The headers given by the caller.
+   */
+  _sendWithBody(xhr, body, headers = {}) {
+    const serializedBody = this._serializeBody(body)
+
+    if (typeof serializedBody === 'string' && !this._hasHeader(headers, 'Content-Type')) {
       xhr.setRequestHeader('Content-Type', 'application/x-www-form-urlencoded')
-      xhr.send(formData.toString())
-    } else {
-      xhr.send()
     }
+    xhr.send(serializedBody)
+  }
+
+  /**
+   * Tells if a header is given, whatever the case of its name.
+   *
+   * @private
+   * @param {Object} headers - The headers.
+   * @param {string} name - The header name.
+   * @returns {boolean} `true` if the header is given.
+   */
+  _hasHeader(headers, name) {
+    return Object.keys(headers).some((key) => key.toLowerCase() === name.toLowerCase())
   }
 
   /**
@@ -40,6 +40,14 @@ import { TemplateManager } from './TemplateManager.js'
 import { Router } from './Router.js'
 import { BlapyBlock } from './BlapyBlock.js'
 import { AjaxService } from './AjaxService.js'
+import { DomMorph } from './DomMorph.js'
+import { ResponseCache } from './ResponseCache.js'
+import { defaultUpdateStrategies } from './UpdateStrategies.js'
+import { BlapyRequestError } from './BlapyRequestError.js'
+import { Sanitizer } from './Sanitizer.js'
+
+// update strategies of the Blapy blocks (data-blapy-update), shared by all the Blapy instances
+const updateStrategies = new Map(Object.entries(defaultUpdateStrategies))
 
 
 /**
@@ -81,8 +89,30 @@ export class Blapy {
    *
    * @param {boolean} [options.enableRouter=false] - Enables routing support.
    * @param {string} [options.routerRoot='/'] - The root path for the router.
-   * @param {boolean} [options.routerHash=true] - Enables hash-based navigation for the router.
+   * @param {boolean} [options.routerHash=false] - Enables hash-based navigation for the router: the application URLs are kept in the hash (`#!/path?query`).
+   * @param {Array<Object>} [options.routes=[]] - Route table mapping path patterns ("/users/:id") to the URL to fetch, the embedding block and the template (see "Routes" in the readme).
+   * @param {boolean} [options.historyRevalidate=false] - When going back/forward, sends again the GET request of the history entry after having restored its block snapshot.
+   *
+   * @param {string} [options.ajaxTransport='xhr'] - Transport used for the AJAX calls: 'xhr' or 'fetch'.
+   * @param {Array<Object>} [options.interceptors=[]] - AJAX interceptors registered with `ajaxService.use()` (cf. AjaxService).
+   * @param {Object|null} [options.retry=null] - Retry policy of the failed loads (cf. `options.retry` of AjaxService.request), overridable per link or block with `data-blapy-retry`.
+   * @param {string|Object|null} [options.cache=null] - Default cache policy of the Blapy requests (eg. "max-age=60, stale-while-revalidate=300"), overridable per link or block with `data-blapy-cache`.
+   * @param {string|Storage} [options.cacheStorage='memory'] - Where the cached responses are kept: 'memory', 'session', 'local', 'indexeddb' or a Web Storage object.
+   * @param {string} [options.requestPolicy='replace'] - What to do when a request is sent for a target (link, form, block) that already has one in flight: 'replace', 'queue' or 'drop'.
+   * @param {string|null} [options.defaultUpdate=null] - Update mode used by blocks that do not set `data-blapy-update` (e.g. 'morph').
    *
+   * @param {boolean} [options.updateHead=true] - Updates the document title and the `data-blapy-head` meta/link tags from the loaded pages.
+   * @param {boolean} [options.applyErrorResponse=false] - Applies the body of an error response on the page when it contains Blapy blocks.
+   * @param {boolean} [options.strictProcessors=false] - Only uses the registered processors (cf. `Blapy.registerProcessor()`) for `data-blapy-template-init-processdata`.
+   * @param {Object|null} [options.csp=null] - CSP-safe mode: the scripts of the rendered json blocks only run in the blocks
+   *        with `data-blapy-scripts="true"`, and the HTML is parsed without jQuery.
+   * @param {string} [options.csp.nonce] - The nonce set on the scripts run by Blapy.
+   * @param {Object|string} [options.csp.trustedTypesPolicy] - The Trusted Types policy (or the name of the policy to create)
+   *        through which all the HTML given to the DOM goes.
+   * @param {string|Storage|null} [options.templateStorage=null] - Where the template files (data-blapy-template-file) are kept
+   *        between page loads: null (memory only), 'local', 'session', 'indexeddb' or a Web Storage object.
+   * @param {string} [options.loadingClass='blapy-loading'] - Class set, with `aria-busy`, on the link/form and the blocks of a request in flight.
+   * @param {Function|null} [options.beforeNavigate=null] - Guard called before a navigation with its descriptor ({aUrl, params, method, source, history}); returning false (or a Promise resolving to false) cancels it.
    * @param {Function|null} [options.pageLoadedFunction=null] - Callback executed when a page is loaded.
    * @param {Function|null} [options.pageReadyFunction=null] - Callback executed when a page is ready.
    * @param {Function|null} [options.beforePageLoad=null] - Callback executed before loading a page.
@@ -136,6 +166,22 @@ export class Blapy {
       enableRouter: false,
       routerRoot: '/',
       routerHash: false,
+      historyRevalidate: false,
+      routes: [],
+      defaultUpdate: null,
+      ajaxTransport: 'xhr',
+      interceptors: [],
+      requestPolicy: 'replace',
+      retry: null,
+      cache: null,
+      cacheStorage: 'memory',
+      updateHead: true,
+      applyErrorResponse: false,
+      strictProcessors: false,
+      csp: null,
+      templateStorage: null,
+      loadingClass: 'blapy-loading',
+      beforeNavigate: null,
       pageLoadedFunction: null,
       pageReadyFunction: null,
       beforePageLoad: null,
@@ -167,9 +213,20 @@ export class Blapy {
 
     //We instancied all services
     this.utils = new Utils()
+    if (this.opts.csp?.trustedTypesPolicy) {
+      this.utils.setTrustedTypesPolicy(this.opts.csp.trustedTypesPolicy)
+    }
     this.logger = new Logger(this.opts)
-    this.ajaxService = new AjaxService(this.logger)
-    this.templateManager = new TemplateManager(this.logger, this.ajaxService, this.utils)
+    this.ajaxService = new AjaxService(this.logger, { transport: this.opts.ajaxTransport })
+    this.opts.interceptors.forEach((interceptor) => this.ajaxService.use(interceptor))
+    this.domMorph = new DomMorph(this.logger)
+    this.sanitizer = new Sanitizer(this.logger, this.utils)
+    this.responseCache = new ResponseCache(this.logger, { storage: this.opts.cacheStorage })
+    this.templateManager = new TemplateManager(this.logger, this.ajaxService, this.utils, {
+      strictProcessors: this.opts.strictProcessors,
+      csp: this.opts.csp,
+      templateStorage: this.opts.templateStorage,
+    })
     this.router = new Router(this.logger, this, {
       enableRouter: this.opts.enableRouter,
       root: this.opts.routerRoot,
@@ -177,6 +234,8 @@ export class Blapy {
       strategy: 'ONE',
       noMatchWarning: false,
       linksSelector: '[data-blapy-link]',
+      historyRevalidate: this.opts.historyRevalidate,
+      routes: this.opts.routes,
     })
     this.blapyBlocks = new BlapyBlock(this.logger, this.templateManager, this.ajaxService)
 
@@ -185,6 +244,41 @@ export class Blapy {
 
     this.myFSM = null
 
+    // In-flight requests by target key (cf. data-blapy-request-policy)
+    this.pendingRequests = new Map()
+
+    // Background revalidations of the cached responses: their AbortController by cache key (cf. data-blapy-cache)
+    this.revalidatingRequests = new Map()
+
+    // Promises of the public API waiting for their request, by request id (cf. load(), post()...)
+    this.requestPromises = new Map()
+    this.lastRequestId = 0
+
+    // Handlers subscribed with on(), by event name (cf. 'block:<name>')
+    this.subscriptions = new Map()
+
+    // Requests in flight showing their loading state, by element and by block name (cf. _startLoading())
+    this.loadingElements = new WeakMap()
+    this.loadingBlocks = new Map()
+
+    // Aborted by destroy() to remove all the listeners of the instance
+    this.listeners = new AbortController()
+    this.isDestroyed = false
+
+    // Observer of the blocks updated on display (cf. data-blapy-updateblock-ondisplay)
+    this.displayObserver = null
+
+    // jQuery handlers bound on the document by the iFSM, removed by destroy()
+    this.fsmHandlers = []
+
+    // Warns before leaving the page while a guarded form is dirty (cf. data-blapy-guard-dirty)
+    this.beforeUnloadHandler = (event) => {
+      if (this._getDirtyGuardedForms().length === 0) return
+      event.preventDefault()
+      event.returnValue = ''
+    }
+    window.addEventListener('beforeunload', this.beforeUnloadHandler, { signal: this.listeners.signal })
+
     //For IFSM
     this.opts.theBlapy = this
 
@@ -259,8 +353,16 @@ export class Blapy {
         PreparePage_setBlapyUpdateOnDisplay: {
           blapyJsonTemplatesIsSet: {
             init_function: function () {
-              this.opts.theBlapy.setBlapyUpdateOnDisplay()
+              const theBlapy = this.opts.theBlapy
+              theBlapy.setBlapyUpdateOnDisplay()
+
+              // the requests wait for the responses stored in IndexedDB (cf. ResponseCache.ready)
+              theBlapy.responseCache.ready.then(() => {
+                if (!theBlapy.isDestroyed) this.trigger('responseCacheReady')
+              })
             },
+          },
+          responseCacheReady: {
             next_state: 'PageReady',
           },
 
@@ -273,6 +375,7 @@ export class Blapy {
               delay: 50,
               preventcancel: true,
             },
+            process_event_if: '!this.opts.theBlapy.isDestroyed',
             propagate_event: true,
           },
         }, //setBlapyJsonTemplates state
@@ -289,13 +392,41 @@ export class Blapy {
               this.trigger('postData', data)
             },
           },
+          // A request that waited for the page to be ready (cf. ProcessPageChange)
+          requestWaiting: {
+            init_function: function (p, e, waitingRequest) {
+              this.trigger(waitingRequest.eventName, waitingRequest.data)
+            },
+          },
 
           postData: {
             init_function: function (p, e, data) {
+              const theBlapy = this.opts.theBlapy
+
+              // Navigation guards: a pending (async) guard sends the event again once it allows the navigation
+              const navigationAllowed = theBlapy._checkNavigation(data)
+              if (navigationAllowed !== true) {
+                if (navigationAllowed instanceof Promise) {
+                  navigationAllowed.then((allowed) => {
+                    if (allowed) {
+                      theBlapy.myFSM.trigger('postData', { ...data, navigationAllowed: true })
+                    } else {
+                      theBlapy._rejectRequest(data.requestId, new BlapyRequestError(`Navigation cancelled: ${data.aUrl}`, { code: 'cancelled', url: data.aUrl }))
+                    }
+                  })
+                } else {
+                  theBlapy._rejectRequest(data.requestId, new BlapyRequestError(`Navigation cancelled: ${data.aUrl}`, { code: 'cancelled', url: data.aUrl }))
+                }
+                return false
+              }
+              data.navigationAllowed = true
+
               if (this.opts.beforePageLoad) this.opts.beforePageLoad(data)
               this.opts.theBlapy.trigger('Blapy_beforePageLoad', data)
             },
             out_function: function (p, e, data) {
+              // the navigation has been cancelled by a guard
+              if (!data.navigationAllowed) return
 
               let aURL = data.aUrl
               let aObjectId = data.aObjectId ? data.aObjectId : e.currentTarget.id
@@ -349,14 +480,78 @@ export class Blapy {
                 requestOptions.body = params
               }
 
-              this.opts.theBlapy.ajaxService.request(aURL, requestOptions)
+              const theBlapy = this.opts.theBlapy
+
+              if (data.source?.matches?.('form[data-blapy-guard-dirty]')) {
+                theBlapy._resetDirtyState(data.source)
+              }
+
+              // A background revalidation of the same target is superseded by this request
+              const requestKey = theBlapy._getRequestKey(data)
+              theBlapy._abortRevalidation(requestKey)
+
+              // Apply the cached response if any, revalidating it in background when it is stale
+              const cachePolicy = theBlapy._getCachePolicy(data, method)
+              const cacheKey = cachePolicy ? theBlapy.responseCache.getKey(method, aURL, params) : null
+              const cachedResponse = cacheKey ? theBlapy.responseCache.get(cacheKey, cachePolicy) : null
+
+              if (cachedResponse) {
+                theBlapy.logger.info(`Response served from cache (${cachedResponse.fresh ? 'fresh' : 'stale'}): ${aURL}`, 'core')
+
+                if (!cachedResponse.fresh) {
+                  theBlapy._revalidateCachedResponse(aURL, { ...requestOptions }, cacheKey, cachedResponse.content, params, requestKey)
+                }
+
+                this.trigger('pageLoaded', {
+                  htmlPage: aembeddingBlockId ? theBlapy.embedHTMLPage(cachedResponse.content, aembeddingBlockId) : cachedResponse.content,
+                  params: params,
+                  url: aURL,
+                  requestId: data.requestId,
+                  response: cachedResponse.content,
+                })
+                return
+              }
+
+              // Register the request so that a newer one on the same target can abort it
+              const controller = new AbortController()
+              theBlapy.pendingRequests.set(requestKey, controller)
+              requestOptions.signal = controller.signal
+              requestOptions.retry = theBlapy._getRetryPolicy(data)
+
+              // Show the request on its link/form, its blocks and its indicators until they are updated
+              const endLoading = theBlapy._startLoading(data)
+
+              let responseTitle = null
+              requestOptions.onResponse = (responseCtx) => {
+                responseTitle = responseCtx.getHeader?.('X-Blapy-Title') || null
+              }
+
+              theBlapy.ajaxService.request(aURL, requestOptions)
                 .then((response) => {
-                  if (response) {
+                  if (theBlapy.isDestroyed) return
+
+                  if (controller.signal.aborted) {
+                    endLoading()
+                    theBlapy._rejectRequest(data.requestId, new BlapyRequestError(`Request aborted: ${aURL}`, { code: 'aborted', url: aURL }))
+                    this.trigger('requestAborted', data)
+                    return
+                  }
+
+                  if (!response) {
+                    endLoading()
+                    theBlapy._resolveRequest(data.requestId, { updatedBlocks: [], response })
+                  } else {
 
                     if (typeof response === 'object') {
                       response = JSON.stringify(response)
                     }
 
+                    if (cacheKey) {
+                      theBlapy.responseCache.set(cacheKey, response)
+                    }
+
+                    const rawResponse = response
+
                     if (aembeddingBlockId) {
                       response = this.opts.theBlapy.embedHTMLPage(response, aembeddingBlockId)
                     }
@@ -365,11 +560,34 @@ export class Blapy {
                     this.trigger('pageLoaded', {
                       htmlPage: response,
                       params: params,
+                      title: responseTitle,
+                      url: aURL,
+                      endLoading,
+                      requestId: data.requestId,
+                      response: rawResponse,
                     })
                   }
                 })
                 .catch((error) => {
-                  this.trigger('errorOnLoadingPage', aURL + ': ' + error.toString())
+                  if (theBlapy.isDestroyed) return
+
+                  const requestError = BlapyRequestError.from(error, aURL, theBlapy._getRequestBlockNames(data, { pageBlocks: false })[0] || null)
+                  theBlapy._rejectRequest(data.requestId, requestError)
+
+                  if (error.name === 'AbortError') {
+                    endLoading()
+                    theBlapy.logger.info(`Request aborted: ${aURL}`, 'core')
+                    this.trigger('requestAborted', data)
+                    return
+                  }
+                  endLoading(requestError)
+                  this.trigger('errorOnLoadingPage', requestError)
+                  theBlapy._renderRequestError(data, requestError)
+                })
+                .finally(() => {
+                  if (theBlapy.pendingRequests.get(requestKey) === controller) {
+                    theBlapy.pendingRequests.delete(requestKey)
+                  }
                 })
             },
             next_state: 'ProcessPageChange',
@@ -380,7 +598,12 @@ export class Blapy {
               this.opts.theBlapy.trigger('Blapy_beforePageLoad', data)
               if (!data?.html) {
                 this.opts.theBlapy.logger.info('updateBlock: no html property found')
-                this.trigger('errorOnLoadingPage', 'updateBlock: no html property found')
+                const updateError = new BlapyRequestError('updateBlock: no html property found', {
+                  code: 'update',
+                  blockId: data?.params?.embeddingBlockId || null,
+                })
+                this.opts.theBlapy._rejectRequest(data?.requestId, updateError)
+                this.trigger('errorOnLoadingPage', updateError)
               }
             },
             out_function: function (p, e, data) {
@@ -409,11 +632,14 @@ export class Blapy {
                 }
               }
 
+              const response = data.html
               if (aembeddingBlockId) data.html = this.opts.theBlapy.embedHTMLPage(data.html, aembeddingBlockId)
 
               this.trigger('pageLoaded', {
                 htmlPage: data.html,
                 params: data.params,
+                requestId: data.requestId,
+                response,
               })
 
             },
@@ -428,8 +654,24 @@ export class Blapy {
                 this.opts.theBlapy.logger.info('[reloadBlock on ' + this.myUIObjectID + '] embeddingBlockId has been set but is undefined! must be an error...', 1)
               }
 
-              this.opts.theBlapy.setBlapyJsonTemplates(true, params.embeddingBlockId, params.templateId)
-              this.opts.theBlapy.setBlapyUpdateOnDisplay()
+              // The request is settled once the initial data of the blocks are loaded and displayed
+              const theBlapy = this.opts.theBlapy
+              theBlapy.setBlapyJsonTemplates(true, params.embeddingBlockId, params.templateId, data?.requestId !== undefined)
+                .then(
+                  (initRequests) => Promise.all(initRequests)
+                    .then((results) => {
+                      const updatedBlocks = results.length > 0
+                        ? results.flatMap((result) => result.updatedBlocks)
+                        : Array.from(theBlapy.container.querySelectorAll('[data-blapy-update="json"]' + (params.embeddingBlockId ? `[data-blapy-container-name='${params.embeddingBlockId}']` : '')))
+                      theBlapy._resolveRequest(data?.requestId, { updatedBlocks, response: results.length === 1 ? results[0].response : null })
+                    }),
+                  (error) => {
+                    theBlapy._rejectRequest(data?.requestId, new BlapyRequestError(`reloadBlock: ${error.message}`, { code: 'update', cause: error }))
+                  },
+                )
+                // the error of an initial data request (http, aborted...) is the error of the reload
+                .catch((error) => theBlapy._rejectRequest(data?.requestId, error))
+              theBlapy.setBlapyUpdateOnDisplay()
             },
           },
         },
@@ -445,6 +687,7 @@ export class Blapy {
 
               let myFSM = this
               let tmpPC = null
+              let blockUpdates = []
 
               //use JSON5 if present as JSON5.parse is more cool than JSON.parse (cf. https://github.com/json5/json5)
               let jsonFeatures = (typeof JSON5 !== 'undefined') ? JSON5 : JSON
@@ -476,12 +719,15 @@ export class Blapy {
                 //not json input... but html...
               }
 
+              if (this.opts.theBlapy.opts.updateHead) {
+                this.opts.theBlapy._updateHead(tmpPC ? null : data.htmlPage, data.title || this.opts.theBlapy._getJsonTitle(tmpPC))
+              }
 
               switch (params['blapyaction']) {
                 case 'update':
                 default:
 
-                  this.myUIObject[0].querySelectorAll('[data-blapy-container]').forEach(async (containerElement) => {
+                  blockUpdates = Array.from(this.myUIObject[0].querySelectorAll('[data-blapy-container]')).map(async (containerElement) => {
 
                     let myContainer = containerElement
                     let containerName = myContainer.getAttribute('data-blapy-container-name')
@@ -491,9 +737,10 @@ export class Blapy {
                     try {
 
                       // Chercher le container correspondant dans la réponse
-                      aBlapyContainer = $(pageContent)
+                      const page = $(myFSM.opts.theBlapy._getPageNodes(pageContent))
+                      aBlapyContainer = page
                         .filter('[data-blapy-container-name="' + containerName + '"]')
-                        .add($(pageContent)
+                        .add(page
                           .find('[data-blapy-container-name="' + containerName + '"]'),
                         ).first()
 
@@ -537,12 +784,27 @@ export class Blapy {
 
                     }
 
+                    if (!dataBlapyUpdate && myFSM.opts.defaultUpdate) {
+                      dataBlapyUpdate = myFSM.opts.defaultUpdate
+                    }
+
                     // Gérer les containers embed en xmp
                     let tmpContainer = aBlapyContainer.querySelector('xmp.blapybin')
 
                     if ((dataBlapyUpdate !== 'json') && tmpContainer) {
-                      aBlapyContainer.innerHTML = this.opts.theBlapy.utils.atou(tmpContainer.innerHTML)
+                      aBlapyContainer.innerHTML = this.opts.theBlapy.utils.toHTML(this.opts.theBlapy.utils.atou(tmpContainer.innerHTML))
+
+                    }
 
+                    // data-blapy-sanitize: the received content is cleaned before being inserted (the json blocks clean their rendered html)
+                    const sanitizerName = myContainer.getAttribute('data-blapy-sanitize') ?? aBlapyContainer.getAttribute('data-blapy-sanitize')
+                    if (sanitizerName !== null) {
+                      myFSM.opts.theBlapy.sanitizer.sanitizeAttributes(aBlapyContainer, sanitizerName, myContainer)
+                      if (!['json', 'json-append'].includes(dataBlapyUpdate)) {
+                        const sanitizedHtml = myFSM.opts.theBlapy.sanitizer.sanitize(aBlapyContainer.innerHTML, sanitizerName, myContainer)
+                        aBlapyContainer.innerHTML = myFSM.opts.theBlapy.utils.toHTML(sanitizedHtml)
+                      }
+                      aBlapyContainer.setAttribute('data-blapy-sanitize', sanitizerName)
                     }
 
                     if (myFSM.opts.beforeContentChange) {
@@ -552,176 +814,21 @@ export class Blapy {
                       detail: this.myUIObject,
                     }))
 
-                    if (!dataBlapyUpdate || dataBlapyUpdate === 'update') {
-                      // Mise à jour standard
-                      if (aBlapyContainer.getAttribute('data-blapy-container-content') !== myContainer.getAttribute('data-blapy-container-content') ||
-                        (params['force-update'] == 1)) {
-
-                        if (dataBlapyUpdateRuleIsLocal) {
-                          myContainer.innerHTML = aBlapyContainer.innerHTML
-                        } else {
-                          myContainer.outerHTML = aBlapyContainer.outerHTML
-                        }
-                        myContainer = aBlapyContainer
-                      }
-                    } else if (dataBlapyUpdate === 'force-update') {
-                      // Force update
-                      if (dataBlapyUpdateRuleIsLocal) {
-                        myContainer.innerHTML = aBlapyContainer.innerHTML
-                      } else {
-                        myContainer.outerHTML = aBlapyContainer.outerHTML
-                      }
-                      myContainer = aBlapyContainer
-                    } else if (dataBlapyUpdate === 'append') {
-                      // Append
-                      aBlapyContainer.insertAdjacentHTML('afterbegin', myContainer.innerHTML)
-                      if (dataBlapyUpdateRuleIsLocal) {
-                        myContainer.innerHTML = aBlapyContainer.innerHTML
-                      } else {
-                        myContainer.outerHTML = aBlapyContainer.outerHTML
-                      }
-                      myContainer = aBlapyContainer
-                    } else if (dataBlapyUpdate === 'prepend') {
-                      // Prepend
-                      aBlapyContainer.insertAdjacentHTML('beforeend', myContainer.innerHTML)
-                      if (dataBlapyUpdateRuleIsLocal) {
-                        myContainer.innerHTML = aBlapyContainer.innerHTML
-                      } else {
-                        myContainer.outerHTML = aBlapyContainer.outerHTML
-                      }
-                      myContainer = aBlapyContainer
-                    } else if (dataBlapyUpdate === 'json-append') {
-                      let currentJsonData = myContainer.getAttribute('data-blapy-json-data');
-                      let currentData = [];
-
-                      if (currentJsonData) {
-                        try {
-                          currentData = jsonFeatures.parse(currentJsonData);
-                          if (!Array.isArray(currentData)) {
-                            currentData = [currentData];
-                          }
-                        } catch (e) {
-                          myFSM.opts.theBlapy.logger.warn('Could not parse existing JSON data, starting fresh', 'json-append');
-                          currentData = [];
-                        }
-                      }
-
-                      let newJsonData = null;
-
-                      if (tmpContainer) {
-                        try {
-                          const encodedData = tmpContainer.innerHTML;
-                          const decodedData = myFSM.opts.theBlapy.utils.atou(encodedData);
-                          newJsonData = jsonFeatures.parse(decodedData);
-                        } catch (e) {
-                          myFSM.opts.theBlapy.logger.error('Failed to decode/parse new JSON data', 'json-append');
-                          return;
-                        }
-                      } else {
-                        try {
-                          const htmlContent = aBlapyContainer.innerHTML;
-                          newJsonData = jsonFeatures.parse(htmlContent);
-                        } catch (e) {
-                          myFSM.opts.theBlapy.logger.error('Failed to parse new JSON data', 'json-append');
-                          return;
-                        }
-                      }
-
-                      if (newJsonData && newJsonData['blapy-data']) {
-                        newJsonData = newJsonData['blapy-data'];
-                      }
-
-                      let mergedData = [];
-
-                      const appendStrategy = myContainer.getAttribute('data-blapy-json-append-strategy') || 'end';
-
-                      if (appendStrategy === 'start') {
-                        if (Array.isArray(newJsonData)) {
-                          mergedData = [...newJsonData, ...currentData];
-                        } else {
-                          mergedData = [newJsonData, ...currentData];
-                        }
-                      } else if (appendStrategy === 'unique') {
-                        const uniqueKey = myContainer.getAttribute('data-blapy-json-unique-key') || 'id';
-                        mergedData = [...currentData];
-
-                        const newItems = Array.isArray(newJsonData) ? newJsonData : [newJsonData];
-                        for (const newItem of newItems) {
-                          const exists = mergedData.some(item =>
-                            item[uniqueKey] && newItem[uniqueKey] && item[uniqueKey] === newItem[uniqueKey]
-                          );
-                          if (!exists) {
-                            mergedData.push(newItem);
-                          }
-                        }
-                      } else {
-                        if (Array.isArray(newJsonData)) {
-                          mergedData = [...currentData, ...newJsonData];
-                        } else {
-                          mergedData = [...currentData, newJsonData];
-                        }
-                      }
-
-                      const maxItems = parseInt(myContainer.getAttribute('data-blapy-json-max-items'));
-                      if (maxItems && maxItems > 0 && mergedData.length > maxItems) {
-                        if (appendStrategy === 'start') {
-                          mergedData = mergedData.slice(0, maxItems);
-                        } else {
-                          mergedData = mergedData.slice(-maxItems);
-                        }
-                      }
-
-                      myContainer.setAttribute('data-blapy-json-data', JSON.stringify(mergedData));
-
-                      const tempBlapyContainer = aBlapyContainer.cloneNode(true);
-                      tempBlapyContainer.innerHTML = JSON.stringify(mergedData);
-
-                      await myFSM.opts.theBlapy.templateManager.processJsonUpdate(
-                        null,
-                        myContainer,
-                        tempBlapyContainer,
+                    const updateStrategy = Blapy.getUpdateStrategy(dataBlapyUpdate || 'update')
+                    if (updateStrategy) {
+                      const updateResult = await updateStrategy(myContainer, aBlapyContainer, {
+                        name: dataBlapyUpdate || 'update',
+                        blapy: myFSM.opts.theBlapy,
+                        params,
+                        local: dataBlapyUpdateRuleIsLocal,
+                        changed: aBlapyContainer.getAttribute('data-blapy-container-content') !== myContainer.getAttribute('data-blapy-container-content') ||
+                          (params['force-update'] == 1),
+                        encodedContent: tmpContainer,
                         jsonFeatures,
-                        myFSM.opts.theBlapy
-                      );
-
-                      myContainer.dispatchEvent(new CustomEvent('Blapy_jsonAppended', {
-                        detail: {
-                          newItems: Array.isArray(newJsonData) ? newJsonData.length : 1,
-                          totalItems: mergedData.length,
-                          data: mergedData
-                        }
-                      }));
-
-
-                      myFSM.opts.theBlapy.logger.info(
-                        `JSON Append completed: added ${Array.isArray(newJsonData) ? newJsonData.length : 1} items, total: ${mergedData.length}`,
-                        'json-append'
-                      );
-
-                    } else if (dataBlapyUpdate === 'replace') {
-                      // Replace
-                      myContainer.innerHTML = aBlapyContainer.innerHTML
-                      myContainer = aBlapyContainer
-                    } else if (dataBlapyUpdate === 'custom') {
-                      // Custom update
-                      if (aBlapyContainer.getAttribute('data-blapy-container-content') !== myContainer.getAttribute('data-blapy-container-content') ||
-                        (params['force-update'] == 1)) {
-
-                        if (myFSM.opts.doCustomChange) {
-                          myFSM.opts.doCustomChange(myContainer, aBlapyContainer)
-                        }
-                        myContainer.dispatchEvent(new CustomEvent('Blapy_doCustomChange', {
-                          detail: aBlapyContainer,
-                        }))
-                      }
-                    } else if (dataBlapyUpdate === 'remove') {
-                      // Remove
-                      let myContainerParent = myContainer.parentNode
-                      myContainer.remove()
-                      myContainer = myContainerParent
-                    } else if (dataBlapyUpdate === 'json') {
-                      await myFSM.opts.theBlapy.templateManager.processJsonUpdate(tmpContainer, myContainer, aBlapyContainer, jsonFeatures, this.opts.theBlapy)
-
+                      })
+                      // the block has not been updated (eg. json-append with unreadable data)
+                      if (updateResult === false) return null
+                      myContainer = updateResult || myContainer
                     } else {
                       // Plugin custom
 
@@ -747,18 +854,53 @@ export class Blapy {
                     if (myFSM.opts.afterContentChange) {
                       myFSM.opts.afterContentChange(myContainer)
                     }
-                    if (myContainer.id) {
-                      let updatedElement = document.getElementById(myContainer.id)
-                      if (updatedElement) {
-                        updatedElement.dispatchEvent(new CustomEvent('Blapy_afterContentChange', {
-                          detail: myContainer,
-                        }))
-                      }
+                    let updatedElement = myContainer.id ? document.getElementById(myContainer.id) : null
+
+                    // a rendered error has been replaced (cf. data-blapy-error-template)
+                    if (updatedElement && !['json', 'json-append'].includes(dataBlapyUpdate)) {
+                      updatedElement.removeAttribute('data-blapy-template-state')
+                    }
+                    if (updatedElement) {
+                      updatedElement.dispatchEvent(new CustomEvent('Blapy_afterContentChange', {
+                        detail: myContainer,
+                      }))
                     }
+
+                    myFSM.opts.theBlapy.blapyBlocks.updateBlockState(containerName, {
+                      lastUpdated: Date.now(),
+                      error: null,
+                      sourceUrl: data.url || null,
+                      jsonData: myFSM.opts.theBlapy._getBlockJsonData(dataBlapyUpdate, updatedElement || myContainer, aBlapyContainer, tmpContainer, jsonFeatures),
+                    })
+
+                    return updatedElement || myContainer
                   })
                   break
               }
+
+              // Settle the Promise of the request (cf. load(), post()...) once all the blocks are updated
+              const theBlapy = this.opts.theBlapy
+              Promise.all(blockUpdates)
+                .finally(() => {
+                  if (data.endLoading) data.endLoading()
+                })
+                .then((updatedBlocks) => {
+                  theBlapy._resolveRequest(data.requestId, {
+                    updatedBlocks: updatedBlocks.filter(Boolean),
+                    response: data.response,
+                  })
+                })
+                .catch((error) => {
+                  theBlapy.logger.error(`Blocks update failed: ${error.toString()}`, 'core')
+                  theBlapy._rejectRequest(data.requestId, new BlapyRequestError(`Blocks update failed: ${error.message}`, { code: 'update', cause: error }))
+                })
+                // The page change ends once all the blocks are updated, even the async ones (json templates...)
+                .finally(() => {
+                  if (!theBlapy.isDestroyed) myFSM.trigger('blocksUpdated', data)
+                })
             },
+          },
+          blocksUpdated: {
             out_function: function (p, e, data) {
               // Événement final
               if (this.opts.afterPageChange) {
@@ -775,15 +917,28 @@ export class Blapy {
             },
             next_state: 'PageReady',
           },
+          requestAborted: {
+            init_function: function (p, e, data) {
+              this.opts.theBlapy.trigger('Blapy_requestAborted', data)
+            },
+            next_state: 'PageReady',
+          },
           reloadBlock: 'loadUrl',
           updateBlock: 'loadUrl',
           postData: 'loadUrl',
-          loadUrl:
-          {
+          // A request is in flight: apply the request policy of the new one at once, then wait for the page to be ready
+          loadUrl: {
+            init_function: function (p, e, data) {
+              if (!this.opts.theBlapy._applyRequestPolicy(data)) return false
+              this.trigger('requestWaiting', { eventName: e.type, data })
+            },
+          },
+          requestWaiting: {
             how_process_event: {
               delay: 50,
               preventcancel: true,
             },
+            process_event_if: '!this.opts.theBlapy.isDestroyed',
             propagate_event: true,
           },
         },
@@ -799,8 +954,10 @@ export class Blapy {
         this._deepMerge(managerBlapy, this.opts.fsmExtension)
       }
 
-      $(this.myUIObject).iFSM(managerBlapy, this.optsIfsm)
-      this.myFSM = $(this.myUIObject).getFSM(managerBlapy)
+      this.myFSM = this._createFSM(managerBlapy)
+
+      // Keep the registered blocks in sync with the blocks inserted/removed from now on
+      this.blapyBlocks.observeBlocks(this.container)
 
 
       if (!this.router.init()) {
@@ -835,13 +992,78 @@ export class Blapy {
     this.myUIObject.dispatchEvent(event)
   }
 
+  /**
+   * Subscribes to the changes of the instance.
+   *
+   * 'block:<name>' handlers are called with the new state of the block (cf. `BlapyBlock.getBlock()`)
+   * each time it changes: request sent or failed, content updated.
+   *
+   * @param {string} eventName - The event name ('block:<name>').
+   * @param {Function} handler - The handler.
+   * @returns {Function} A function removing the subscription.
+   *
+   * @example
+   * const unsubscribe = blapy.on('block:news', ({ loading, error }) => {
+   *   spinner.hidden = !loading
+   * })
+   */
+  on(eventName, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`The handler of "${eventName}" must be a function`)
+    }
+
+    if (!this.subscriptions.has(eventName)) {
+      this.subscriptions.set(eventName, new Set())
+    }
+    this.subscriptions.get(eventName).add(handler)
+
+    return () => this.off(eventName, handler)
+  }
+
+  /**
+   * Removes a subscription made with `on()`.
+   *
+   * @param {string} eventName - The event name.
+   * @param {Function} handler - The handler to remove.
+   * @returns {void}
+   */
+  off(eventName, handler) {
+    const handlers = this.subscriptions.get(eventName)
+    if (!handlers) return
+
+    handlers.delete(handler)
+    if (handlers.size === 0) this.subscriptions.delete(eventName)
+  }
+
+  /**
+   * Calls the handlers subscribed to an event.
+   *
+   * @private
+   * @param {string} eventName - The event name.
+   * @param {*} data - The data given to the handlers.
+   * @returns {void}
+   */
+  _emit(eventName, data) {
+    const handlers = this.subscriptions.get(eventName)
+    if (!handlers) return
+
+    Array.from(handlers).forEach((handler) => {
+      try {
+        handler(data)
+      } catch (error) {
+        this.logger.error(`Error in ${eventName} handler: ${error.message}`, 'core')
+      }
+    })
+  }
+
   /**
    * Updates all elements marked as "blapy links" by appending the "#blapylink" fragment to their URL.
    *
    * - If Navigo (the router) is enabled, the method exits early and lets Navigo handle the navigation.
    * - Otherwise, it updates the `href`, `action`, or `data-blapy-href` attributes of links and forms
    *   to ensure they trigger Blapy's FSM when clicked.
-   * - It also attaches click listeners on non-`<a>` elements to trigger FSM events.
+   * - It is idempotent: no listener is attached, the links are activated by the delegated
+   *   listener of the router, so it may be called after every block update.
    *
    * @function setBlapyURL
    */
@@ -908,109 +1130,1224 @@ export class Blapy {
         bL.setAttribute('action', href)
         break
       default:
+        // activated by the delegated listener of the router (cf. Router._initLinkActivation)
         bL.setAttribute('data-blapy-href', href)
-        bL.addEventListener('click', () => {
-          this.myFSM.trigger('loadUrl', {
-            aUrl: href,
-            params: {},
-            aObjectId: this.myUIObjectID,
-          })
-        })
     }
   }
 
   /**
-   * - If the router (Navigo) is enabled and initialized, it will handle the navigation.
-   * - Otherwise, it falls back to the Blapy FSM system and triggers a `loadUrl` event.
+   * Evaluates the navigation guards of a request: the dirty guarded forms, the
+   * cancellable `Blapy_beforeNavigate` event and the `beforeNavigate` option.
    *
-   * @param {string} url - The destination URL.
-   * @param {Object} [options={}] - Additional navigation options.
-   * @param {Object} [options.params] - Query parameters or payload for the navigation.
-   * @param {boolean} [options.noBlapyData] - If `true`, prevents Blapy data processing.
+   * Requests already allowed (`navigationAllowed`) and the ones sent by Blapy
+   * itself (`background`: polling, blocks loaded on display...) are not guarded.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data, or a history navigation descriptor.
+   * @returns {boolean|Promise<boolean>} `true` if the navigation may go on, `false` if it is cancelled,
+   *          or a Promise when the `beforeNavigate` option is asynchronous.
    */
-  navigate(url, options = {}) {
-    if (this.opts.enableRouter && this.router.isInitialized) {
-      // Use the router (Navigo) for navigation
-      this.router.navigate(url, options)
-    } else {
-      // Standard navigation without router - using the FSM
-      this.myFSM.trigger('loadUrl', {
-        aUrl: url,
-        params: options.params || {},
-        aObjectId: this.myUIObjectID,
-        noBlapyData: options.noBlapyData,
-      })
+  _checkNavigation(data) {
+    if (data.navigationAllowed || data.background) return true
+
+    const descriptor = {
+      aUrl: data.aUrl,
+      params: data.params || {},
+      method: (data.method || 'GET').toUpperCase(),
+      source: data.source || null,
+      history: !!data.history,
+    }
+
+    const dirtyForms = this._getDirtyGuardedForms().filter((form) => form !== data.source)
+    if (dirtyForms.length > 0) {
+      const message = dirtyForms[0].getAttribute('data-blapy-guard-dirty')
+      if (!window.confirm(message && message !== 'true' ? message : 'You have unsaved changes. Do you really want to leave?')) {
+        return this._cancelNavigation(descriptor, 'dirty')
+      }
+    }
+
+    const beforeNavigateEvent = new CustomEvent('Blapy_beforeNavigate', {
+      detail: descriptor,
+      bubbles: true,
+      cancelable: true,
+    })
+    if (!this.myUIObject.dispatchEvent(beforeNavigateEvent)) {
+      return this._cancelNavigation(descriptor, 'event')
+    }
+
+    if (!this.opts.beforeNavigate) return true
+
+    try {
+      const result = this.opts.beforeNavigate(descriptor)
+
+      if (result && typeof result.then === 'function') {
+        return Promise.resolve(result).then(
+          (allowed) => allowed === false ? this._cancelNavigation(descriptor, 'beforeNavigate') : true,
+          (error) => {
+            this.logger.error(`beforeNavigate failed: ${error.toString()}`, 'core')
+            return this._cancelNavigation(descriptor, 'beforeNavigate')
+          },
+        )
+      }
+
+      return result === false ? this._cancelNavigation(descriptor, 'beforeNavigate') : true
+    } catch (error) {
+      this.logger.error(`beforeNavigate failed: ${error.toString()}`, 'core')
+      return this._cancelNavigation(descriptor, 'beforeNavigate')
     }
   }
 
   /**
-   * Embeds an HTML source into a specific Blapy block.
+   * Reports a navigation cancelled by a guard.
    *
-   * This method takes an HTML string or DOM element and inserts it into a Blapy block
-   * identified by its `data-blapy-container-name` attribute.
+   * @private
+   * @param {Object} descriptor - The navigation descriptor.
+   * @param {string} reason - The guard that cancelled it: 'dirty', 'event' or 'beforeNavigate'.
+   * @returns {boolean} Always `false`.
+   */
+  _cancelNavigation(descriptor, reason) {
+    this.logger.info(`Navigation to ${descriptor.aUrl} cancelled (${reason})`, 'core')
+    this.trigger('Blapy_navigationCancelled', { ...descriptor, reason })
+    return false
+  }
+
+  /**
+   * Gets the forms with `data-blapy-guard-dirty` whose fields have been changed by the user.
    *
-   * If the target block uses JSON templates, the content will be encoded as a base64 string
-   * inside an `<xmp class="blapybin">` tag before being injected.
+   * @private
+   * @returns {Array<HTMLFormElement>} The dirty guarded forms.
+   */
+  _getDirtyGuardedForms() {
+    return Array.from(this.myUIObject.querySelectorAll('form[data-blapy-guard-dirty]'))
+      .filter((form) => form.getAttribute('data-blapy-guard-dirty') !== 'false')
+      .filter((form) => Array.from(form.elements).some((field) => {
+        if (field.type === 'checkbox' || field.type === 'radio') return field.checked !== field.defaultChecked
+        if (field.tagName === 'SELECT') return Array.from(field.options).some((option) => option.selected !== option.defaultSelected)
+        if ('defaultValue' in field && field.type !== 'file') return field.value !== field.defaultValue
+        return false
+      }))
+  }
+
+  /**
+   * Makes the current values of a form its default ones, so that it is not dirty anymore.
    *
-   * @param {string|Element} aHtmlSource - The HTML content or DOM element to embed.
-   * @param {string} aBlapyBlockIdName - The name of the target Blapy block (data-blapy-container-name).
-   * @returns {string} The resulting embedded HTML source as a string.
+   * @private
+   * @param {HTMLFormElement} form - The submitted form.
+   * @returns {void}
+   */
+  _resetDirtyState(form) {
+    Array.from(form.elements).forEach((field) => {
+      if (field.type === 'checkbox' || field.type === 'radio') {
+        field.defaultChecked = field.checked
+      } else if (field.tagName === 'SELECT') {
+        Array.from(field.options).forEach((option) => { option.defaultSelected = option.selected })
+      } else if ('defaultValue' in field && field.type !== 'file') {
+        field.defaultValue = field.value
+      }
+    })
+  }
+
+  /**
+   * Computes the key identifying the target of a request.
    *
-   * @throws {Error} Logs an error if the specified Blapy block does not exist.
+   * Requests sent for the same link or form element, for the same embedding block,
+   * or else for the same URL, share the same key.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @returns {HTMLElement|string} The request key.
    */
-  embedHTMLPage(aHtmlSource, aBlapyBlockIdName) {
-    this.logger.info('embedHTML', 'core')
+  _getRequestKey(data) {
+    if (data.source instanceof HTMLElement) return data.source
 
-    const htmlBlapyBlock = this.myUIObject.querySelector('[data-blapy-container-name=\'' + aBlapyBlockIdName + '\']')
+    const embeddingBlockId = data.params?.embeddingBlockId
+    if (embeddingBlockId) return `block:${embeddingBlockId}`
 
-    if (!htmlBlapyBlock) {
-      this.logger.error(`embedHtmlPage: Error on blapy-container-name... ${aBlapyBlockIdName} does not exist!`)
-      return ''
-    }
+    return `url:${data.aUrl}`
+  }
 
-    if (htmlBlapyBlock.getAttribute('data-blapy-update') === 'json' &&
-      htmlBlapyBlock.getAttribute('data-blapy-template-init-purejson') === '0') {
-      try {
-        if (aHtmlSource instanceof Element) {
-          aHtmlSource = aHtmlSource.innerHTML
-        }
-      } catch (e) {
-        this.logger.warn(`embedHtmlPage: aHtmlSource is perhaps a pure json after all...?\n${aHtmlSource.toString()} ${e.toString()}`)
-      }
-    }
+  /**
+   * Gets the request policy to apply on a request: `data-blapy-request-policy` of the
+   * triggering element, then of the embedding block, then the `requestPolicy` option.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @returns {string} 'replace', 'queue' or 'drop'.
+   */
+  _getRequestPolicy(data) {
+    return this._getTargetAttribute(data, 'data-blapy-request-policy') || this.opts.requestPolicy
+  }
 
-    const encodedSource = '<xmp class="blapybin">' + this.utils.utoa(aHtmlSource) + '</xmp>'
+  /**
+   * Reads a configuration attribute of a request target: first on the triggering
+   * element (link, form, polled block), then on the embedding block.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @param {string} attributeName - The attribute to read.
+   * @returns {string|null} The attribute value, or `null` if none of the targets sets it.
+   */
+  _getTargetAttribute(data, attributeName) {
+    const value = data.source?.getAttribute?.(attributeName)
+    if (value != null) return value
 
-    const tempElement = document.createElement('div')
-    tempElement.innerHTML = htmlBlapyBlock.outerHTML
-    const newBlock = tempElement.firstElementChild
+    const embeddingBlockId = data.params?.embeddingBlockId
+    if (!embeddingBlockId) return null
 
-    newBlock.innerHTML = encodedSource
+    const embeddingBlock = this.myUIObject.querySelector(`[data-blapy-container-name='${embeddingBlockId}']`)
+    return embeddingBlock ? embeddingBlock.getAttribute(attributeName) : null
+  }
 
-    const currentContent = newBlock.getAttribute('data-blapy-container-content') || ''
-    newBlock.setAttribute('data-blapy-container-content', currentContent + '-' + Date.now())
+  /**
+   * Lists the blocks a request targets: its embedding block, the polled block that sent it,
+   * or else the blocks of the instance a whole page response may update (the ones whose
+   * `data-blapy-applyon` is missing or names this instance).
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.pageBlocks=true] - false to leave out the blocks of a whole page response,
+   *        which are only known once it is loaded.
+   * @returns {string[]} The names of the targeted blocks.
+   */
+  _getRequestBlockNames(data, { pageBlocks = true } = {}) {
+    const embeddingBlockId = data.params?.embeddingBlockId
+    if (embeddingBlockId) return [embeddingBlockId]
 
-    newBlock.removeAttribute('id')
+    const sourceBlockName = data.source?.getAttribute?.('data-blapy-container-name')
+    if (sourceBlockName) return [sourceBlockName]
 
-    return newBlock.outerHTML
+    if (!pageBlocks || !data.aUrl) return []
+
+    const blockNames = Array.from(this.myUIObject.querySelectorAll('[data-blapy-container="true"]'))
+      .filter((block) => {
+        const applyOn = block.getAttribute('data-blapy-applyon')
+        return !applyOn || applyOn.split(',').includes(this.myUIObjectID)
+      })
+      .map((block) => block.getAttribute('data-blapy-container-name'))
+      .filter(Boolean)
+
+    return [...new Set(blockNames)]
   }
 
   /**
-   * setBlapyJsonTemplates - prepare the json templates of the blapy blocks controlled with json (cf [data-blapy-update="json"])
-   * json templates are stored in a hidden xmp with a "data-blapy-container-tpl" attribute set
+   * Shows that a request is in flight, until the function it returns is called:
+   * - its link/form and its blocks (cf. `_getRequestBlockNames()`) get the `loadingClass` class and `aria-busy="true"`,
+   *   and the state of the blocks is `loading`;
+   * - the indicators of its target (`data-blapy-indicator` selector) get the `loadingClass` class and are shown;
+   * - the submit buttons of a form with `data-blapy-disable-while-loading` (or such a link itself) are disabled.
    *
-   * @param  boolean forceReload reload initial json content
-   * @param  string (option/default:undefined) aEmbeddingBlock a specific block container name
-   * @param  string (option/default:undefined) aTemplateId     default template to set on the block
-   * @return void
+   * The elements are counted, so that they stay in their loading state while another request targets them.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @returns {Function} Ends the loading state, given the BlapyRequestError of the request if it failed.
    */
-  async setBlapyJsonTemplates(forceReload, aEmbeddingBlock, aTemplateId) {
+  _startLoading(data) {
+    const blockNames = this._getRequestBlockNames(data)
+    const source = data.source?.nodeType === Node.ELEMENT_NODE ? data.source : null
+
+    const busyElements = new Set(blockNames.flatMap((name) =>
+      Array.from(this.myUIObject.querySelectorAll(`[data-blapy-container-name='${name}']`)),
+    ))
+    if (source) busyElements.add(source)
+
+    let indicators = []
+    const indicatorSelector = this._getTargetAttribute(data, 'data-blapy-indicator')
+    if (indicatorSelector) {
+      try {
+        indicators = Array.from(document.querySelectorAll(indicatorSelector))
+      } catch {
+        this.logger.warn(`Invalid data-blapy-indicator selector: ${indicatorSelector}`, 'core')
+      }
+    }
 
-    this.logger.info('setBlapyJsonTemplates', 'core')
+    let disabledElements = []
+    if (source?.hasAttribute('data-blapy-disable-while-loading')) {
+      disabledElements = source.tagName === 'FORM'
+        ? Array.from(source.querySelectorAll('button:not([type]), button[type="submit"], input[type="submit"], input[type="image"]'))
+        : [source]
+    }
 
-    if (forceReload == undefined) forceReload = false
+    const loadingElements = [
+      ...Array.from(busyElements, (element) => [element, 'busy']),
+      ...indicators.map((element) => [element, 'indicator']),
+      ...disabledElements.map((element) => [element, 'disabled']),
+    ]
 
-    if (aEmbeddingBlock) {
+    loadingElements.forEach(([element, role]) => this._setLoading(element, role, true))
+    blockNames.forEach((name) => {
+      this.loadingBlocks.set(name, (this.loadingBlocks.get(name) || 0) + 1)
+      this.blapyBlocks.updateBlockState(name, { loading: true })
+    })
+
+    let isEnded = false
+    return (error = null) => {
+      if (isEnded) return
+      isEnded = true
+
+      loadingElements.forEach(([element, role]) => this._setLoading(element, role, false))
+      blockNames.forEach((name) => {
+        const count = (this.loadingBlocks.get(name) || 1) - 1
+        if (count > 0) {
+          this.loadingBlocks.set(name, count)
+        } else {
+          this.loadingBlocks.delete(name)
+        }
+        this.blapyBlocks.updateBlockState(name, error ? { loading: count > 0, error } : { loading: count > 0 })
+      })
+    }
+  }
+
+  /**
+   * Shows the error of a failed request in the page:
+   * - with the `applyErrorResponse` option, the body of the error response is applied when it contains Blapy blocks;
+   * - else the embedding block or the polled block of the request renders the `data-blapy-error-template` of the request target,
+   *   or its "error" state template for the json blocks.
+   *
+   * The `[data-blapy-error-retry]` elements of the rendered error send the request again.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @param {BlapyRequestError} error - The error of the request.
+   * @returns {void}
+   */
+  _renderRequestError(data, error) {
+    if (this.opts.applyErrorResponse && typeof error.body === 'string' && error.body.includes('data-blapy-container-name')) {
+      this.myFSM.trigger('updateBlock', { html: error.body, params: {} })
+      return
+    }
+
+    const errorTemplate = this._getTargetAttribute(data, 'data-blapy-error-template')
+
+    this._getRequestBlockNames(data, { pageBlocks: false }).forEach((name) => {
+      this.myUIObject.querySelectorAll(`[data-blapy-container-name='${name}']`).forEach((block) => {
+        const isJsonBlock = block.getAttribute('data-blapy-update') === 'json'
+        const isRendered = errorTemplate
+          ? this.templateManager.renderErrorTemplate(block, errorTemplate, error.toJSON())
+          : isJsonBlock && this.templateManager.renderStateTemplate(block, 'error', error.toJSON())
+        if (!isRendered) return
+
+        // the next response must replace the error, even with the same content
+        if (!isJsonBlock) block.setAttribute('data-blapy-container-content', 'blapy-error')
+
+        block.querySelectorAll('[data-blapy-error-retry]').forEach((retryLink) => {
+          retryLink.addEventListener('click', (event) => {
+            event.preventDefault()
+            this._retryRequest(data)
+          }, { once: true, signal: this.listeners.signal })
+        })
+      })
+    })
+  }
+
+  /**
+   * Sends a failed request again.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data of the failed request.
+   * @returns {void}
+   */
+  _retryRequest(data) {
+    if (!this.myFSM) return
+
+    const request = { ...data }
+    delete request.requestId
+    delete request.navigationAllowed
+
+    this.logger.info(`Retrying the request: ${data.aUrl}`, 'core')
+    this.myFSM.trigger('postData', request)
+  }
+
+  /**
+   * Puts an element in (or out of) its loading state: only the first request targeting
+   * it and the last one ending change it.
+   *
+   * @private
+   * @param {HTMLElement} element - The element.
+   * @param {string} role - 'busy' (link, form, block), 'indicator' or 'disabled' (submit button).
+   * @param {boolean} isLoading - `true` when a request starts, `false` when it ends.
+   * @returns {void}
+   */
+  _setLoading(element, role, isLoading) {
+    const states = this.loadingElements.get(element) || {}
+    this.loadingElements.set(element, states)
+
+    const state = states[role] || (states[role] = { count: 0 })
+    state.count = Math.max(state.count + (isLoading ? 1 : -1), 0)
+    if (state.count !== (isLoading ? 1 : 0)) return
+
+    switch (role) {
+      case 'busy':
+        if (this.opts.loadingClass) element.classList.toggle(this.opts.loadingClass, isLoading)
+        if (isLoading) {
+          element.setAttribute('aria-busy', 'true')
+        } else {
+          element.removeAttribute('aria-busy')
+        }
+        break
+      case 'indicator':
+        if (this.opts.loadingClass) element.classList.toggle(this.opts.loadingClass, isLoading)
+        if (isLoading) {
+          state.wasHidden = element.hidden
+          element.hidden = false
+        } else {
+          element.hidden = state.wasHidden
+        }
+        break
+      case 'disabled':
+        if (isLoading) {
+          state.wasDisabled = element.disabled
+          element.disabled = true
+        } else {
+          element.disabled = state.wasDisabled
+        }
+        break
+    }
+  }
+
+  /**
+   * Gives the content of a loaded page to look for its Blapy blocks: in CSP mode (`csp` option), or when
+   * a block is sanitized (data-blapy-sanitize), an HTML string is parsed by the browser in an inert
+   * template (through the Trusted Types policy) rather than by jQuery, whose parsing in the page
+   * would run the handlers of the content (eg. `<img onerror>`) before it is sanitized.
+   *
+   * @private
+   * @param {string|jQuery} pageContent - The loaded content.
+   * @returns {string|jQuery|Node[]} The content to give to jQuery.
+   */
+  _getPageNodes(pageContent) {
+    if (typeof pageContent !== 'string') return pageContent
+
+    if (this.opts.csp ||
+      this.myUIObject.querySelector('[data-blapy-sanitize]') ||
+      pageContent.includes('data-blapy-sanitize')) {
+      return this.utils.parseHTML(pageContent)
+    }
+    return pageContent
+  }
+
+  /**
+   * Reads the json data a block renders once updated, to keep its state (cf. `BlapyBlock.getBlock()`).
+   *
+   * @private
+   * @param {string|null} updateMode - The update mode applied on the block.
+   * @param {HTMLElement} liveBlock - The updated block.
+   * @param {HTMLElement} incomingBlock - The block of the loaded content.
+   * @param {HTMLElement|null} encodedContent - The <xmp class="blapybin"> element of an embedded content, if any.
+   * @param {Object} jsonFeatures - JSON5 if available, else JSON.
+   * @returns {*} The json data, `null` if the block does not render json data.
+   */
+  _getBlockJsonData(updateMode, liveBlock, incomingBlock, encodedContent, jsonFeatures) {
+    try {
+      if (updateMode === 'json-append') {
+        return jsonFeatures.parse(liveBlock.getAttribute('data-blapy-json-data'))
+      }
+      if (updateMode === 'json') {
+        const jsonData = jsonFeatures.parse(encodedContent ? this.utils.atou(encodedContent.innerHTML) : incomingBlock.innerHTML)
+        return jsonData?.['blapy-data'] ?? jsonData
+      }
+    } catch {
+      this.logger.warn(`Could not read the json data of the block ${liveBlock.getAttribute('data-blapy-container-name')}`, 'core')
+    }
+    return null
+  }
+
+  /**
+   * Builds the retry policy of a request from the `retry` option and the
+   * `data-blapy-retry` attribute of its target.
+   *
+   * `data-blapy-retry` may be a number of attempts ("5"), a json policy
+   * ("{maxAttempts:5, delay:1000, retryOn:[503]}") or "false" to disable the retries.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @returns {Object|null} The retry policy given to the AjaxService, or `null` if the request is not retried.
+   */
+  _getRetryPolicy(data) {
+    let policy = this.opts.retry ? { ...this.opts.retry } : null
+
+    const retryAttr = this._getTargetAttribute(data, 'data-blapy-retry')
+    if (retryAttr === 'false' || retryAttr === '0') return null
+
+    if (retryAttr) {
+      if (/^\d+$/.test(retryAttr)) {
+        policy = { ...policy, maxAttempts: parseInt(retryAttr) }
+      } else {
+        try {
+          const jsonFeatures = globalThis.JSON5 || JSON
+          policy = { ...policy, ...jsonFeatures.parse(retryAttr) }
+        } catch {
+          this.logger.warn(`Invalid data-blapy-retry value: ${retryAttr}`, 'core')
+        }
+      }
+    }
+
+    if (!policy) return null
+
+    return {
+      ...policy,
+      onRetry: ({ attempt, maxAttempts, delay, error }) => {
+        this.trigger('Blapy_RetryScheduled', {
+          aUrl: data.aUrl,
+          params: data.params,
+          attempt,
+          maxAttempts,
+          delay,
+          error: error.toString(),
+        })
+      },
+      onExhausted: ({ attempts, error }) => {
+        this.trigger('Blapy_RetryExhausted', {
+          aUrl: data.aUrl,
+          params: data.params,
+          attempts,
+          error: error.toString(),
+        })
+      },
+    }
+  }
+
+  /**
+   * Updates the document head from a loaded page.
+   *
+   * The title is the one given (`X-Blapy-Title` header, `blapy-title` json field) or else
+   * the `<title>` of the page. The `<meta>` and `<link>` tags of the page having the
+   * `data-blapy-head` attribute replace the ones of the document with the same
+   * name/property/http-equiv (meta) or rel/hreflang (link); the `data-blapy-head` tags
+   * of the document the page does not have any more are removed.
+   *
+   * @private
+   * @param {string|null} html - The loaded page (null for json responses).
+   * @param {string|null} [title=null] - The title given apart from the html.
+   * @returns {void}
+   */
+  _updateHead(html, title = null) {
+    let headTags = []
+
+    if (typeof html === 'string' && html) {
+      const page = new DOMParser().parseFromString(this.utils.toHTML(html), 'text/html')
+      if (!title) title = page.querySelector('title')?.textContent.trim() || null
+      headTags = Array.from(page.querySelectorAll('meta[data-blapy-head], link[data-blapy-head]'))
+    }
+
+    if (title) {
+      try {
+        title = decodeURIComponent(title)
+      } catch {
+        // not url-encoded
+      }
+    }
+
+    const titleChanged = !!title && title !== document.title
+    if (titleChanged) document.title = title
+
+    const updatedTags = []
+    if (headTags.length > 0) {
+      const keys = new Set()
+
+      headTags.forEach((headTag) => {
+        const key = this._getHeadTagKey(headTag)
+        keys.add(key)
+
+        const currentTag = Array.from(document.head.querySelectorAll(headTag.tagName))
+          .find((tag) => this._getHeadTagKey(tag) === key)
+
+        if (currentTag?.outerHTML === headTag.outerHTML) return
+
+        const newTag = document.importNode(headTag, true)
+        if (currentTag) {
+          currentTag.replaceWith(newTag)
+        } else {
+          document.head.appendChild(newTag)
+        }
+        updatedTags.push(newTag)
+      })
+
+      document.head.querySelectorAll('meta[data-blapy-head], link[data-blapy-head]').forEach((tag) => {
+        if (!keys.has(this._getHeadTagKey(tag))) {
+          tag.remove()
+          updatedTags.push(tag)
+        }
+      })
+    }
+
+    if (titleChanged || updatedTags.length > 0) {
+      this.logger.info(`Head updated: ${updatedTags.length} tag(s)${titleChanged ? ', title' : ''}`, 'core')
+      this.trigger('Blapy_headUpdated', {
+        title: document.title,
+        tags: updatedTags,
+      })
+    }
+  }
+
+  /**
+   * Computes the key identifying a head tag: meta tags are identified by their
+   * name, property or http-equiv, link tags by their rel and hreflang.
+   *
+   * @private
+   * @param {HTMLElement} tag - The `<meta>` or `<link>` tag.
+   * @returns {string} The key.
+   */
+  _getHeadTagKey(tag) {
+    if (tag.tagName === 'META') {
+      const name = tag.getAttribute('name') || tag.getAttribute('property') || tag.getAttribute('http-equiv') || tag.getAttribute('charset')
+      return `meta:${name}`
+    }
+    return `link:${tag.getAttribute('rel')}:${tag.getAttribute('hreflang') || ''}`
+  }
+
+  /**
+   * Gets the title given by the `blapy-title` field of a json response.
+   *
+   * @private
+   * @param {Object|Array|null} json - The parsed json response.
+   * @returns {string|null} The title, or `null` if none is given.
+   */
+  _getJsonTitle(json) {
+    if (!json || typeof json !== 'object') return null
+
+    const items = Array.isArray(json) ? json : [json]
+    return items.find((item) => item && item['blapy-title'])?.['blapy-title'] || null
+  }
+
+  /**
+   * Gets the cache policy of a request: `data-blapy-cache` of the triggering element,
+   * then of the embedding block, then the `cache` option.
+   * Only the GET responses are cached, unless the policy lists other methods (eg. "methods=GET POST").
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @param {string} [method='GET'] - The HTTP method of the request.
+   * @returns {{maxAge: number, staleWhileRevalidate: number}|null} The cache policy, or `null` if the response must not be cached.
+   */
+  _getCachePolicy(data, method = 'GET') {
+    const policy = ResponseCache.parsePolicy(this._getTargetAttribute(data, 'data-blapy-cache') ?? this.opts.cache)
+    if (!policy || !(policy.methods || ['GET']).includes(method.toUpperCase())) return null
+    return policy
+  }
+
+  /**
+   * Sends again a request whose stale response has been applied from the cache, and
+   * updates the blocks whose `data-blapy-container-content` changed since.
+   * The revalidation is registered as the request in flight of its target, so that a newer
+   * request of the target aborts it (whatever the request policy) and its response never
+   * overwrites the newer content.
+   *
+   * @private
+   * @param {string} aURL - The request URL.
+   * @param {Object} requestOptions - The AjaxService request options.
+   * @param {string} cacheKey - The cache key of the request.
+   * @param {string} cachedContent - The stale content that has been applied.
+   * @param {Object} params - The Blapy parameters of the request.
+   * @param {HTMLElement|string} requestKey - The target of the request (cf. `_getRequestKey()`).
+   * @returns {void}
+   */
+  _revalidateCachedResponse(aURL, requestOptions, cacheKey, cachedContent, params, requestKey) {
+    if (this.revalidatingRequests.has(cacheKey)) return
+
+    const controller = new AbortController()
+    this.revalidatingRequests.set(cacheKey, controller)
+    this.pendingRequests.set(requestKey, controller)
+    requestOptions.signal = controller.signal
+
+    this.ajaxService.request(aURL, requestOptions)
+      .then((response) => {
+        if (!response || controller.signal.aborted || this.isDestroyed) return
+
+        if (typeof response === 'object') {
+          response = JSON.stringify(response)
+        }
+        this.responseCache.set(cacheKey, response)
+
+        const changedContent = this._getChangedContent(cachedContent, response)
+        if (changedContent === null) {
+          this.logger.info(`Cached response still up to date: ${aURL}`, 'core')
+          return
+        }
+
+        this.logger.info(`Cached response revalidated with changes: ${aURL}`, 'core')
+        this.myFSM.trigger('updateBlock', {
+          html: changedContent,
+          params: params,
+        })
+      })
+      .catch((error) => {
+        if (error.name === 'AbortError') {
+          this.logger.info(`Revalidation of the cached response superseded: ${aURL}`, 'core')
+          return
+        }
+        this.logger.warn(`Revalidation of the cached response failed: ${aURL}: ${error.toString()}`, 'core')
+      })
+      .finally(() => {
+        if (this.revalidatingRequests.get(cacheKey) === controller) {
+          this.revalidatingRequests.delete(cacheKey)
+        }
+        if (this.pendingRequests.get(requestKey) === controller) {
+          this.pendingRequests.delete(requestKey)
+        }
+      })
+  }
+
+  /**
+   * Aborts the background revalidation (cf. `_revalidateCachedResponse()`) in flight for a target, if any.
+   *
+   * @private
+   * @param {HTMLElement|string} requestKey - The target of the request (cf. `_getRequestKey()`).
+   * @returns {boolean} `true` if a revalidation has been aborted.
+   */
+  _abortRevalidation(requestKey) {
+    const controller = this.pendingRequests.get(requestKey)
+    const cacheKey = [...this.revalidatingRequests.keys()].find((key) => this.revalidatingRequests.get(key) === controller)
+    if (!controller || cacheKey === undefined) return false
+
+    controller.abort()
+    this.pendingRequests.delete(requestKey)
+    this.revalidatingRequests.delete(cacheKey)
+    return true
+  }
+
+  /**
+   * Compares a revalidated response with the cached one.
+   *
+   * For a Blapy page, only the blocks whose `data-blapy-container-content` changed are kept.
+   * Any other content (json, html to embed) is kept whole as soon as it differs.
+   *
+   * @private
+   * @param {string} cachedContent - The cached response.
+   * @param {string} freshContent - The revalidated response.
+   * @returns {string|null} The content to apply, or `null` if nothing changed.
+   */
+  _getChangedContent(cachedContent, freshContent) {
+    if (cachedContent === freshContent) return null
+
+    const cachedPage = document.createElement('template')
+    cachedPage.innerHTML = this.utils.toHTML(cachedContent)
+    const freshPage = document.createElement('template')
+    freshPage.innerHTML = this.utils.toHTML(freshContent)
+
+    const freshBlocks = freshPage.content.querySelectorAll('[data-blapy-container-name]')
+    if (freshBlocks.length === 0) return freshContent
+
+    let hasChanged = false
+    freshBlocks.forEach((freshBlock) => {
+      // nested block of an already removed one
+      if (!freshPage.content.contains(freshBlock)) return
+
+      const containerName = freshBlock.getAttribute('data-blapy-container-name')
+      const containerContent = freshBlock.getAttribute('data-blapy-container-content')
+      const cachedBlock = cachedPage.content.querySelector(`[data-blapy-container-name='${containerName}']`)
+
+      if (containerContent && cachedBlock?.getAttribute('data-blapy-container-content') === containerContent) {
+        freshBlock.remove()
+      } else {
+        hasChanged = true
+      }
+    })
+
+    return hasChanged ? freshPage.innerHTML : null
+  }
+
+  /**
+   * Removes all the responses kept by the client-side cache (cf. `data-blapy-cache`).
+   *
+   * @returns {void}
+   */
+  clearCache() {
+    this.responseCache.clear()
+  }
+
+  /**
+   * Registers an update strategy, usable by the Blapy blocks with `data-blapy-update="<name>"`.
+   * A strategy registered with the name of a built-in one ("update", "append", "json"...) overrides it.
+   *
+   * The strategy is called with the block of the page, the block with the same name in the loaded
+   * content and the update context `{name, blapy, params, local, changed, encodedContent, jsonFeatures}`.
+   * It may return a Promise: Blapy_afterContentChange is sent once it is resolved. If the block of the
+   * page has been replaced, it should return (or resolve to) the element now holding the content.
+   *
+   * @static
+   * @param {string} name - The name of the strategy.
+   * @param {Function} strategy - async function(liveBlock, incomingBlock, ctx).
+   * @returns {void}
+   *
+   * @example
+   * Blapy.registerUpdateStrategy('fade', async (liveBlock, incomingBlock, ctx) => {
+   *   if (!ctx.changed) return
+   *   await liveBlock.animate([{ opacity: 1 }, { opacity: 0 }], 200).finished
+   *   liveBlock.innerHTML = incomingBlock.innerHTML
+   *   await liveBlock.animate([{ opacity: 0 }, { opacity: 1 }], 200).finished
+   * })
+   */
+  static registerUpdateStrategy(name, strategy) {
+    if (typeof strategy !== 'function') {
+      throw new Error(`The update strategy "${name}" must be a function`)
+    }
+    updateStrategies.set(name, strategy)
+  }
+
+  /**
+   * Gets a registered update strategy.
+   *
+   * @static
+   * @param {string} name - The name of the strategy.
+   * @returns {Function|null} The strategy, or `null` if none is registered with this name.
+   */
+  static getUpdateStrategy(name) {
+    return updateStrategies.get(name) || null
+  }
+
+  /**
+   * Registers a data processor, usable by the json blocks with `data-blapy-template-init-processdata="<name>"`
+   * or, with arguments, `data-blapy-template-init-processdata="<name>(arg1,arg2)"`.
+   *
+   * @static
+   * @param {string} name - The name of the processor.
+   * @param {Function} processor - async function(jsonData, args, ctx) returning the processed json data
+   *        (cf. `TemplateManager.registerProcessor()`).
+   * @returns {void}
+   *
+   * @example
+   * Blapy.registerProcessor('limit', (items, [max]) => items.slice(0, parseInt(max)))
+   */
+  static registerProcessor(name, processor) {
+    TemplateManager.registerProcessor(name, processor)
+  }
+
+  /**
+   * Registers a partial, available to the templates of all the json blocks (eg. `{{> name}}` with Mustache),
+   * as the `<xmp data-blapy-partial="name">` elements of the page.
+   *
+   * @static
+   * @param {string} name - The name of the partial.
+   * @param {string} tpl - The template of the partial (cf. `TemplateManager.registerPartial()`).
+   * @returns {void}
+   *
+   * @example
+   * Blapy.registerPartial('row', '<tr><td>{{name}}</td><td>{{email}}</td></tr>')
+   */
+  static registerPartial(name, tpl) {
+    TemplateManager.registerPartial(name, tpl)
+  }
+
+  /**
+   * Registers a template engine, usable by the json blocks or their templates with `data-blapy-template-engine="<name>"`.
+   *
+   * @static
+   * @param {string} name - The name of the engine.
+   * @param {{compile?: Function, render: Function}} engine - compile(tpl, ctx) and render(compiled, data, ctx)
+   *        returning the html (cf. `TemplateManager.registerEngine()`).
+   * @returns {void}
+   *
+   * @example
+   * Blapy.registerTemplateEngine('literal', { render: (tpl, items) => items.map(item => `<li>${item.name}</li>`).join('') })
+   */
+  static registerTemplateEngine(name, engine) {
+    TemplateManager.registerEngine(name, engine)
+  }
+
+  /**
+   * Registers a sanitizer, usable by the blocks with `data-blapy-sanitize="<name>"`.
+   *
+   * @static
+   * @param {string} name - The name of the sanitizer ("strict" and "basic" may be overridden).
+   * @param {Function|Object} sanitizer - function(html, ctx) returning the sanitized html,
+   *        or an allowlist profile {tags, attributes, urlSchemes} (cf. `Sanitizer.register()`).
+   * @returns {void}
+   *
+   * @example
+   * Blapy.registerSanitizer('comments', { tags: ['p', 'a', 'em'], attributes: { a: ['href'] }, urlSchemes: ['https'] })
+   * Blapy.registerSanitizer('purify', html => DOMPurify.sanitize(html))
+   */
+  static registerSanitizer(name, sanitizer) {
+    Sanitizer.register(name, sanitizer)
+  }
+
+  /**
+   * Applies the request policy when a request arrives while another one is in flight,
+   * once per request, as soon as it is triggered (not once it is about to be sent).
+   *
+   * - replace: the in-flight request of the same target is aborted, so its response never reaches `pageLoaded`.
+   * - queue: the new request waits for the in-flight one to be processed.
+   * - drop: the new request is ignored.
+   *
+   * @private
+   * @param {Object} data - The `loadUrl`/`postData` event data.
+   * @returns {boolean} `false` if the new request must be dropped.
+   */
+  _applyRequestPolicy(data) {
+    if (!data?.aUrl || data.requestPolicyApplied) return true
+    data.requestPolicyApplied = true
+
+    // a background revalidation never holds a newer request back
+    if (this._abortRevalidation(this._getRequestKey(data))) return true
+
+    const controller = this.pendingRequests.get(this._getRequestKey(data))
+    if (!controller || controller.signal.aborted) return true
+
+    switch (this._getRequestPolicy(data)) {
+      case 'drop':
+        this.logger.info(`Request dropped, one is already in flight: ${data.aUrl}`, 'core')
+        this._rejectRequest(data.requestId, new BlapyRequestError(`Request dropped: ${data.aUrl}`, { code: 'dropped', url: data.aUrl }))
+        return false
+      case 'queue':
+        return true
+      case 'replace':
+      default:
+        this.logger.info(`Superseded request aborted for: ${data.aUrl}`, 'core')
+        controller.abort()
+        return true
+    }
+  }
+
+  /**
+   * - If the router (Navigo) is enabled and initialized, it will handle the navigation.
+   * - Otherwise, it falls back to the Blapy FSM system and triggers a `loadUrl` event (cf. `load()`).
+   *
+   * @param {string} url - The destination URL.
+   * @param {Object} [options={}] - Additional navigation options.
+   * @param {Object} [options.params] - Query parameters or payload for the navigation.
+   * @param {boolean} [options.noBlapyData] - If `true`, prevents Blapy data processing.
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} Resolves once all the blocks are updated,
+   *          rejects with a BlapyRequestError if the request failed or the navigation has been cancelled.
+   */
+  navigate(url, options = {}) {
+    if (this.opts.enableRouter && this.router.isInitialized) {
+      // Use the router (Navigo) for navigation
+      return this._trackRequest(url, (requestId) => this.router.navigate(url, { ...options, requestId }))
+    }
+
+    // Standard navigation without router - using the FSM
+    return this.load(url, options)
+  }
+
+  /**
+   * Destroys the Blapy instance.
+   *
+   * Aborts the requests in flight (their Promises are rejected), removes the listeners
+   * of the instance and of its router, the observer of the blocks updated on display,
+   * the update intervals and the websocket, then detaches the FSM from the container.
+   * Calling `element.Blapy()` afterwards creates a fresh instance.
+   *
+   * @returns {void}
+   *
+   * @example
+   * const blapy = document.getElementById('myApp').Blapy()
+   * // ... when the application is unmounted
+   * blapy.destroy()
+   */
+  destroy() {
+    if (this.isDestroyed) return
+    this.isDestroyed = true
+
+    this.pendingRequests.forEach((controller) => controller.abort())
+    this.pendingRequests.clear()
+    this.requestPromises.forEach(({ reject }) => {
+      reject(new BlapyRequestError('The Blapy instance has been destroyed', { code: 'aborted' }))
+    })
+    this.requestPromises.clear()
+    this.subscriptions.clear()
+
+    this.listeners.abort()
+    this.displayObserver?.disconnect()
+    this.displayObserver = null
+
+    this.blapyBlocks.destroy()
+    this.router.destroy()
+
+    if (this.websocket) {
+      this.websocket.disconnect()
+      this.websocket = null
+    }
+
+    this._detachFSM()
+
+    if (this.container._blapyInstance === this) {
+      delete this.container._blapyInstance
+    }
+
+    this.logger.info(`Blapy instance (#${this.myUIObjectID}) destroyed`, 'core')
+  }
+
+  /**
+   * Creates the FSM on the container, keeping the jQuery handlers it binds on the
+   * document (or the window) to remove them on destroy().
+   *
+   * @private
+   * @param {Object} managerBlapy - The state definition of the FSM.
+   * @returns {Object} The FSM.
+   */
+  _createFSM(managerBlapy) {
+    const $ = globalThis.jQuery
+    const on = $.fn.on
+    const fsmHandlers = []
+
+    $.fn.on = function (types, selector, handler) {
+      if (this[0] === document || this[0] === window) {
+        fsmHandlers.push({ target: this[0], types, selector, handler })
+      }
+      return on.apply(this, arguments)
+    }
+    try {
+      $(this.myUIObject).iFSM(managerBlapy, this.optsIfsm)
+    } finally {
+      $.fn.on = on
+    }
+
+    this.fsmHandlers = fsmHandlers
+    return $(this.myUIObject).getFSM(managerBlapy)
+  }
+
+  /**
+   * Detaches the FSM from the container: the jQuery handlers it bound are removed
+   * and it is removed from the FSMs of the container. Its delayed events still
+   * pending are refused once they fire (cf. `process_event_if` of `loadUrl`/`requestWaiting`).
+   *
+   * @private
+   * @returns {void}
+   */
+  _detachFSM() {
+    const fsm = this.myFSM
+    const $ = globalThis.jQuery
+    this.myFSM = null
+    if (!fsm || !$) return
+
+    this.fsmHandlers.forEach(({ target, types, selector, handler }) => $(target).off(types, selector, handler))
+    this.fsmHandlers = []
+
+    const containerFSMs = $(this.myUIObject).getFSM() || []
+    const fsmIndex = containerFSMs.indexOf(fsm)
+    if (fsmIndex >= 0) containerFSMs.splice(fsmIndex, 1)
+  }
+
+  /**
+   * Loads a URL (GET) and applies its content on the Blapy blocks.
+   *
+   * @param {string} url - The URL to load.
+   * @param {Object} [options={}] - Request options.
+   * @param {Object} [options.params={}] - Parameters sent with the request.
+   * @param {string} [options.embeddingBlockId] - Name of the Blapy block to embed the response in.
+   * @param {string} [options.templateId] - Template of the embedding block to use.
+   * @param {boolean} [options.noBlapyData] - If `true`, the Blapy parameters are not sent.
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} Resolves once all the blocks are updated,
+   *          rejects with a BlapyRequestError if the request failed or has been cancelled.
+   *
+   * @example
+   * const { updatedBlocks } = await blapy.load('/news.php', { embeddingBlockId: 'news' })
+   */
+  load(url, options = {}) {
+    return this._sendRequest('loadUrl', this._getRequestData(url, options, 'GET'))
+  }
+
+  /**
+   * Posts data to a URL and applies the returned content on the Blapy blocks.
+   *
+   * @param {string} url - The URL to post to.
+   * @param {Object} [data={}] - The posted data.
+   * @param {Object} [options={}] - Request options (cf. `load()`), plus:
+   * @param {string} [options.method='POST'] - The HTTP method ('POST', 'PUT', 'DELETE'...).
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} Resolves once all the blocks are updated,
+   *          rejects with a BlapyRequestError if the request failed or has been cancelled.
+   */
+  post(url, data = {}, options = {}) {
+    return this._sendRequest('postData', this._getRequestData(url, {
+      ...options,
+      params: { ...(options.params || {}), ...data },
+    }, options.method || 'POST'))
+  }
+
+  /**
+   * Updates a Blapy block with the given content, without any request.
+   *
+   * @param {string} name - The name of the Blapy block (data-blapy-container-name).
+   * @param {string|Object|Array} content - The html, or the json data of a json block.
+   * @param {Object} [options={}] - Update options.
+   * @param {string} [options.templateId] - Template of the block to use.
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} Resolves once the block is updated.
+   */
+  updateBlock(name, content, options = {}) {
+    const params = { embeddingBlockId: name }
+    if (options.templateId) params.templateId = options.templateId
+
+    return this._sendRequest('updateBlock', {
+      html: content,
+      params,
+    })
+  }
+
+  /**
+   * Reloads a json Blapy block from its `data-blapy-template-init` URL.
+   *
+   * @param {string} name - The name of the Blapy block (data-blapy-container-name).
+   * @param {Object} [options={}] - Reload options.
+   * @param {string} [options.templateId] - Template of the block to use.
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} Resolves once the data of the block are loaded and displayed, rejects if they can't be.
+   */
+  reloadBlock(name, options = {}) {
+    const params = { embeddingBlockId: name }
+    if (options.templateId) params.templateId = options.templateId
+
+    return this._sendRequest('reloadBlock', { params })
+  }
+
+  /**
+   * Builds the event data of a request of the Promise-based API.
+   *
+   * @private
+   * @param {string} url - The URL.
+   * @param {Object} options - The request options.
+   * @param {string} method - The HTTP method.
+   * @returns {Object} The `loadUrl`/`postData` event data.
+   */
+  _getRequestData(url, options, method) {
+    const params = { ...(options.params || {}) }
+    if (options.embeddingBlockId) params.embeddingBlockId = options.embeddingBlockId
+    if (options.templateId) params.templateId = options.templateId
+
+    return {
+      aUrl: url,
+      params,
+      method: method.toUpperCase(),
+      aObjectId: this.myUIObjectID,
+      noBlapyData: options.noBlapyData,
+    }
+  }
+
+  /**
+   * Sends an event to the FSM with a new request id, and returns the Promise settled
+   * when the request identified by this id ends (cf. `_resolveRequest()`, `_rejectRequest()`).
+   *
+   * @private
+   * @param {string} eventName - The FSM event ('loadUrl', 'postData', 'updateBlock', 'reloadBlock').
+   * @param {Object} data - The event data.
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} The request Promise.
+   */
+  _sendRequest(eventName, data) {
+    return this._trackRequest(data.aUrl, (requestId) => this.myFSM.trigger(eventName, { ...data, requestId }))
+  }
+
+  /**
+   * Sends a request with a new request id, and returns the Promise settled when it ends.
+   *
+   * @private
+   * @param {string|undefined} url - The URL of the request, for the error of a destroyed instance.
+   * @param {Function} send - function(requestId) sending the request.
+   * @returns {Promise<{updatedBlocks: HTMLElement[], response: *}>} The request Promise.
+   */
+  _trackRequest(url, send) {
+    if (this.isDestroyed) {
+      return Promise.reject(new BlapyRequestError('The Blapy instance has been destroyed', { code: 'aborted', url }))
+    }
+
+    const requestId = ++this.lastRequestId
+
+    return new Promise((resolve, reject) => {
+      this.requestPromises.set(requestId, { resolve, reject })
+      send(requestId)
+    })
+  }
+
+  /**
+   * Resolves the Promise of a request, if any is waiting for it.
+   *
+   * @private
+   * @param {number|undefined} requestId - The request id.
+   * @param {{updatedBlocks: HTMLElement[], response: *}} result - The request result.
+   * @returns {void}
+   */
+  _resolveRequest(requestId, result) {
+    const requestPromise = this.requestPromises.get(requestId)
+    if (!requestPromise) return
+
+    this.requestPromises.delete(requestId)
+    requestPromise.resolve(result)
+  }
+
+  /**
+   * Rejects the Promise of a request, if any is waiting for it.
+   *
+   * @private
+   * @param {number|undefined} requestId - The request id.
+   * @param {BlapyRequestError} error - The error.
+   * @returns {void}
+   */
+  _rejectRequest(requestId, error) {
+    const requestPromise = this.requestPromises.get(requestId)
+    if (!requestPromise) return
+
+    this.requestPromises.delete(requestId)
+    requestPromise.reject(error)
+  }
+
+  /**
+   * Embeds an HTML source into a specific Blapy block.
+   *
+   * This method takes an HTML string or DOM element and inserts it into a Blapy block
+   * identified by its `data-blapy-container-name` attribute.
+   *
+   * If the target block uses JSON templates, the content will be encoded as a base64 string
+   * inside an `<xmp class="blapybin">` tag before being injected.
+   *
+   * @param {string|Element} aHtmlSource - The HTML content or DOM element to embed.
+   * @param {string} aBlapyBlockIdName - The name of the target Blapy block (data-blapy-container-name).
+   * @returns {string} The resulting embedded HTML source as a string.
+   *
+   * @throws {Error} Logs an error if the specified Blapy block does not exist.
+   */
+  embedHTMLPage(aHtmlSource, aBlapyBlockIdName) {
+    this.logger.info('embedHTML', 'core')
+
+    const htmlBlapyBlock = this.myUIObject.querySelector('[data-blapy-container-name=\'' + aBlapyBlockIdName + '\']')
+
+    if (!htmlBlapyBlock) {
+      this.logger.error(`embedHtmlPage: Error on blapy-container-name... ${aBlapyBlockIdName} does not exist!`)
+      return ''
+    }
+
+    if (htmlBlapyBlock.getAttribute('data-blapy-update') === 'json' &&
+      htmlBlapyBlock.getAttribute('data-blapy-template-init-purejson') === '0') {
+      try {
+        if (aHtmlSource instanceof Element) {
+          aHtmlSource = aHtmlSource.innerHTML
+        }
+      } catch (e) {
+        this.logger.warn(`embedHtmlPage: aHtmlSource is perhaps a pure json after all...?\n${aHtmlSource.toString()} ${e.toString()}`)
+      }
+    }
+
+    const encodedSource = '<xmp class="blapybin">' + this.utils.utoa(aHtmlSource) + '</xmp>'
+
+    const tempElement = document.createElement('div')
+    tempElement.innerHTML = this.utils.toHTML(htmlBlapyBlock.outerHTML)
+    const newBlock = tempElement.firstElementChild
+
+    newBlock.innerHTML = this.utils.toHTML(encodedSource)
+
+    const currentContent = newBlock.getAttribute('data-blapy-container-content') || ''
+    newBlock.setAttribute('data-blapy-container-content', currentContent + '-' + Date.now())
+
+    newBlock.removeAttribute('id')
+
+    return newBlock.outerHTML
+  }
+
+  /**
+   * setBlapyJsonTemplates - prepare the json templates of the blapy blocks controlled with json (cf [data-blapy-update="json"])
+   * json templates are stored in a hidden xmp with a "data-blapy-container-tpl" attribute set
+   *
+   * @param  boolean forceReload reload initial json content
+   * @param  string (option/default:undefined) aEmbeddingBlock a specific block container name
+   * @param  string (option/default:undefined) aTemplateId     default template to set on the block
+   * @param  boolean (option/default:false) trackInitRequests track the requests of the initial json contents (cf. reloadBlock())
+   * @return Promise<Promise[]> the Promises of the tracked requests of the initial json contents
+   */
+  async setBlapyJsonTemplates(forceReload, aEmbeddingBlock, aTemplateId, trackInitRequests = false) {
+
+    this.logger.info('setBlapyJsonTemplates', 'core')
+
+    if (forceReload == undefined) forceReload = false
+
+    if (aEmbeddingBlock) {
       aEmbeddingBlock = `[data-blapy-container-name='${aEmbeddingBlock}']`
     } else {
       aEmbeddingBlock = ''
@@ -1026,11 +2363,12 @@ export class Blapy {
       })
     }
 
+    const initRequests = []
     let jsonBlocks = this.container.querySelectorAll('[data-blapy-update="json"]' + aEmbeddingBlock)
     if (jsonBlocks.length > 0) {
 
       for (const c of jsonBlocks) {
-        await this.templateManager.setBlapyContainerJsonTemplate(c, this, forceReload)
+        await this.templateManager.setBlapyContainerJsonTemplate(c, this, forceReload, trackInitRequests ? initRequests : null)
       }
 
       this.myFSM.trigger('blapyJsonTemplatesIsSet')
@@ -1038,6 +2376,7 @@ export class Blapy {
       this.myFSM.trigger('blapyJsonTemplatesIsSet')
     }
 
+    return initRequests
   }
 
   /**
@@ -1067,48 +2406,63 @@ export class Blapy {
       return
     }
 
-    const myBlapy = this
-
-    const observerCallback = (entries, observer) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const el = entry.target
-          if (!el.hasAttribute('data-blapy-appear')) {
-            el.setAttribute('data-blapy-appear', 'done')
-
-            this.logger.info(`Element became visible: ${el.getAttribute('data-blapy-container-name')}`, 'setBlapyUpdateOnDisplay')
+    // Observer chaque élément
+    elements.forEach(el => this._observeUpdateOnDisplay(el))
+  }
 
-            if (el.hasAttribute('data-blapy-href')) {
-              myBlapy.myFSM.trigger('loadUrl', {
-                aUrl: el.getAttribute('data-blapy-href'),
-                params: {},
-                aObjectId: myBlapy.myUIObjectID,
-                noBlapyData: el.getAttribute('data-blapy-noblapydata'),
-              })
-            } else if (el.hasAttribute('data-blapy-template-init')) {
-              const myContainerName = el.getAttribute('data-blapy-container-name')
-              myBlapy.myFSM.trigger('reloadBlock', {
-                params: { embeddingBlockId: myContainerName },
-              })
+  /**
+   * Observes an element with `data-blapy-updateblock-ondisplay`, so that it is loaded
+   * the first time it becomes visible. Observing an element twice has no effect.
+   *
+   * @private
+   * @param {HTMLElement} el - The element to observe.
+   * @returns {void}
+   */
+  _observeUpdateOnDisplay(el) {
+    if (el.hasAttribute('data-blapy-appear') || !('IntersectionObserver' in window)) return
+
+    if (!this.displayObserver) {
+      const myBlapy = this
+
+      const observerCallback = (entries, observer) => {
+        entries.forEach(entry => {
+          if (entry.isIntersecting) {
+            const el = entry.target
+            if (!el.hasAttribute('data-blapy-appear')) {
+              el.setAttribute('data-blapy-appear', 'done')
+
+              this.logger.info(`Element became visible: ${el.getAttribute('data-blapy-container-name')}`, 'setBlapyUpdateOnDisplay')
+
+              if (el.hasAttribute('data-blapy-href')) {
+                myBlapy.myFSM.trigger('loadUrl', {
+                  aUrl: el.getAttribute('data-blapy-href'),
+                  params: {},
+                  aObjectId: myBlapy.myUIObjectID,
+                  noBlapyData: el.getAttribute('data-blapy-noblapydata'),
+                  background: true,
+                })
+              } else if (el.hasAttribute('data-blapy-template-init')) {
+                const myContainerName = el.getAttribute('data-blapy-container-name')
+                myBlapy.myFSM.trigger('reloadBlock', {
+                  params: { embeddingBlockId: myContainerName },
+                })
+              }
             }
+            observer.unobserve(el)
           }
-          observer.unobserve(el)
-        }
+        })
+      }
+
+      // Création de l'observer, shared by all the elements
+      this.displayObserver = new IntersectionObserver(observerCallback, {
+        root: null,          // viewport
+        rootMargin: '0px',
+        threshold: 0.1,       // déclenche quand 10% de l'élément est visible
       })
     }
 
-    // Création de l'observer
-    const observer = new IntersectionObserver(observerCallback, {
-      root: null,          // viewport
-      rootMargin: '0px',
-      threshold: 0.1,       // déclenche quand 10% de l'élément est visible
-    })
-
-    // Observer chaque élément
-    elements.forEach(el => {
-      this.logger.info(`Observing element: ${el.getAttribute('data-blapy-container-name')}`, 'setBlapyUpdateOnDisplay')
-      observer.observe(el)
-    })
+    this.logger.info(`Observing element: ${el.getAttribute('data-blapy-container-name')}`, 'setBlapyUpdateOnDisplay')
+    this.displayObserver.observe(el)
   }
 
   /**
@@ -1141,7 +2495,10 @@ export class Blapy {
       'data-blapy-container-name': aJsonObject['blapy-container-name'],
       'data-blapy-container-content': aJsonObject['blapy-container-content'],
       'data-blapy-update': 'json',
-    }).html(JSON.stringify(aJsonObject['blapy-data']))
+    })
+
+    const blapyData = JSON.stringify(aJsonObject['blapy-data'])
+    if (blapyData !== undefined) htmlBlapyBlock[0].innerHTML = this.utils.toHTML(blapyData)
 
     return htmlBlapyBlock
   }
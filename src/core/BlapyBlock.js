@@ -47,6 +47,7 @@ export class BlapyBlock {
         this.blocks = new Map();
         this.intervalsSet = new Map();
         this.blapy = null;
+        this.observer = null;
 
         this.logger.info('BlapyBlocks initialized', 'blocks');
     }
@@ -71,21 +72,248 @@ export class BlapyBlock {
 
         const blapyContainers = container.querySelectorAll('[data-blapy-container="true"]');
 
-        blapyContainers.forEach(block => {
-            const blockName = block.getAttribute('data-blapy-container-name');
-            if (blockName) {
-                // Only the element is cached
-                this.blocks.set(blockName, {
-                    element: block,
-                    name: blockName
+        blapyContainers.forEach(block => this._registerBlock(block));
+    }
+
+    /**
+     * Keeps the registered blocks in sync with the DOM of the container.
+     *
+     * A MutationObserver watches the blocks inserted or removed by the updates, the json
+     * templates or any other script:
+     * - an inserted block is registered (`Blapy_blockAdded`), its update interval, its update
+     *   on display and, if it is a json block not rendered by another json block, its template are set up;
+     * - a removed block is unregistered (`Blapy_blockRemoved`) and its update interval is cleared.
+     *
+     * @param {HTMLElement} container - The main container element.
+     * @returns {void}
+     */
+    observeBlocks(container) {
+        if (this.observer || typeof MutationObserver === 'undefined') return;
+
+        this.observer = new MutationObserver(mutations => this._onMutations(mutations));
+        this.observer.observe(container, { childList: true, subtree: true });
+
+        this.logger.info('Observing the Blapy blocks', 'blocks');
+    }
+
+    /**
+     * Handles the nodes inserted in or removed from the container.
+     *
+     * @private
+     * @param {MutationRecord[]} mutations - The mutations.
+     * @returns {void}
+     */
+    _onMutations(mutations) {
+        const removedElements = new Set();
+        const addedElements = new Set();
+
+        mutations.forEach(mutation => {
+            mutation.removedNodes.forEach(node => this._collectElements(node, removedElements));
+            mutation.addedNodes.forEach(node => this._collectElements(node, addedElements));
+        });
+
+        addedElements.forEach(element => {
+            if (!element.isConnected) return;
+
+            if (element.matches('[data-blapy-container="true"]') && this._registerBlock(element)) {
+                this.blapy?.trigger('Blapy_blockAdded', {
+                    name: element.getAttribute('data-blapy-container-name'),
+                    element
                 });
-                this.logger.info(`Block registered: ${blockName}`, 'blocks');
-            } else {
-                this.logger.warn('Block without container name found', 'blocks');
+
+                if (element.getAttribute('data-blapy-update') === 'json' &&
+                    !element.parentElement?.closest('[data-blapy-update="json"]')) {
+                    this.templateManager.setBlapyContainerJsonTemplate(element, this.blapy)
+                        .catch(error => this.logger.error(`The json block ${element.getAttribute('data-blapy-container-name')} was not rendered: ${error.toString()}`, 'blocks'));
+                }
+            }
+
+            if (element.hasAttribute('data-blapy-updateblock-time')) {
+                this._setBlockInterval(element);
+            }
+
+            if (element.hasAttribute('data-blapy-updateblock-ondisplay')) {
+                this.blapy?._observeUpdateOnDisplay(element);
+            }
+        });
+
+        // after the additions, so that a replaced block keeps its state
+        removedElements.forEach(element => {
+            // moved elements are still in the page
+            if (element.isConnected) return;
+
+            this._clearBlockInterval(element);
+            if (element.matches('[data-blapy-container="true"]')) {
+                this._unregisterBlock(element);
             }
         });
     }
 
+    /**
+     * Collects a node and its descendant elements that are Blapy blocks or have an update interval.
+     *
+     * @private
+     * @param {Node} node - The inserted or removed node.
+     * @param {Set<HTMLElement>} elements - The collected elements.
+     * @returns {void}
+     */
+    _collectElements(node, elements) {
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+        const selector = '[data-blapy-container="true"], [data-blapy-updateblock-time], [data-blapy-updateblock-ondisplay]';
+
+        if (node.matches(selector)) elements.add(node);
+        node.querySelectorAll(selector).forEach(element => elements.add(element));
+    }
+
+    /**
+     * Registers a block by its name.
+     *
+     * @private
+     * @param {HTMLElement} block - The Blapy block.
+     * @returns {boolean} `true` if the block has been registered, `false` if it has no name or is already registered.
+     */
+    _registerBlock(block) {
+        const blockName = block.getAttribute('data-blapy-container-name');
+        if (!blockName) {
+            this.logger.warn('Block without container name found', 'blocks');
+            return false;
+        }
+
+        const registeredBlock = this.blocks.get(blockName);
+        if (registeredBlock?.element === block) return false;
+
+        // Only the element and its state are cached, a block replaced by an update keeps its state
+        this.blocks.set(blockName, {
+            element: block,
+            name: blockName,
+            state: registeredBlock?.state || this._createBlockState(block)
+        });
+        this.logger.info(`Block registered: ${blockName}`, 'blocks');
+        return true;
+    }
+
+    /**
+     * Creates the initial state of a block.
+     *
+     * @private
+     * @param {HTMLElement} block - The Blapy block.
+     * @returns {Object} The state of the block (cf. `getBlock()`).
+     */
+    _createBlockState(block) {
+        let jsonData = null;
+        const currentJsonData = block.getAttribute('data-blapy-json-data');
+        if (currentJsonData) {
+            try {
+                jsonData = JSON.parse(currentJsonData);
+            } catch {
+                this.logger.warn(`Could not parse the json data of the block ${block.getAttribute('data-blapy-container-name')}`, 'blocks');
+            }
+        }
+
+        return {
+            lastUpdated: null,
+            loading: false,
+            error: null,
+            sourceUrl: null,
+            jsonData
+        };
+    }
+
+    /**
+     * Returns the current state of a registered block.
+     *
+     * @param {string} name - The name of the block (data-blapy-container-name).
+     * @returns {Object|null} The state of the block, `null` if no block has this name:
+     *   - name: the name of the block
+     *   - element: the block element
+     *   - contentId: its content identifier (data-blapy-container-content)
+     *   - lastUpdated: the timestamp of the last update it received, `null` if none
+     *   - loading: `true` while a request targeting it is in flight
+     *   - error: the BlapyRequestError of the last request targeting it, `null` if it succeeded
+     *   - sourceUrl: the URL of the response it was last updated from, `null` if none
+     *   - jsonData: the json data it renders (json and json-append blocks), `null` if none
+     *
+     * @example
+     * const { loading, lastUpdated } = blapy.blapyBlocks.getBlock('news');
+     */
+    getBlock(name) {
+        const block = this.blocks.get(name);
+        return block ? this._getBlockSnapshot(block) : null;
+    }
+
+    /**
+     * Returns the current state of all the registered blocks.
+     *
+     * @returns {Object[]} The states of the blocks (cf. `getBlock()`).
+     */
+    listBlocks() {
+        return Array.from(this.blocks.values(), block => this._getBlockSnapshot(block));
+    }
+
+    /**
+     * Changes the state of a block and notifies its subscribers (`blapy.on('block:<name>', handler)`).
+     *
+     * @param {string} name - The name of the block.
+     * @param {Object} changes - The state properties to change (lastUpdated, loading, error, sourceUrl, jsonData).
+     * @returns {void}
+     */
+    updateBlockState(name, changes) {
+        const block = this.blocks.get(name);
+        if (!block) return;
+
+        const isChanged = Object.keys(changes).some(key => block.state[key] !== changes[key]);
+        if (!isChanged) return;
+
+        Object.assign(block.state, changes);
+        this.blapy?._emit(`block:${name}`, this._getBlockSnapshot(block));
+    }
+
+    /**
+     * Builds the public state of a registered block.
+     *
+     * @private
+     * @param {Object} block - The registered block.
+     * @returns {Object} The state of the block (cf. `getBlock()`).
+     */
+    _getBlockSnapshot(block) {
+        let element = block.element;
+
+        // the block has been replaced by an update, the observer has not registered the new one yet
+        if (!element.isConnected) {
+            element = this.blapy?.myUIObject.querySelector(`[data-blapy-container-name='${block.name}']`) || element;
+        }
+
+        return {
+            name: block.name,
+            element,
+            contentId: element.getAttribute('data-blapy-container-content'),
+            ...block.state
+        };
+    }
+
+    /**
+     * Unregisters a block removed from the page.
+     *
+     * @private
+     * @param {HTMLElement} block - The removed Blapy block.
+     * @returns {void}
+     */
+    _unregisterBlock(block) {
+        const blockName = block.getAttribute('data-blapy-container-name');
+
+        // the block has already been replaced by a block with the same name
+        if (this.blocks.get(blockName)?.element === block) {
+            this.blocks.delete(blockName);
+        }
+
+        this.logger.info(`Block removed: ${blockName}`, 'blocks');
+        this.blapy?.trigger('Blapy_blockRemoved', {
+            name: blockName,
+            element: block
+        });
+    }
+
     /**
      * Configures automatic update intervals for Blapy blocks.
      *
@@ -113,45 +341,86 @@ export class BlapyBlock {
 
         const blocksWithInterval = this.blapy.myUIObject.querySelectorAll('[data-blapy-updateblock-time]');
 
-        let intervalIndex = 0;
+        blocksWithInterval.forEach(block => this._setBlockInterval(block));
 
-        blocksWithInterval.forEach(block => {
-            const updateTime = parseInt(block.getAttribute('data-blapy-updateblock-time'));
-            const href = block.getAttribute('data-blapy-href');
-            const containerName = block.getAttribute('data-blapy-container-name');
-            const noBlapyData = block.getAttribute('data-blapy-noblapydata');
+        this.logger.info(`Total intervals set: ${this.intervalsSet.size}`, 'blocks');
+    }
 
-            if (updateTime && href) {
-                this.logger.info(`Setting interval for ${containerName}: ${updateTime}ms`, 'blocks');
+    /**
+     * Sets (or resets) the update interval of a block, from its `data-blapy-updateblock-time`
+     * and `data-blapy-href` attributes.
+     *
+     * @private
+     * @param {HTMLElement} block - The block to update periodically.
+     * @returns {void}
+     */
+    _setBlockInterval(block) {
+        this._clearBlockInterval(block);
 
-                const finalUrl = href + '?blapyContainerName=' + containerName;
+        const updateTime = parseInt(block.getAttribute('data-blapy-updateblock-time'));
+        const href = block.getAttribute('data-blapy-href');
+        const containerName = block.getAttribute('data-blapy-container-name');
+        const noBlapyData = block.getAttribute('data-blapy-noblapydata');
 
-                const intervalId = setInterval(() => {
-                    this.logger.info(`Interval triggered for ${containerName}`, 'blocks');
+        if (updateTime && href) {
+            this.logger.info(`Setting interval for ${containerName}: ${updateTime}ms`, 'blocks');
 
-                    this.blapy.myFSM.trigger('loadUrl', {
-                        aUrl: finalUrl,
-                        params: {},
-                        aObjectId: this.blapy.myUIObjectID,
-                        noBlapyData: noBlapyData
-                    });
-                }, updateTime);
+            const finalUrl = href + '?blapyContainerName=' + containerName;
 
-                this.intervalsSet.set(intervalIndex, intervalId);
-                intervalIndex++;
+            const intervalId = setInterval(() => {
+                this.logger.info(`Interval triggered for ${containerName}`, 'blocks');
 
-                this.logger.info(`✅ Interval set for ${containerName}: ${updateTime}ms (index: ${intervalIndex - 1})`, 'blocks');
-            } else {
-                if (!updateTime) {
-                    this.logger.warn(`Block ${containerName} has no update time`, 'blocks');
-                }
-                if (!href) {
-                    this.logger.warn(`Block ${containerName} has no href`, 'blocks');
-                }
+                this.blapy.myFSM.trigger('loadUrl', {
+                    aUrl: finalUrl,
+                    params: {},
+                    aObjectId: this.blapy.myUIObjectID,
+                    noBlapyData: noBlapyData,
+                    source: block,
+                    background: true
+                });
+            }, updateTime);
+
+            this.intervalsSet.set(block, intervalId);
+
+            this.logger.info(`✅ Interval set for ${containerName}: ${updateTime}ms`, 'blocks');
+        } else {
+            if (!updateTime) {
+                this.logger.warn(`Block ${containerName} has no update time`, 'blocks');
             }
-        });
+            if (!href) {
+                this.logger.warn(`Block ${containerName} has no href`, 'blocks');
+            }
+        }
+    }
 
-        this.logger.info(`Total intervals set: ${this.intervalsSet.size}`, 'blocks');
+    /**
+     * Clears the update interval of a block, if any.
+     *
+     * @private
+     * @param {HTMLElement} block - The block.
+     * @returns {void}
+     */
+    _clearBlockInterval(block) {
+        if (!this.intervalsSet.has(block)) return;
+
+        clearInterval(this.intervalsSet.get(block));
+        this.intervalsSet.delete(block);
+    }
+
+    /**
+     * Stops observing the blocks and their automatic updates, and forgets them.
+     *
+     * @returns {void}
+     */
+    destroy() {
+        this.observer?.disconnect();
+        this.observer = null;
+        this.intervalsSet.forEach(interval => clearInterval(interval));
+        this.intervalsSet.clear();
+        this.blocks.clear();
+        this.blapy = null;
+
+        this.logger.info('BlapyBlocks destroyed', 'blocks');
     }
 
 }
\ No newline at end of file
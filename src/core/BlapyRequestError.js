@@ -0,0 +1,93 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/BlapyRequestError.js
+ * BlapyRequestError : error rejecting the Promises of the Blapy public API
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview Typed error of the Blapy requests (load, post, updateBlock, reloadBlock) -
+ *               its `code` tells why the request did not update the page.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ */
+
+export class BlapyRequestError extends Error {
+  /**
+   * Creates a BlapyRequestError.
+   *
+   * @param {string} message - The error message.
+   * @param {Object} [details={}] - The error details.
+   * @param {string} [details.code='error'] - Why the request failed:
+   *        'http' (non 2xx status), 'timeout', 'network', 'aborted' (superseded by a newer request),
+   *        'dropped' (by the request policy), 'cancelled' (by a navigation guard) or 'update' (while updating the blocks).
+   * @param {string} [details.url] - The requested URL.
+   * @param {number|null} [details.status=null] - The HTTP status, if any.
+   * @param {string|null} [details.statusText=null] - The HTTP status text, if any.
+   * @param {string|null} [details.body=null] - The body of the error response, if any.
+   * @param {string|null} [details.blockId=null] - The name of the Blapy block targeted by the request, if any.
+   * @param {Error} [details.cause] - The original error.
+   */
+  constructor(message, { code = 'error', url, status = null, statusText = null, body = null, blockId = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined)
+    this.name = 'BlapyRequestError'
+    this.code = code
+    this.url = url
+    this.status = status
+    this.statusText = statusText
+    this.body = body
+    this.blockId = blockId
+  }
+
+  /**
+   * Gives the details of the error as a plain object (eg. to render them in an error template).
+   *
+   * @returns {{message: string, code: string, url: string, status: number|null, statusText: string|null, body: string|null, blockId: string|null}}
+   */
+  toJSON() {
+    return {
+      message: this.message,
+      code: this.code,
+      url: this.url,
+      status: this.status,
+      statusText: this.statusText,
+      body: this.body,
+      blockId: this.blockId,
+    }
+  }
+
+  /**
+   * Wraps an error of the ajaxService.
+   *
+   * @static
+   * @param {Error} error - The error thrown by the ajaxService.
+   * @param {string} url - The requested URL.
+   * @param {string|null} [blockId=null] - The name of the Blapy block targeted by the request.
+   * @returns {BlapyRequestError} The typed error.
+   */
+  static from(error, url, blockId = null) {
+    let code = 'network'
+    if (error.name === 'AbortError') {
+      code = 'aborted'
+    } else if (error.status) {
+      code = 'http'
+    } else if (/timeout/i.test(error.message)) {
+      code = 'timeout'
+    }
+
+    return new BlapyRequestError(`${url}: ${error.message}`, {
+      code,
+      url,
+      status: error.status || null,
+      statusText: error.statusText || null,
+      body: error.responseText ?? null,
+      blockId,
+      cause: error,
+    })
+  }
+}
@@ -0,0 +1,246 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/DomMorph.js
+ * DomMorph : patches a live DOM block so it matches an incoming one
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview DOM morphing service for Blapy2 - used by the "morph" update mode to
+ *               update blocks without destroying focus, scroll, media or third-party state.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ */
+
+export class DomMorph {
+  /**
+   * Creates a DomMorph instance.
+   *
+   * @param {Logger} logger - The logging service instance.
+   * @param {Object} [options={}] - Morphing options.
+   * @param {string} [options.preserveAttribute='data-blapy-preserve'] - Attribute pinning a subtree the morph must never touch.
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger
+    this.options = {
+      preserveAttribute: 'data-blapy-preserve',
+      ...options,
+    }
+  }
+
+  /**
+   * Morphs the live node so that it matches the incoming node.
+   *
+   * Only the nodes and attributes that differ are patched: unchanged elements are
+   * kept as is, so focus, caret position, scroll offsets, open `<details>`,
+   * playing media and listeners attached by other scripts survive the update.
+   * Children are matched by `id` first, then by position and tag name.
+   *
+   * @param {HTMLElement} fromNode - The live DOM node to update.
+   * @param {HTMLElement} toNode - The incoming node (its children may be moved into the live DOM).
+   * @param {Object} [options={}] - Morph options.
+   * @param {boolean} [options.childrenOnly=false] - If true, the attributes of `fromNode` itself are left untouched.
+   * @returns {HTMLElement} The live node, which stays the same DOM element.
+   *
+   * @example
+   * domMorph.morph(document.getElementById('results'), incomingBlock)
+   */
+  morph(fromNode, toNode, options = {}) {
+    const { childrenOnly = false } = options
+
+    if (this._isPreserved(fromNode)) {
+      this.logger?.info('Morph skipped on a preserved block', 'domMorph')
+      return fromNode
+    }
+
+    if (!childrenOnly) {
+      this._morphAttributes(fromNode, toNode)
+    }
+    this._morphChildren(fromNode, toNode)
+
+    return fromNode
+  }
+
+  /**
+   * Tells if a node is pinned with the preserve attribute.
+   *
+   * @private
+   * @param {Node} node - The node to check.
+   * @returns {boolean} `true` if the morph must not touch the node.
+   */
+  _isPreserved(node) {
+    return node.nodeType === Node.ELEMENT_NODE &&
+      node.hasAttribute(this.options.preserveAttribute) &&
+      node.getAttribute(this.options.preserveAttribute) !== 'false'
+  }
+
+  /**
+   * Morphs a single node, recursing into its children when it is an element.
+   *
+   * @private
+   * @param {Node} fromNode - The live node.
+   * @param {Node} toNode - The incoming node of the same type and tag name.
+   * @returns {void}
+   */
+  _morphNode(fromNode, toNode) {
+    if (this._isPreserved(fromNode)) return
+
+    if (fromNode.nodeType !== Node.ELEMENT_NODE) {
+      if (fromNode.nodeValue !== toNode.nodeValue) {
+        fromNode.nodeValue = toNode.nodeValue
+      }
+      return
+    }
+
+    this._morphAttributes(fromNode, toNode)
+    this._morphFormState(fromNode, toNode)
+
+    // a textarea content is its value: the user input must not be overwritten by the children
+    if (fromNode.tagName === 'TEXTAREA') return
+
+    this._morphChildren(fromNode, toNode)
+  }
+
+  /**
+   * Synchronizes the attributes of the live element with the incoming one.
+   *
+   * @private
+   * @param {Element} fromEl - The live element.
+   * @param {Element} toEl - The incoming element.
+   * @returns {void}
+   */
+  _morphAttributes(fromEl, toEl) {
+    for (const attr of Array.from(toEl.attributes)) {
+      if (fromEl.getAttribute(attr.name) !== attr.value) {
+        fromEl.setAttribute(attr.name, attr.value)
+      }
+    }
+
+    for (const attr of Array.from(fromEl.attributes)) {
+      if (!toEl.hasAttribute(attr.name)) {
+        fromEl.removeAttribute(attr.name)
+      }
+    }
+  }
+
+  /**
+   * Synchronizes the form state (value, checked) that attributes do not reflect.
+   *
+   * The element having the focus is left alone so the user input and caret are kept.
+   *
+   * @private
+   * @param {Element} fromEl - The live element.
+   * @param {Element} toEl - The incoming element.
+   * @returns {void}
+   */
+  _morphFormState(fromEl, toEl) {
+    if (fromEl === document.activeElement) return
+
+    switch (fromEl.tagName) {
+      case 'INPUT':
+        if (fromEl.checked !== toEl.checked) fromEl.checked = toEl.checked
+        if (fromEl.type !== 'file' && fromEl.value !== toEl.value) fromEl.value = toEl.value
+        break
+      case 'TEXTAREA':
+        if (fromEl.value !== toEl.value) fromEl.value = toEl.value
+        break
+      case 'OPTION':
+        if (fromEl.selected !== toEl.hasAttribute('selected')) fromEl.selected = toEl.hasAttribute('selected')
+        break
+    }
+  }
+
+  /**
+   * Morphs the children of the live element into the children of the incoming one.
+   *
+   * @private
+   * @param {Element} fromEl - The live parent element.
+   * @param {Element} toEl - The incoming parent element.
+   * @returns {void}
+   */
+  _morphChildren(fromEl, toEl) {
+    let fromChild = fromEl.firstChild
+    let toChild = toEl.firstChild
+
+    while (toChild) {
+      const nextToChild = toChild.nextSibling
+      const toId = toChild.nodeType === Node.ELEMENT_NODE ? toChild.id : ''
+
+      // preserved nodes stay where they are, unless the incoming node claims them by id
+      while (fromChild && this._isPreserved(fromChild) && !(toId && fromChild.id === toId)) {
+        fromChild = fromChild.nextSibling
+      }
+
+      const match = this._findMatch(fromChild, toChild)
+
+      if (match && match.tagName !== toChild.tagName && !this._isPreserved(match)) {
+        // a live node of another tag holds the id: the incoming node replaces it, so that the id stays unique
+        if (match === fromChild) fromChild = fromChild.nextSibling
+        fromEl.removeChild(match)
+        fromEl.insertBefore(toChild, fromChild)
+      } else if (match) {
+        if (match !== fromChild) {
+          fromEl.insertBefore(match, fromChild)
+        } else {
+          fromChild = fromChild.nextSibling
+        }
+        this._morphNode(match, toChild)
+      } else {
+        fromEl.insertBefore(toChild, fromChild)
+      }
+
+      toChild = nextToChild
+    }
+
+    while (fromChild) {
+      const nextFromChild = fromChild.nextSibling
+      if (!this._isPreserved(fromChild)) {
+        fromEl.removeChild(fromChild)
+      }
+      fromChild = nextFromChild
+    }
+  }
+
+  /**
+   * Finds, among the remaining live siblings, the node to morph into the incoming one.
+   *
+   * @private
+   * @param {Node|null} fromChild - The first remaining live sibling.
+   * @param {Node} toChild - The incoming node.
+   * @returns {Node|null} The matching live node (with the same id, even of another tag), or `null` if the incoming node must be inserted.
+   */
+  _findMatch(fromChild, toChild) {
+    const toId = toChild.nodeType === Node.ELEMENT_NODE ? toChild.id : ''
+
+    if (toId) {
+      for (let node = fromChild; node; node = node.nextSibling) {
+        if (node.nodeType === Node.ELEMENT_NODE && node.id === toId) {
+          return node
+        }
+      }
+      return null
+    }
+
+    return fromChild && this._isCompatible(fromChild, toChild) ? fromChild : null
+  }
+
+  /**
+   * Tells if a live node can be morphed into the incoming one.
+   *
+   * @private
+   * @param {Node} fromNode - The live node.
+   * @param {Node} toNode - The incoming node.
+   * @returns {boolean} `true` if both nodes have the same type, tag name and no conflicting id.
+   */
+  _isCompatible(fromNode, toNode) {
+    if (fromNode.nodeType !== toNode.nodeType) return false
+    if (fromNode.nodeType !== Node.ELEMENT_NODE) return true
+    if (fromNode.tagName !== toNode.tagName) return false
+    return !fromNode.id || fromNode.id === toNode.id
+  }
+}
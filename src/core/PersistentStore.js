@@ -0,0 +1,273 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/PersistentStore.js
+ * PersistentStore : key/value store persisted in a Web Storage or in IndexedDB
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview Persistent store for Blapy2 - the storage shared by the response cache (cacheStorage)
+ *               and the template storage (templateStorage): the values are kept as json in a Web Storage
+ *               (keys prefixed by `storageKey`) or in an IndexedDB database named `storageKey`.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ *
+ * A Web Storage is read and written synchronously (getItem, setItem, removeItem, clearItems),
+ * while the async methods (get, set, delete, clear, getAll) work with both backends.
+ */
+
+export class PersistentStore {
+  /**
+   * Creates a PersistentStore instance.
+   *
+   * @param {Logger} logger - The logging service instance.
+   * @param {Object} options - Store options.
+   * @param {string|Storage|null} options.storage - 'local' (localStorage), 'session' (sessionStorage), 'indexeddb'
+   *        or any object implementing the Web Storage interface; anything else persists nothing.
+   * @param {string} options.storageKey - Prefix of the keys written in a Web Storage, or name of the IndexedDB database.
+   * @param {string} [options.storeName='entries'] - Name of the object store of the IndexedDB database.
+   * @param {string} [options.name='Storage'] - Name of the store in the logs (eg. 'Cache storage').
+   * @param {string} [options.logContext='storage'] - Context of the logs.
+   */
+  constructor(logger, options) {
+    this.logger = logger
+    this.options = {
+      storeName: 'entries',
+      name: 'Storage',
+      logContext: 'storage',
+      ...options,
+    }
+    this.database = null
+    this.isIndexedDB = this.options.storage === 'indexeddb' && typeof indexedDB !== 'undefined'
+    this.webStorage = this.options.storage === 'indexeddb' ? null : this._getWebStorage(this.options.storage)
+
+    if (this.options.storage === 'indexeddb' && !this.isIndexedDB) {
+      this.logger.warn(`${this.options.name} "indexeddb" not available`, this.options.logContext)
+    }
+  }
+
+  /**
+   * Tells if the values are persisted.
+   *
+   * @returns {boolean} `true` if there is a Web Storage or an IndexedDB database.
+   */
+  get isPersistent() {
+    return this.webStorage !== null || this.isIndexedDB
+  }
+
+  /**
+   * Reads a value from the Web Storage.
+   *
+   * @param {string} key - The key.
+   * @returns {*} The value, or `null` if it is missing or unreadable.
+   */
+  getItem(key) {
+    try {
+      const rawValue = this.webStorage?.getItem(this._getStorageKey(key))
+      return rawValue ? JSON.parse(rawValue) : null
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Writes a value in the Web Storage.
+   *
+   * @param {string} key - The key.
+   * @param {*} value - The value, stored as json.
+   * @returns {void}
+   * @throws {Error} If the Web Storage refuses it (eg. its quota is exceeded).
+   */
+  setItem(key, value) {
+    this.webStorage?.setItem(this._getStorageKey(key), JSON.stringify(value))
+  }
+
+  /**
+   * Removes a value from the Web Storage.
+   *
+   * @param {string} key - The key.
+   * @returns {void}
+   */
+  removeItem(key) {
+    this.webStorage?.removeItem(this._getStorageKey(key))
+  }
+
+  /**
+   * Removes all the values of the store from the Web Storage (the other keys are kept).
+   *
+   * @returns {void}
+   */
+  clearItems() {
+    if (!this.webStorage) return
+
+    const prefix = this.options.storageKey + ':'
+    const storageKeys = []
+    for (let i = 0; i < this.webStorage.length; i++) {
+      const storageKey = this.webStorage.key(i)
+      if (storageKey?.startsWith(prefix)) storageKeys.push(storageKey)
+    }
+    storageKeys.forEach((storageKey) => this.webStorage.removeItem(storageKey))
+  }
+
+  /**
+   * Reads a value.
+   *
+   * @async
+   * @param {string} key - The key.
+   * @returns {Promise<*>} The value, or `null` if there is none.
+   */
+  async get(key) {
+    if (!this.isIndexedDB) return this.getItem(key)
+
+    const store = await this._getObjectStore('readonly')
+    return (await this._request(store.get(key))) ?? null
+  }
+
+  /**
+   * Writes a value.
+   *
+   * @async
+   * @param {string} key - The key.
+   * @param {*} value - The value.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    if (!this.isIndexedDB) {
+      this.setItem(key, value)
+      return
+    }
+
+    const store = await this._getObjectStore('readwrite')
+    await this._request(store.put(value, key))
+  }
+
+  /**
+   * Removes a value.
+   *
+   * @async
+   * @param {string} key - The key.
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (!this.isIndexedDB) {
+      this.removeItem(key)
+      return
+    }
+
+    const store = await this._getObjectStore('readwrite')
+    await this._request(store.delete(key))
+  }
+
+  /**
+   * Removes all the values of the store.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    if (!this.isIndexedDB) {
+      this.clearItems()
+      return
+    }
+
+    const store = await this._getObjectStore('readwrite')
+    await this._request(store.clear())
+  }
+
+  /**
+   * Reads all the values of the store.
+   *
+   * @async
+   * @returns {Promise<Array<[string, *]>>} The keys and their value.
+   */
+  async getAll() {
+    if (!this.isIndexedDB) {
+      if (!this.webStorage) return []
+
+      const prefix = this.options.storageKey + ':'
+      const entries = []
+      for (let i = 0; i < this.webStorage.length; i++) {
+        const storageKey = this.webStorage.key(i)
+        if (!storageKey?.startsWith(prefix)) continue
+
+        const key = storageKey.slice(prefix.length)
+        const value = this.getItem(key)
+        if (value !== null) entries.push([key, value])
+      }
+      return entries
+    }
+
+    const store = await this._getObjectStore('readonly')
+    const [keys, values] = await Promise.all([this._request(store.getAllKeys()), this._request(store.getAll())])
+    return keys.map((key, i) => [key, values[i]])
+  }
+
+  /**
+   * Resolves a Web Storage option.
+   *
+   * @private
+   * @param {string|Storage|null} storage - The storage option.
+   * @returns {Storage|null} The Web Storage to persist the values in, or `null`.
+   */
+  _getWebStorage(storage) {
+    try {
+      if (storage === 'session') return window.sessionStorage
+      if (storage === 'local') return window.localStorage
+    } catch (error) {
+      this.logger.warn(`${this.options.name} "${storage}" not available: ${error.toString()}`, this.options.logContext)
+      return null
+    }
+
+    if (storage && typeof storage === 'object' && typeof storage.getItem === 'function') return storage
+
+    return null
+  }
+
+  /**
+   * Builds the Web Storage key of a key.
+   *
+   * @private
+   * @param {string} key - The key.
+   * @returns {string} The key used in the Web Storage.
+   */
+  _getStorageKey(key) {
+    return `${this.options.storageKey}:${key}`
+  }
+
+  /**
+   * Opens (once) the IndexedDB database and gives its object store.
+   *
+   * @private
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'.
+   * @returns {Promise<IDBObjectStore>} The store.
+   */
+  async _getObjectStore(mode) {
+    if (!this.database) {
+      const openRequest = indexedDB.open(this.options.storageKey, 1)
+      openRequest.onupgradeneeded = () => openRequest.result.createObjectStore(this.options.storeName)
+      this.database = this._request(openRequest)
+    }
+
+    const database = await this.database
+    return database.transaction(this.options.storeName, mode).objectStore(this.options.storeName)
+  }
+
+  /**
+   * Waits for an IndexedDB request.
+   *
+   * @private
+   * @param {IDBRequest} request - The request.
+   * @returns {Promise<*>} The result of the request.
+   */
+  _request(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/ResponseCache.js
+ * ResponseCache : client-side cache of the pages loaded by the Blapy links
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview Response cache for Blapy2 - keeps the responses of the Blapy requests in memory
+ *               (optionally backed by a Web Storage or IndexedDB) with max-age / stale-while-revalidate policies.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ */
+
+import { PersistentStore } from './PersistentStore.js'
+
+export class ResponseCache {
+  /**
+   * Creates a ResponseCache instance.
+   *
+   * @param {Logger} logger - The logging service instance.
+   * @param {Object} [options={}] - Cache options.
+   * @param {string|Storage} [options.storage='memory'] - 'memory', 'session' (sessionStorage), 'local' (localStorage),
+   *        'indexeddb' or any object implementing the Web Storage interface.
+   *        The IndexedDB responses are loaded in memory asynchronously (`ready` resolves once they are), the Web Storage ones on demand.
+   * @param {string} [options.storageKey='blapy2-cache'] - Prefix of the keys written in a Web Storage,
+   *        or name of the IndexedDB database.
+   * @param {number} [options.maxEntries=100] - Maximum number of responses kept in memory.
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger
+    this.options = {
+      storage: 'memory',
+      storageKey: 'blapy2-cache',
+      maxEntries: 100,
+      ...options,
+    }
+    this.entries = new Map()
+    this.store = new PersistentStore(logger, {
+      storage: this.options.storage,
+      storageKey: this.options.storageKey,
+      storeName: 'responses',
+      name: 'Cache storage',
+      logContext: 'cache',
+    })
+    this.ready = this.store.isIndexedDB ? this._loadStore() : Promise.resolve()
+  }
+
+  /**
+   * Parses a cache policy.
+   *
+   * @static
+   * @param {string|Object} directives - Cache-Control like directives (eg. "max-age=60, stale-while-revalidate=300"),
+   *        "no-store"/"false" to disable the cache, or an object `{maxAge, staleWhileRevalidate, methods}` (in seconds).
+   *        The "methods" directive (eg. "methods=GET POST") lists the HTTP methods whose responses may be cached.
+   * @returns {{maxAge: number, staleWhileRevalidate: number, methods?: string[]}|null} The policy, or `null` if nothing must be cached.
+   *
+   * @example
+   * ResponseCache.parsePolicy('max-age=60, stale-while-revalidate=300')
+   * // => { maxAge: 60, staleWhileRevalidate: 300 }
+   */
+  static parsePolicy(directives) {
+    if (!directives) return null
+
+    const policy = { maxAge: 0, staleWhileRevalidate: 0 }
+
+    if (typeof directives === 'object') {
+      policy.maxAge = Number(directives.maxAge) || 0
+      policy.staleWhileRevalidate = Number(directives.staleWhileRevalidate) || 0
+      if (Array.isArray(directives.methods)) policy.methods = directives.methods.map((method) => method.toUpperCase())
+    } else {
+      for (const directive of String(directives).split(',')) {
+        const [name, value] = directive.split('=').map((part) => part.trim().toLowerCase())
+        if (name === 'no-store' || name === 'false') return null
+        if (name === 'max-age') policy.maxAge = parseInt(value) || 0
+        if (name === 'stale-while-revalidate') policy.staleWhileRevalidate = parseInt(value) || 0
+        if (name === 'methods') policy.methods = (value || '').toUpperCase().split(/\s+/).filter(Boolean)
+      }
+    }
+
+    if (policy.maxAge <= 0 && policy.staleWhileRevalidate <= 0) return null
+
+    return policy
+  }
+
+  /**
+   * Builds the cache key of a request.
+   *
+   * @param {string} method - The HTTP method.
+   * @param {string} url - The request URL.
+   * @param {Object} [params={}] - The request parameters (their order does not matter).
+   * @returns {string} The cache key.
+   */
+  getKey(method, url, params = {}) {
+    const sortedParams = Object.keys(params || {})
+      .sort()
+      .map((name) => [name, params[name]])
+
+    return `${(method || 'GET').toUpperCase()} ${url} ${JSON.stringify(sortedParams)}`
+  }
+
+  /**
+   * Gets a cached response if it is still usable under the given policy.
+   *
+   * @param {string} key - The cache key.
+   * @param {{maxAge: number, staleWhileRevalidate: number}} policy - The cache policy of the request.
+   * @returns {{content: string, age: number, fresh: boolean}|null} The cached response
+   *          (`fresh` is false when it must be revalidated), or `null` if there is none.
+   */
+  get(key, policy) {
+    let entry = this.entries.get(key)
+
+    if (!entry && this.store.webStorage) {
+      entry = this.store.getItem(key)
+      if (entry) this.entries.set(key, entry)
+    }
+
+    if (!entry) return null
+
+    const age = (Date.now() - entry.storedAt) / 1000
+
+    if (age >= policy.maxAge + policy.staleWhileRevalidate) {
+      this.delete(key)
+      return null
+    }
+
+    // keep the most recently used entries at the end of the map
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+
+    return {
+      content: entry.content,
+      age,
+      fresh: age < policy.maxAge,
+    }
+  }
+
+  /**
+   * Stores a response.
+   *
+   * @param {string} key - The cache key.
+   * @param {string} content - The response content.
+   * @returns {void}
+   */
+  set(key, content) {
+    const entry = { content, storedAt: Date.now() }
+
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+
+    while (this.entries.size > this.options.maxEntries) {
+      this.delete(this.entries.keys().next().value)
+    }
+
+    if (this.store.isPersistent) {
+      this.store.set(key, entry).catch((error) => {
+        this.logger.warn(`Response not persisted in the cache storage: ${error.toString()}`, 'cache')
+      })
+    }
+  }
+
+  /**
+   * Removes a response from the cache.
+   *
+   * @param {string} key - The cache key.
+   * @returns {void}
+   */
+  delete(key) {
+    this.entries.delete(key)
+
+    if (this.store.isPersistent) {
+      this.store.delete(key).catch((error) => {
+        this.logger.warn(`Response not removed from the cache storage: ${error.toString()}`, 'cache')
+      })
+    }
+  }
+
+  /**
+   * Removes all the cached responses.
+   * A Web Storage is cleaned at once, an IndexedDB database asynchronously.
+   *
+   * @returns {void}
+   */
+  clear() {
+    this.entries.clear()
+
+    if (this.store.isPersistent) {
+      this.store.clear().catch((error) => {
+        this.logger.warn(`Cache storage not cleaned: ${error.toString()}`, 'cache')
+      })
+    }
+  }
+
+  /**
+   * Loads the responses of the IndexedDB database in memory, the most recent ones being kept.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _loadStore() {
+    try {
+      const storedEntries = await this.store.getAll()
+      storedEntries
+        .sort(([, entryA], [, entryB]) => entryA.storedAt - entryB.storedAt)
+        .slice(-this.options.maxEntries)
+        .forEach(([key, entry]) => {
+          // a response stored meanwhile is more recent
+          if (!this.entries.has(key)) this.entries.set(key, entry)
+        })
+    } catch (error) {
+      this.logger.warn(`Cache storage not read: ${error.toString()}`, 'cache')
+    }
+  }
+}
@@ -16,6 +16,8 @@
  * -----------------------------------------------------------------------------------------
  */
 
+import { BlapyRequestError } from './BlapyRequestError.js'
+
 export class Router {
   /**
    * Creates a new Router instance for Blapy V2.
@@ -25,10 +27,13 @@ export class Router {
    * @param {Object} [opts={}] - Optional configuration options.
    * @param {boolean} [opts.enableRouter=false] - Whether the router should be enabled.
    * @param {string} [opts.root='/'] - Root path for the router.
-   * @param {boolean} [opts.hash=false] - Whether to use hash-based routing.
+   * @param {boolean} [opts.hash=false] - Whether to use hash-based routing: the application URLs are kept in the
+   *        hash of the page (`#!/path?query`), so that reloading a page never asks the server for an application path.
    * @param {string} [opts.strategy='ONE'] - Routing strategy (e.g., 'ONE', 'ALL', etc.).
    * @param {boolean} [opts.noMatchWarning=false] - Whether to log a warning when no route matches.
    * @param {string} [opts.linksSelector='[data-blapy-link]'] - Selector for links that should be handled by the router.
+   * @param {boolean} [opts.historyRevalidate=false] - Whether the request of a history entry is sent again after its snapshot has been restored.
+   * @param {Array<Object>} [opts.routes=[]] - Route table (see `_collectRoutes`), completed by the `<template data-blapy-route>` of the container.
    */
   constructor(logger, blapy, opts = {}) {
     this.logger = logger
@@ -40,11 +45,32 @@ export class Router {
       strategy: 'ONE',
       noMatchWarning: false,
       linksSelector: '[data-blapy-link]',
+      historyRevalidate: false,
+      routes: [],
       ...opts,
     }
 
+    this.routes = []
+
     this.router = null
     this.isInitialized = false
+
+    // Block snapshots of the history entries of this page, by entry id
+    this.historySnapshots = new Map()
+    this.currentEntryId = null
+    this.entryCounter = 0
+
+    // Application URL of the current history entry, to ignore the hashchange following a handled popstate
+    this.currentLocation = null
+
+    // Position of the current entry in the browser history, to go back to it when a guard cancels a popstate
+    this.currentIndex = null
+    this.ignoreNextPopState = false
+    // Resolves the Promise of the history move whose popstate is ignored (cf. `_goInHistory`)
+    this.resolveIgnoredPopState = null
+
+    // Aborted by destroy() to remove all the listeners of the router
+    this.listeners = new AbortController()
   }
 
   /**
@@ -83,16 +109,8 @@ export class Router {
    * Initializes standard event handlers without using a router.
    * Equivalent to Blapy V1's "no routing" mode.
    *
-   * Sets up click handlers for `[data-blapy-link]` links and submit handlers
-   * for `[data-blapy-link]` forms inside the Blapy container.
-   * These handlers trigger the `postData` event in the Blapy state machine
-   * with the extracted URL, parameters, and method.
-   *
-   * Filtering rules:
-   * - If a `data-blapy-active-blapyid` attribute is set, the event only triggers
-   *   if it matches the current `blapy.myUIObjectID`.
-   * - Additional parameters such as `data-blapy-embedding-blockid` and
-   *   `data-blapy-noblapydata` are included if present.
+   * Sets up the activation of the Blapy links (see `_initLinkActivation`) and the
+   * submission of the `[data-blapy-link]` forms (see `_initFormSubmission`).
    *
    * @private
    * @returns {void}
@@ -103,46 +121,38 @@ export class Router {
       'router'
     )
 
-    const container = this.blapy.container
-
-    container.addEventListener('click', (event) => {
-      const link = event.target.closest('a[data-blapy-link]')
-      if (!link) return
-
-      const activeId = link.getAttribute('data-blapy-active-blapyid')
-      if (activeId && activeId !== this.blapy.myUIObjectID) {
-        return
-      }
-
-      event.preventDefault()
-
-      const params = this._extractLinkParams(link)
-      const embeddingBlockId = link.getAttribute('data-blapy-embedding-blockid')
-
-      if (embeddingBlockId) {
-        params.embeddingBlockId = embeddingBlockId
-      }
-
-      this.logger.info(`Standard link clicked: ${link.href}`, 'router')
+    this._initLinkActivation()
+    this._initFormSubmission()
+  }
 
-      this.blapy.myFSM.trigger('postData', {
-        aUrl: this._extractUrl(link.href),
-        params: params,
-        method: link.getAttribute('method') || 'GET',
-        aObjectId: this.blapy.myUIObjectID,
-        noBlapyData: link.getAttribute('data-blapy-noblapydata'),
-      })
-    })
+  /**
+   * Sets up a submit handler for `[data-blapy-link]` forms inside the Blapy container.
+   * The submit handler triggers the `postData` event in the Blapy state machine
+   * with the extracted URL, parameters, and method, once the navigation guards allowed it.
+   *
+   * When the router is enabled, the submission also pushes a history entry carrying its
+   * request (method and URL, without the field values), after having snapshotted the blocks of the current entry
+   * (see `_pushHistoryEntry`): going back shows the blocks as they were before the submission.
+   * The URL of the page does not change, the form action being an endpoint rather than a page.
+   *
+   * Filtering rules:
+   * - If a `data-blapy-active-blapyid` attribute is set, the event only triggers
+   *   if it matches the current `blapy.myUIObjectID`.
+   * - Additional parameters such as `data-blapy-embedding-blockid` and
+   *   `data-blapy-noblapydata` are included if present.
+   *
+   * @private
+   * @returns {void}
+   */
+  _initFormSubmission() {
+    const container = this.blapy.container
 
     container.addEventListener('submit', (event) => {
       const form = event.target
 
       if (!form.matches('form[data-blapy-link]')) return
 
-      const activeId = form.getAttribute('data-blapy-active-blapyid')
-      if (activeId && activeId !== this.blapy.myUIObjectID) {
-        return
-      }
+      if (this._isForeignLink(form)) return
 
       event.preventDefault()
 
@@ -155,13 +165,152 @@ export class Router {
         formData.embeddingBlockId = embeddingBlockId
       }
 
-      this.blapy.myFSM.trigger('postData', {
+      const data = {
         aUrl: this._extractUrl(form.action),
         params: formData,
         method: form.getAttribute('method') || 'POST',
         aObjectId: this.blapy.myUIObjectID,
         noBlapyData: form.getAttribute('data-blapy-noblapydata'),
+        source: form,
+      }
+
+      this._guardNavigation(data, () => {
+        if (this.opts.enableRouter) {
+          // the field values (possibly passwords) are not kept in the history, that the browser saves on disk
+          this._pushHistoryEntry(this.currentLocation, {
+            aUrl: data.aUrl,
+            params: embeddingBlockId ? { embeddingBlockId } : {},
+            method: data.method.toUpperCase(),
+            noBlapyData: data.noBlapyData,
+          })
+        }
+        this.blapy.myFSM.trigger('postData', { ...data, navigationAllowed: true })
       })
+    }, { signal: this.listeners.signal })
+  }
+
+  /**
+   * Listens to the activation of the Blapy links of the container.
+   *
+   * A single delegated click listener handles every `[data-blapy-link]` element but
+   * the forms (that are submitted): `<a>` links (see `_handleStandardLink` and
+   * `_interceptLink`) and any other element, like a button, giving its URL in
+   * `data-blapy-href` (see `_activateCustomLink`). Custom elements with
+   * `role="link"` (Enter) or `role="button"` (Enter, Space) are also activated
+   * from the keyboard. As nothing is bound on the links themselves, the links
+   * replaced or updated by Blapy never get several listeners.
+   *
+   * @private
+   * @returns {void}
+   */
+  _initLinkActivation() {
+    const container = this.blapy.container
+    const listenerOptions = { signal: this.listeners.signal }
+
+    container.addEventListener('click', (event) => {
+      const link = event.target.closest('[data-blapy-link]')
+      if (!link || link.tagName === 'FORM' || !container.contains(link)) return
+
+      if (this._isForeignLink(link)) return
+
+      if (link.tagName !== 'A') {
+        event.preventDefault()
+        this._activateCustomLink(link)
+      } else if (this.opts.enableRouter) {
+        this._interceptLink(link, event)
+      } else {
+        this._handleStandardLink(link, event)
+      }
+    }, listenerOptions)
+
+    container.addEventListener('keydown', (event) => {
+      const link = event.target
+      if (!link.matches?.('[data-blapy-link]') || link.matches('a, form, button, input')) return
+
+      const role = link.getAttribute('role')
+      const activates = (event.key === 'Enter' && (role === 'link' || role === 'button')) ||
+        (event.key === ' ' && role === 'button')
+      if (!activates || this._isForeignLink(link)) return
+
+      event.preventDefault()
+      this._activateCustomLink(link)
+    }, listenerOptions)
+  }
+
+  /**
+   * Tells if a Blapy link is reserved to another Blapy instance (`data-blapy-active-blapyid`).
+   *
+   * @private
+   * @param {HTMLElement} link - The link or form.
+   * @returns {boolean} `true` if the link must be ignored by this instance.
+   */
+  _isForeignLink(link) {
+    const activeId = link.getAttribute('data-blapy-active-blapyid')
+    return !!activeId && activeId !== this.blapy.myUIObjectID
+  }
+
+  /**
+   * Handles a click on an `<a>` Blapy link when the router is disabled: triggers
+   * the `postData` event with its URL and parameters, once the navigation guards allowed it.
+   *
+   * @private
+   * @param {HTMLAnchorElement} link - The clicked link.
+   * @param {MouseEvent} event - The click event.
+   * @returns {void}
+   */
+  _handleStandardLink(link, event) {
+    event.preventDefault()
+
+    const params = this._extractLinkParams(link)
+    const embeddingBlockId = link.getAttribute('data-blapy-embedding-blockid')
+
+    if (embeddingBlockId) {
+      params.embeddingBlockId = embeddingBlockId
+    }
+
+    this.logger.info(`Standard link clicked: ${link.href}`, 'router')
+
+    const data = {
+      aUrl: this._extractUrl(link.href),
+      params: params,
+      method: link.getAttribute('method') || 'GET',
+      aObjectId: this.blapy.myUIObjectID,
+      noBlapyData: link.getAttribute('data-blapy-noblapydata'),
+      source: link,
+    }
+
+    this._guardNavigation(data, () => {
+      this.blapy.myFSM.trigger('postData', { ...data, navigationAllowed: true })
+    })
+  }
+
+  /**
+   * Activates a Blapy link that is neither a `<a>` nor a `<form>` (eg. a button or a div):
+   * triggers the `loadUrl` event with its `data-blapy-href` URL.
+   *
+   * @private
+   * @param {HTMLElement} link - The activated element.
+   * @returns {void}
+   */
+  _activateCustomLink(link) {
+    const href = link.getAttribute('data-blapy-href')
+    if (!href) return
+
+    const params = this._extractLinkParams(link)
+    const embeddingBlockId = link.getAttribute('data-blapy-embedding-blockid') || this._extractEmbeddingBlockId(href)
+
+    if (embeddingBlockId) {
+      params.embeddingBlockId = embeddingBlockId
+    }
+
+    this.logger.info(`Custom link activated: ${href}`, 'router')
+
+    this.blapy.myFSM.trigger('loadUrl', {
+      aUrl: this._cleanBlapyUrl(href),
+      params: params,
+      aObjectId: this.blapy.myUIObjectID,
+      noBlapyData: link.getAttribute('data-blapy-noblapydata'),
+      source: link,
     })
   }
 
@@ -172,9 +321,12 @@ export class Router {
    * of complex route definitions.
    *
    * Behavior:
-   * - Intercepts Blapy links for client-side navigation.
-   * - Listens to the browser's `popstate` event to handle back/forward
-   *   navigation by triggering a `loadUrl` event in the Blapy state machine.
+   * - Collects the route table and intercepts Blapy links for client-side navigation.
+   * - Submits the Blapy forms, each submission pushing a history entry (see `_initFormSubmission`).
+   * - Registers the current page as the first Blapy history entry, and loads
+   *   the route (or in hash mode the application URL) of the current location once the page is ready.
+   * - Listens to the browser's `popstate` event (and `hashchange` in hash mode) to handle
+   *   back/forward navigation by restoring the block snapshot of the entry (see `_onPopState`).
    * - Sets `isInitialized` to `true` once ready.
    *
    * @private
@@ -186,22 +338,589 @@ export class Router {
       'router'
     )
 
-    this._interceptBlapyLinks()
-
-    window.addEventListener('popstate', (event) => {
-      this.logger.info('Popstate event detected', 'router')
-
-      this.blapy.myFSM.trigger('loadUrl', {
-        aUrl: window.location.pathname + window.location.search,
+    this.routes = this._collectRoutes()
+    this._initLinkActivation()
+    this._initFormSubmission()
+
+    const currentState = window.history.state || {}
+    this.currentEntryId = this._createEntryId()
+    this.currentLocation = this._getAppLocation()
+    this.currentIndex = currentState.index ?? 0
+    this._replaceHistoryState({
+      ...currentState,
+      blapy: true,
+      entryId: this.currentEntryId,
+      index: this.currentIndex,
+      // after a reload in hash mode, the request of the entry is still the one of its application URL
+      request: (this.opts.hash && currentState.blapy && currentState.request) || {
+        aUrl: this.currentLocation,
         params: {},
-        aObjectId: this.blapy.myUIObjectID,
-      })
+        method: 'GET',
+      },
     })
 
+    window.addEventListener('popstate', (event) => this._onPopState(event), { signal: this.listeners.signal })
+
+    // the entry keeps the snapshot of its blocks in its history state, so that it is restored even after a reload
+    this.blapy.container.addEventListener('Blapy_afterPageChange', () => this._storeSnapshot(), { signal: this.listeners.signal })
+
+    if (this.opts.hash) {
+      window.addEventListener('hashchange', () => this._onHashChange(), { signal: this.listeners.signal })
+    }
+
+    if (this.routes.length > 0 || this.opts.hash) {
+      this.blapy.container.addEventListener('Blapy_PageReady', () => this._loadInitialRoute(), { once: true, signal: this.listeners.signal })
+    }
+
     this.isInitialized = true
     this.logger.info('Simple router initialized', 'router')
   }
 
+  /**
+   * Handles the back/forward navigation.
+   *
+   * The blocks of the entry being left are snapshotted, then the entry being
+   * reached is restored from its snapshot without any request (and revalidated by
+   * sending its GET request again if `historyRevalidate` is set). An entry without
+   * snapshot is reloaded from its GET request descriptor (a submitted form is never
+   * sent again: the blocks are left as they are), and a non Blapy entry from
+   * the current location.
+   *
+   * The navigation guards are evaluated first: if they cancel it, the browser is
+   * sent back to the entry being left.
+   *
+   * @private
+   * @param {PopStateEvent} event - The popstate event.
+   * @returns {void}
+   */
+  _onPopState(event) {
+    if (this.ignoreNextPopState) {
+      this.ignoreNextPopState = false
+      this.resolveIgnoredPopState?.()
+      this.resolveIgnoredPopState = null
+      return
+    }
+
+    this.logger.info('Popstate event detected', 'router')
+
+    const state = event.state
+    const leftLocation = this.currentLocation
+    this.currentLocation = this._getAppLocation()
+
+    const navigationAllowed = this.blapy._checkNavigation({
+      aUrl: state?.request?.aUrl || this.currentLocation,
+      params: state?.request?.params,
+      method: state?.request?.method,
+      history: true,
+    })
+
+    if (navigationAllowed === true) {
+      this._applyPopState(state)
+      return
+    }
+
+    // the browser must stay on the entry being left while the navigation is not allowed
+    const reachedIndex = state?.index
+    const reachedLocation = this.currentLocation
+    const reverted = this._revertPopState(reachedIndex, leftLocation)
+
+    if (navigationAllowed instanceof Promise) {
+      // the entry is reached again once the browser is back on the entry being left
+      Promise.all([navigationAllowed, reverted]).then(([allowed]) => {
+        if (!allowed || reachedIndex === undefined) return
+        this._goInHistory(reachedIndex - this.currentIndex)
+        this.currentLocation = reachedLocation
+        this._applyPopState(state)
+      })
+    }
+  }
+
+  /**
+   * Sends the browser back to the history entry a cancelled popstate has left.
+   *
+   * @private
+   * @param {number|undefined} reachedIndex - The index of the entry the popstate has reached.
+   * @param {string} leftLocation - The application URL of the entry being left.
+   * @returns {Promise<void>} Resolves once the browser is back on the entry being left.
+   */
+  _revertPopState(reachedIndex, leftLocation) {
+    if (reachedIndex === undefined || this.currentIndex === null) {
+      this.logger.warn('Navigation cancelled on an entry Blapy did not create, the history can not be restored', 'router')
+      return Promise.resolve()
+    }
+
+    this.currentLocation = leftLocation
+    return this._goInHistory(this.currentIndex - reachedIndex)
+  }
+
+  /**
+   * Moves in the browser history without handling the popstate of the move.
+   *
+   * @private
+   * @param {number} delta - The number of entries to move by.
+   * @returns {Promise<void>} Resolves once the popstate of the move has been received.
+   */
+  _goInHistory(delta) {
+    this.ignoreNextPopState = true
+    return new Promise((resolve) => {
+      this.resolveIgnoredPopState = resolve
+      window.history.go(delta)
+    })
+  }
+
+  /**
+   * Applies a popstate the navigation guards allowed (see `_onPopState`).
+   *
+   * @private
+   * @param {Object|null} state - The state of the history entry reached.
+   * @returns {void}
+   */
+  _applyPopState(state) {
+    // the responses still expected belong to the entry being left
+    this.blapy.pendingRequests.forEach((controller) => controller.abort())
+
+    if (this.currentEntryId) {
+      this.historySnapshots.set(this.currentEntryId, this._takeSnapshot())
+    }
+
+    if (!state || !state.blapy || !state.entryId) {
+      // an entry Blapy did not create (typed URL, plain hash link): load its location and adopt it
+      const match = this.matchRoute(this.currentLocation)
+      const request = match ? this._getRouteRequest(match) : { aUrl: this.currentLocation, params: {}, method: 'GET' }
+
+      this.currentEntryId = this._createEntryId()
+      this.currentIndex = this.currentIndex === null ? null : this.currentIndex + 1
+      this._replaceHistoryState({ ...(state || {}), blapy: true, entryId: this.currentEntryId, index: this.currentIndex ?? undefined, request })
+      this._triggerRequest(request, { navigationAllowed: true })
+      return
+    }
+
+    this.currentEntryId = state.entryId
+    this.currentIndex = state.index ?? null
+
+    const snapshot = this.historySnapshots.get(state.entryId) || state.snapshot
+
+    if (snapshot) {
+      this.logger.info(`Restoring history entry ${state.entryId} from its snapshot`, 'router')
+      this._restoreSnapshot(snapshot)
+      this.blapy.trigger('Blapy_HistoryRestored', { request: state.request || null })
+
+      if (this.opts.historyRevalidate && state.request && (state.request.method || 'GET').toUpperCase() === 'GET') {
+        this._triggerRequest(state.request, { background: true })
+      }
+      return
+    }
+
+    if (!state.request) return
+
+    const method = (state.request.method || 'GET').toUpperCase()
+    if (method !== 'GET') {
+      this.logger.warn(`History entry ${state.entryId} has no snapshot, its ${method} request is not sent again`, 'router')
+      this.blapy.trigger('Blapy_HistoryNotRestored', { request: state.request })
+      return
+    }
+
+    this._triggerRequest(state.request, { navigationAllowed: true })
+  }
+
+  /**
+   * Handles a change of the hash in hash mode.
+   *
+   * Browsers firing `popstate` on hash changes have already handled it; this
+   * catches the others and the hash changes not followed by a `popstate`.
+   *
+   * @private
+   * @returns {void}
+   */
+  _onHashChange() {
+    if (this.ignoreNextPopState || this._getAppLocation() === this.currentLocation) return
+
+    this._onPopState({ state: window.history.state })
+  }
+
+  /**
+   * Gets the application URL of the current location: the path and query of the page,
+   * or in hash mode the ones after `#!` ("/" if the hash has none).
+   *
+   * @private
+   * @returns {string} The application URL.
+   */
+  _getAppLocation() {
+    if (!this.opts.hash) {
+      return window.location.pathname + window.location.search
+    }
+
+    const hash = window.location.hash
+    return hash.startsWith('#!') ? (hash.slice(2) || '/') : '/'
+  }
+
+  /**
+   * Converts a link URL into an application URL: in hash mode, "#!/path?query"
+   * (possibly after a page URL) gives "/path?query".
+   *
+   * @private
+   * @param {string} url - The URL of a link.
+   * @returns {string} The application URL.
+   */
+  _toAppUrl(url) {
+    const hashIndex = this.opts.hash ? url.indexOf('#!') : -1
+    return hashIndex !== -1 ? (url.slice(hashIndex + 2) || '/') : url
+  }
+
+  /**
+   * Converts an application URL into the URL to set in the browser: itself, or in hash
+   * mode the current page followed by "#!/path?query".
+   *
+   * @private
+   * @param {string} url - The application URL (or a "#!" URL).
+   * @returns {string} The browser URL.
+   */
+  _toBrowserUrl(url) {
+    if (!this.opts.hash) return url
+
+    const location = new URL(this._toAppUrl(url), window.location.href)
+    return '#!' + location.pathname + location.search
+  }
+
+  /**
+   * Pushes a new Blapy history entry, after having snapshotted the blocks of the current one.
+   *
+   * @private
+   * @param {string} url - The (application) URL of the new entry.
+   * @param {Object} request - The request descriptor of the new entry (aUrl, params, method, noBlapyData).
+   * @returns {void}
+   */
+  _pushHistoryEntry(url, request) {
+    this._storeSnapshot()
+
+    this.currentEntryId = this._createEntryId()
+    this.currentIndex = this.currentIndex === null ? null : this.currentIndex + 1
+
+    window.history.pushState({
+      blapy: true,
+      entryId: this.currentEntryId,
+      index: this.currentIndex ?? undefined,
+      request: request,
+    }, '', this._toBrowserUrl(url))
+
+    this.currentLocation = this._getAppLocation()
+  }
+
+  /**
+   * Snapshots the blocks of the current history entry, kept in memory and in the state of the entry.
+   *
+   * @private
+   * @returns {void}
+   */
+  _storeSnapshot() {
+    if (!this.currentEntryId) return
+
+    const snapshot = this._takeSnapshot()
+    this.historySnapshots.set(this.currentEntryId, snapshot)
+
+    const state = window.history.state || {}
+    if (state.entryId === undefined || state.entryId === this.currentEntryId) {
+      this._replaceHistoryState({ ...state, snapshot })
+    }
+  }
+
+  /**
+   * Replaces the state of the current history entry.
+   *
+   * If the state is too large to be stored by the browser, it is stored without
+   * its snapshot (the snapshot stays available in memory for this page).
+   *
+   * @private
+   * @param {Object} state - The new history state.
+   * @param {string} [url] - The new URL of the entry (unchanged if not given).
+   * @returns {void}
+   */
+  _replaceHistoryState(state, url) {
+    try {
+      window.history.replaceState(state, '', url)
+    } catch (error) {
+      this.logger.warn(`History snapshot not stored in the browser history: ${error.toString()}`, 'router')
+      const lightState = { ...state }
+      delete lightState.snapshot
+      window.history.replaceState(lightState, '', url)
+    }
+  }
+
+  /**
+   * Creates a history entry id, unique across page reloads.
+   *
+   * @private
+   * @returns {string} The entry id.
+   */
+  _createEntryId() {
+    this.entryCounter++
+    return `${this.blapy.myUIObjectID}-${Date.now()}-${this.entryCounter}`
+  }
+
+  /**
+   * Takes a snapshot of the Blapy blocks of the application.
+   *
+   * Each named block is saved with its outer HTML, which keeps its `data-blapy-json-data`.
+   * Nested blocks are saved with their parent block, and blocks with
+   * `data-blapy-history="false"` are never snapshotted.
+   *
+   * @private
+   * @returns {Array<{name: string, html: string}>} The snapshot.
+   */
+  _takeSnapshot() {
+    const blocks = this.blapy.myUIObject.querySelectorAll('[data-blapy-container][data-blapy-container-name]')
+    const snapshot = []
+
+    blocks.forEach((block) => {
+      if (block.getAttribute('data-blapy-history') === 'false') return
+
+      const parentBlock = block.parentElement?.closest('[data-blapy-container][data-blapy-container-name]')
+      if (parentBlock && this.blapy.myUIObject.contains(parentBlock) && parentBlock.getAttribute('data-blapy-history') !== 'false') return
+
+      snapshot.push({
+        name: block.getAttribute('data-blapy-container-name'),
+        html: block.outerHTML,
+      })
+    })
+
+    return snapshot
+  }
+
+  /**
+   * Restores the Blapy blocks from a snapshot.
+   *
+   * @private
+   * @param {Array<{name: string, html: string}>} snapshot - The snapshot to restore.
+   * @returns {void}
+   */
+  _restoreSnapshot(snapshot) {
+    snapshot.forEach(({ name, html }) => {
+      const block = this.blapy.myUIObject.querySelector(`[data-blapy-container-name='${name}']`)
+      if (!block || block.outerHTML === html) return
+
+      block.outerHTML = this.blapy.utils.toHTML(html)
+
+      const restoredBlock = this.blapy.myUIObject.querySelector(`[data-blapy-container-name='${name}']`)
+      restoredBlock?.dispatchEvent(new CustomEvent('Blapy_afterContentChange', {
+        detail: restoredBlock,
+      }))
+    })
+
+    this.blapy.setBlapyURL()
+    this.blapy.blapyBlocks.setBlapyUpdateIntervals()
+    this.blapy.setBlapyUpdateOnDisplay()
+  }
+
+  /**
+   * Sends a request descriptor (of a history entry or of a route) through the Blapy FSM.
+   *
+   * @private
+   * @param {Object} request - The request descriptor (aUrl, params, method, noBlapyData).
+   * @param {Object} [extraData={}] - Additional event data (eg. `navigationAllowed`, `source`).
+   * @returns {void}
+   */
+  _triggerRequest(request, extraData = {}) {
+    const method = (request.method || 'GET').toUpperCase()
+
+    this.blapy.myFSM.trigger(method === 'GET' ? 'loadUrl' : 'postData', {
+      aUrl: request.aUrl,
+      params: { ...(request.params || {}) },
+      method: method,
+      aObjectId: this.blapy.myUIObjectID,
+      noBlapyData: request.noBlapyData,
+      ...extraData,
+    })
+  }
+
+  /**
+   * Evaluates the navigation guards of a navigation, then goes on with it if they allow it.
+   *
+   * @private
+   * @param {Object} data - The navigation data (aUrl, params, method, source).
+   * @param {Function} proceed - Called, possibly asynchronously, if the navigation is allowed.
+   * @param {Function} [cancel] - Called, possibly asynchronously, if the navigation is cancelled.
+   * @returns {void}
+   */
+  _guardNavigation(data, proceed, cancel = () => {}) {
+    const navigationAllowed = this.blapy._checkNavigation(data)
+
+    if (navigationAllowed === true) {
+      proceed()
+    } else if (navigationAllowed instanceof Promise) {
+      navigationAllowed.then((allowed) => {
+        if (allowed) {
+          proceed()
+        } else {
+          cancel()
+        }
+      })
+    } else {
+      cancel()
+    }
+  }
+
+  /**
+   * Collects the route table from the `routes` option and from the
+   * `<template data-blapy-route>` elements of the container.
+   *
+   * A route is an object:
+   * - path: the path pattern, with `:name` parameters (eg. "/users/:id"), or "*" for the fallback route
+   * - url: the URL to fetch, where the `:name` parameters are replaced (default: the path itself)
+   * - embeddingBlockId: the block to embed the response in
+   * - templateId: the template of the embedding block to use
+   * - method: the HTTP method (default: 'GET')
+   * - params: additional parameters sent with the request
+   *
+   * @private
+   * @returns {Array<Object>} The routes, compiled with their path regular expression.
+   */
+  _collectRoutes() {
+    const routes = [...this.opts.routes]
+
+    this.blapy.container.querySelectorAll('template[data-blapy-route]').forEach((template) => {
+      routes.push({
+        path: template.getAttribute('data-blapy-route'),
+        url: template.getAttribute('data-blapy-href') || undefined,
+        embeddingBlockId: template.getAttribute('data-blapy-embedding-blockid') || undefined,
+        templateId: template.getAttribute('data-blapy-template-id') || undefined,
+        method: template.getAttribute('data-blapy-method') || undefined,
+        params: this._extractLinkParams(template),
+      })
+    })
+
+    return routes.map((route) => ({ ...route, ...this._compileRoutePath(route.path) }))
+  }
+
+  /**
+   * Compiles a route path pattern.
+   *
+   * @private
+   * @param {string} path - The path pattern (eg. "/users/:id", "/files/*").
+   * @returns {{regex: RegExp, paramNames: Array<string>}} The regular expression matching the path and the names of its parameters.
+   */
+  _compileRoutePath(path) {
+    const paramNames = []
+
+    const pattern = path.replace(/\/+$/, '').split('/').map((segment) => {
+      if (segment.startsWith(':')) {
+        paramNames.push(segment.slice(1))
+        return '([^/]+)'
+      }
+      if (segment === '*') {
+        paramNames.push('wildcard')
+        return '(.*)'
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    }).join('/')
+
+    return {
+      regex: new RegExp(`^${pattern}/?$`),
+      paramNames,
+    }
+  }
+
+  /**
+   * Finds the route matching a URL.
+   *
+   * The routes are tried in their declaration order; the fallback route ("*") is
+   * used when none of them matches.
+   *
+   * @param {string} url - The URL to match (absolute or relative to the current location, or "#!/path" in hash mode).
+   * @param {Object} [options={}] - Matching options.
+   * @param {boolean} [options.fallback=true] - Whether the fallback route may be returned.
+   * @returns {{route: Object, params: Object, search: string}|null} The matched route with its parameters, or `null`.
+   *
+   * @example
+   * router.matchRoute('/users/42?tab=posts')
+   * // => { route: {path: '/users/:id', ...}, params: { id: '42' }, search: '?tab=posts' }
+   */
+  matchRoute(url, options = {}) {
+    const { fallback = true } = options
+    const location = new URL(this._toAppUrl(url), window.location.href)
+    if (location.origin !== window.location.origin) return null
+
+    let path = location.pathname
+    const root = this.opts.root.replace(/\/+$/, '')
+    if (!this.opts.hash && root && path.startsWith(root)) {
+      path = path.slice(root.length) || '/'
+    }
+
+    for (const route of this.routes) {
+      if (route.path === '*') continue
+
+      const match = route.regex.exec(path)
+      if (match) {
+        const params = {}
+        route.paramNames.forEach((name, index) => {
+          params[name] = decodeURIComponent(match[index + 1])
+        })
+        return { route, params, search: location.search }
+      }
+    }
+
+    const fallbackRoute = fallback && this.routes.find((route) => route.path === '*')
+    return fallbackRoute ? { route: fallbackRoute, params: { path }, search: location.search } : null
+  }
+
+  /**
+   * Builds the request descriptor of a matched route.
+   *
+   * @private
+   * @param {{route: Object, params: Object, search: string}} match - The matched route.
+   * @returns {Object} The request descriptor (aUrl, params, method, noBlapyData).
+   */
+  _getRouteRequest({ route, params, search }) {
+    let aUrl = (route.url || route.path).replace(/:(\w+)/g, (token, name) => {
+      return name in params ? encodeURIComponent(params[name]) : token
+    })
+
+    if (search) {
+      aUrl += (aUrl.includes('?') ? '&' : '?') + search.slice(1)
+    }
+
+    const requestParams = { ...(route.params || {}) }
+    if (route.embeddingBlockId) requestParams.embeddingBlockId = route.embeddingBlockId
+    if (route.templateId) requestParams.templateId = route.templateId
+
+    return {
+      aUrl,
+      params: requestParams,
+      method: (route.method || 'GET').toUpperCase(),
+      noBlapyData: route.noBlapyData,
+    }
+  }
+
+  /**
+   * Loads the route matching the location the page has been opened on (deep link).
+   *
+   * The root path is the page itself: it is only loaded if a route declares it,
+   * never through the fallback route. In hash mode, an application URL matching
+   * no route is loaded with the request of its history entry.
+   *
+   * @private
+   * @returns {void}
+   */
+  _loadInitialRoute() {
+    const appLocation = this._getAppLocation()
+    const path = appLocation.split('?')[0].replace(/\/+$/, '')
+    const isRoot = path === '' || (!this.opts.hash && path === this.opts.root.replace(/\/+$/, ''))
+
+    const match = this.routes.length > 0 ? this.matchRoute(appLocation, { fallback: !isRoot }) : null
+    if (!match) {
+      if (this.opts.hash && !isRoot) {
+        this.logger.info(`Initial hash location loaded: ${appLocation}`, 'router')
+        this._triggerRequest(window.history.state.request, { navigationAllowed: true })
+      }
+      return
+    }
+
+    this.logger.info(`Initial route matched: ${match.route.path}`, 'router')
+
+    const request = this._getRouteRequest(match)
+    this._replaceHistoryState({ ...(window.history.state || {}), request })
+    this._triggerRequest(request, { navigationAllowed: true })
+  }
+
   /**
    * Handles Blapy links using Navigo.
    * Equivalent to the `sammy.get/post/put` route handlers in Blapy V1.
@@ -408,40 +1127,54 @@ export class Router {
    * Performs programmatic navigation using the configured router.
    * Equivalent to the navigation methods from Blapy V1.
    *
+   * A URL matching the route table is loaded through its route, any other URL is loaded
+   * as a Blapy link (its `#blapylink#<block>` giving its embedding block), with a new history entry
+   * ("#!" in hash mode).
+   *
    * If the router has not been initialized, logs a warning and aborts.
    *
    * @param {string} url - The target URL to navigate to.
    * @param {Object} [options={}] - Optional navigation options.
-   * @param {string} [options.title] - The page title for the navigation state.
-   * @param {Object} [options.stateObj] - A custom state object to store in history.
+   * @param {Object} [options.params] - Parameters sent with the request of a URL matching no route.
+   * @param {boolean} [options.noBlapyData] - If `true`, the Blapy parameters are not sent.
    * @param {string} [options.historyAPIMethod='pushState'] - History API method to use (`pushState` or `replaceState`).
    * @param {boolean} [options.updateBrowserURL=true] - Whether to update the browser's address bar.
-   * @param {boolean} [options.callHandler=true] - Whether to call the matched route handler.
-   * @param {boolean} [options.callHooks=true] - Whether to execute route hooks.
-   * @param {boolean} [options.updateState=true] - Whether to update the internal state.
-   * @param {boolean} [options.force=false] - Whether to force the navigation even if already on the same route.
+   * @param {number} [options.requestId] - Id of the request whose Promise the navigation settles (cf. `Blapy#navigate()`).
    * @returns {void}
    */
   navigate(url, options = {}) {
-    if (!this.isInitialized || !this.router) {
+    const cancelRequest = (reason) => {
+      this.blapy._rejectRequest(options.requestId, new BlapyRequestError(`${reason}: ${url}`, { code: 'cancelled', url }))
+    }
+
+    if (!this.isInitialized) {
       this.logger.warn('Router not initialized, cannot navigate', 'router')
+      cancelRequest('Router not initialized, cannot navigate')
       return
     }
 
-    this.logger.info(`Navigating to: ${url}`, 'router')
+    const match = this.routes.length > 0 ? this.matchRoute(url) : null
+    const appUrl = this._toAppUrl(this._cleanBlapyUrl(url))
+    let request = match ? this._getRouteRequest(match) : null
+    if (!request) {
+      const params = { ...(options.params || {}) }
+      const embeddingBlockId = this._extractEmbeddingBlockId(url)
+      if (embeddingBlockId) params.embeddingBlockId = embeddingBlockId
 
-    const navigateOptions = {
-      title: options.title,
-      stateObj: options.stateObj,
-      historyAPIMethod: options.historyAPIMethod || 'pushState',
-      updateBrowserURL: options.updateBrowserURL !== false,
-      callHandler: options.callHandler !== false,
-      callHooks: options.callHooks !== false,
-      updateState: options.updateState !== false,
-      force: options.force || false,
+      request = { aUrl: appUrl, params, method: 'GET', noBlapyData: options.noBlapyData }
     }
 
-    this.router.navigate(url, navigateOptions)
+    this._guardNavigation(request, () => {
+      this.logger.info(`Navigating to ${match ? `route ${match.route.path}` : 'url'}: ${url}`, 'router')
+
+      if (options.historyAPIMethod === 'replaceState') {
+        this._replaceHistoryState({ ...(window.history.state || {}), request }, this._toBrowserUrl(appUrl))
+        this.currentLocation = this._getAppLocation()
+      } else if (options.updateBrowserURL !== false) {
+        this._pushHistoryEntry(appUrl, request)
+      }
+      this._triggerRequest(request, { navigationAllowed: true, requestId: options.requestId })
+    }, () => cancelRequest('Navigation cancelled'))
   }
 
   /**
@@ -467,71 +1200,93 @@ export class Router {
   /**
    * Destroys the router instance and cleans up resources.
    *
-   * If a router exists, calls its `destroy()` method, sets it to `null`,
-   * marks the router as uninitialized, and logs the destruction event.
+   * Removes the click/submit, popstate and hashchange listeners, forgets the
+   * history snapshots and, if a router exists, calls its `destroy()` method.
+   * The router is then marked as uninitialized.
    *
    * @returns {void}
    */
   destroy() {
+    this.listeners.abort()
+    this.historySnapshots.clear()
+
     if (this.router) {
       this.router.destroy()
       this.router = null
-      this.isInitialized = false
-      this.logger.info('Router destroyed', 'router')
     }
+
+    this.isInitialized = false
+    this.logger.info('Router destroyed', 'router')
   }
 
   /**
-   * Intercepts clicks on Blapy links (`[data-blapy-link]`) containing `#blapylink`
-   * and handles them manually without triggering full page reloads.
+   * Intercepts clicks on Blapy links (`[data-blapy-link]`) containing `#blapylink`,
+   * matching a route or, in hash mode, pointing to a "#!" URL, and handles them
+   * manually without triggering full page reloads.
    *
    * Behavior:
-   * - Checks if the clicked link belongs to the active Blapy instance via
-   *   `data-blapy-active-blapyid`.
    * - Extracts link parameters (`data-blapy-params`) and `embeddingBlockId`
    *   from the link's `href`.
    * - Cleans the URL by removing the `#blapylink` fragment.
-   * - Updates the browser's history via `pushState` without reloading the page.
+   * - Pushes a history entry carrying the request descriptor, after having
+   *   snapshotted the blocks of the current entry (see `_pushHistoryEntry`).
    * - Triggers a `loadUrl` event in the Blapy state machine with the cleaned URL
    *   and filtered parameters.
    *
    * @private
+   * @param {HTMLAnchorElement} link - The clicked link.
+   * @param {MouseEvent} event - The click event.
    * @returns {void}
    */
-  _interceptBlapyLinks() {
-    const container = this.blapy.container
-
-    container.addEventListener('click', (event) => {
-      const link = event.target.closest('a[data-blapy-link]')
-      if (!link) return
+  _interceptLink(link, event) {
+    const href = link.getAttribute('href')
+    if (!href) return
 
-      const href = link.getAttribute('href')
-      if (!href || !href.includes('#blapylink')) return
+    if (!href.includes('#blapylink')) {
+      const match = this.routes.length > 0 ? this.matchRoute(href, { fallback: false }) : null
 
-      const activeId = link.getAttribute('data-blapy-active-blapyid')
-      if (activeId && activeId !== this.blapy.myUIObjectID) return
+      if (!match && !(this.opts.hash && href.includes('#!'))) return
 
       event.preventDefault()
 
-      const params = this._extractLinkParams(link)
-      const embeddingBlockId = this._extractEmbeddingBlockId(href)
-
-      if (embeddingBlockId) {
-        params.embeddingBlockId = embeddingBlockId
+      const request = match ? this._getRouteRequest(match) : {
+        aUrl: this._toAppUrl(href),
+        params: this._filterAttributes(this._extractLinkParams(link)),
+        method: 'GET',
+        noBlapyData: link.getAttribute('data-blapy-noblapydata'),
       }
 
-      const cleanUrl = this._cleanBlapyUrl(href)
+      this._guardNavigation({ ...request, source: link }, () => {
+        this._pushHistoryEntry(this._toAppUrl(href), request)
+        this.logger.info(`Navigating to ${match ? `route ${match.route.path}` : 'hash location'}: ${href}`, 'router')
+        this._triggerRequest(request, { navigationAllowed: true, source: link })
+      })
+      return
+    }
 
-      window.history.pushState({ blapy: true }, '', cleanUrl)
+    event.preventDefault()
+
+    const params = this._extractLinkParams(link)
+    const embeddingBlockId = this._extractEmbeddingBlockId(href)
+
+    if (embeddingBlockId) {
+      params.embeddingBlockId = embeddingBlockId
+    }
+
+    const cleanUrl = this._toAppUrl(this._cleanBlapyUrl(href))
+    const request = {
+      aUrl: cleanUrl,
+      params: this._filterAttributes(params),
+      method: 'GET',
+      noBlapyData: link.getAttribute('data-blapy-noblapydata'),
+    }
+
+    this._guardNavigation({ ...request, source: link }, () => {
+      this._pushHistoryEntry(cleanUrl, request)
 
       this.logger.info(`Navigating to: ${cleanUrl}`, 'router')
 
-      this.blapy.myFSM.trigger('loadUrl', {
-        aUrl: cleanUrl,
-        params: this._filterAttributes(params),
-        aObjectId: this.blapy.myUIObjectID,
-        noBlapyData: link.getAttribute('data-blapy-noblapydata'),
-      })
+      this._triggerRequest(request, { navigationAllowed: true, source: link })
     })
   }
 }
@@ -0,0 +1,252 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/Sanitizer.js
+ * Sanitizer : allowlist HTML sanitizer of the Blapy blocks (data-blapy-sanitize)
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview HTML sanitizer for Blapy2 - cleans the content rendered or received by the blocks
+ *               with `data-blapy-sanitize="strict|basic|<name>"` before it is inserted in the page.
+ *               Other sanitizers may be added with `Blapy.registerSanitizer()`.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ *
+ * A sanitizer is either:
+ * - an allowlist profile: {
+ *     tags,        // the allowed tag names, the other elements are replaced by their content
+ *     attributes,  // the allowed attributes by tag name ('*' for all the tags), 'aria-*' allows a prefix
+ *     urlSchemes,  // the allowed schemes of the URL attributes (href, src...), the relative URLs are always allowed
+ *   }
+ * - or a function (html, ctx) returning the sanitized html, ctx being {name, block}.
+ */
+
+export const defaultSanitizerProfiles = {
+  strict: {
+    tags: ['a', 'b', 'blockquote', 'br', 'code', 'em', 'i', 'li', 'ol', 'p', 'pre', 's', 'span', 'strong', 'u', 'ul'],
+    attributes: {
+      '*': ['title'],
+      a: ['href'],
+    },
+    urlSchemes: ['http', 'https', 'mailto'],
+  },
+  basic: {
+    tags: [
+      'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'div', 'dl', 'dt', 'em',
+      'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark',
+      'ol', 'p', 'pre', 'q', 's', 'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'tfoot',
+      'th', 'thead', 'time', 'tr', 'u', 'ul',
+    ],
+    attributes: {
+      '*': ['class', 'dir', 'id', 'lang', 'role', 'title', 'aria-*'],
+      a: ['href', 'rel', 'target'],
+      img: ['alt', 'height', 'src', 'width'],
+      td: ['colspan', 'rowspan'],
+      th: ['colspan', 'rowspan', 'scope'],
+      time: ['datetime'],
+    },
+    urlSchemes: ['http', 'https', 'mailto', 'tel'],
+  },
+}
+
+// elements removed with their content (the other disallowed elements are replaced by their content)
+const removedWithContent = new Set([
+  'embed', 'frame', 'frameset', 'iframe', 'math', 'noscript', 'object', 'script', 'style', 'svg', 'template', 'xmp',
+])
+
+const urlAttributes = new Set(['action', 'background', 'cite', 'formaction', 'href', 'poster', 'src', 'xlink:href'])
+
+// sanitizers of the blocks (data-blapy-sanitize), shared by all the Blapy instances
+const sanitizers = new Map(Object.entries(defaultSanitizerProfiles))
+
+export class Sanitizer {
+  /**
+   * Creates a Sanitizer instance.
+   *
+   * @param {Logger} logger - The logging service instance.
+   * @param {Utils} utils - The utilities of the Blapy instance (HTML parsing through the Trusted Types policy).
+   */
+  constructor(logger, utils) {
+    this.logger = logger
+    this.utils = utils
+  }
+
+  /**
+   * Registers a sanitizer, usable by the blocks with `data-blapy-sanitize="<name>"`.
+   *
+   * @static
+   * @param {string} name - The name of the sanitizer ("strict" and "basic" may be overridden).
+   * @param {Function|Object} sanitizer - function(html, ctx) returning the sanitized html,
+   *        or an allowlist profile {tags, attributes, urlSchemes}.
+   * @returns {void}
+   */
+  static register(name, sanitizer) {
+    if (typeof sanitizer !== 'function' && !Array.isArray(sanitizer?.tags)) {
+      throw new Error(`The sanitizer "${name}" must be a function or a profile with a list of tags`)
+    }
+    sanitizers.set(name, sanitizer)
+  }
+
+  /**
+   * Gets a registered sanitizer.
+   *
+   * @static
+   * @param {string} name - The name of the sanitizer.
+   * @returns {Function|Object|null} The sanitizer, or `null` if none is registered with this name.
+   */
+  static get(name) {
+    return sanitizers.get(name) || null
+  }
+
+  /**
+   * Sanitizes the content of a block.
+   * An unknown sanitizer name falls back on the "strict" profile.
+   *
+   * @param {string} html - The HTML to sanitize.
+   * @param {string} [name='strict'] - The sanitizer to use (value of `data-blapy-sanitize`).
+   * @param {HTMLElement|null} [block=null] - The block whose content is sanitized.
+   * @returns {string} The sanitized HTML.
+   */
+  sanitize(html, name = 'strict', block = null) {
+    let sanitizer = Sanitizer.get(name || 'strict')
+    if (!sanitizer) {
+      this.logger.error(`The sanitizer "${name}" does not exist, "strict" is used`, 'sanitizer')
+      name = 'strict'
+      sanitizer = Sanitizer.get('strict')
+    }
+
+    if (typeof sanitizer === 'function') {
+      return sanitizer(html, { name, block })
+    }
+
+    const template = document.createElement('template')
+    template.innerHTML = this.utils.toHTML(html)
+
+    const stripped = []
+    this._cleanNode(template.content, sanitizer, stripped)
+
+    if (stripped.length > 0) {
+      const blockName = block?.getAttribute('data-blapy-container-name') || block?.id || ''
+      this.logger.info(`Sanitizer "${name}" stripped from the block "${blockName}": ${stripped.join(', ')}`, 'sanitizer')
+    }
+
+    return template.innerHTML
+  }
+
+  /**
+   * Cleans the attributes of a received block itself: its event handlers ("on*") and its unsafe URLs
+   * are removed, its other attributes (data-blapy-*, id, class...) are kept.
+   * A sanitizer function gives no URL schemes, the ones of the built-in "strict" profile are then used.
+   *
+   * @param {HTMLElement} element - The received block.
+   * @param {string} [name='strict'] - The sanitizer to use (value of `data-blapy-sanitize`).
+   * @param {HTMLElement|null} [block=null] - The block of the page receiving it.
+   * @returns {void}
+   */
+  sanitizeAttributes(element, name = 'strict', block = null) {
+    const sanitizer = Sanitizer.get(name || 'strict')
+    const urlSchemes = Array.isArray(sanitizer?.tags) ? sanitizer.urlSchemes : defaultSanitizerProfiles.strict.urlSchemes
+
+    const stripped = []
+    Array.from(element.attributes).forEach((attribute) => {
+      const attributeName = attribute.name.toLowerCase()
+      if (attributeName.startsWith('on') || (urlAttributes.has(attributeName) && !this._isAllowedUrl(attribute.value, urlSchemes))) {
+        stripped.push(attribute.name)
+        element.removeAttribute(attribute.name)
+      }
+    })
+
+    if (stripped.length > 0) {
+      const blockName = block?.getAttribute('data-blapy-container-name') || element.getAttribute('data-blapy-container-name') || ''
+      this.logger.info(`Sanitizer "${name}" stripped from the attributes of the block "${blockName}": ${stripped.join(', ')}`, 'sanitizer')
+    }
+  }
+
+  /**
+   * Removes the disallowed nodes and attributes of a node's children.
+   *
+   * @private
+   * @param {Node} node - The node to clean.
+   * @param {Object} profile - The allowlist profile.
+   * @param {string[]} stripped - Receives the description of the stripped nodes and attributes.
+   * @returns {void}
+   */
+  _cleanNode(node, profile, stripped) {
+    Array.from(node.childNodes).forEach((child) => {
+      if (child.nodeType === Node.TEXT_NODE) return
+
+      if (child.nodeType !== Node.ELEMENT_NODE) {
+        stripped.push(child.nodeType === Node.COMMENT_NODE ? '<!-- -->' : child.nodeName)
+        child.remove()
+        return
+      }
+
+      const tagName = child.localName
+      if (!profile.tags.includes(tagName)) {
+        stripped.push(`<${tagName}>`)
+        if (removedWithContent.has(tagName)) {
+          child.remove()
+        } else {
+          this._cleanNode(child, profile, stripped)
+          child.replaceWith(...child.childNodes)
+        }
+        return
+      }
+
+      Array.from(child.attributes).forEach((attribute) => {
+        if (!this._isAllowedAttribute(tagName, attribute, profile)) {
+          stripped.push(`<${tagName} ${attribute.name}>`)
+          child.removeAttribute(attribute.name)
+        }
+      })
+
+      this._cleanNode(child, profile, stripped)
+    })
+  }
+
+  /**
+   * Tells if an attribute is allowed by a profile (and, for a URL, if its scheme is allowed).
+   *
+   * @private
+   * @param {string} tagName - The tag name of the element.
+   * @param {Attr} attribute - The attribute.
+   * @param {Object} profile - The allowlist profile.
+   * @returns {boolean} True if the attribute may be kept.
+   */
+  _isAllowedAttribute(tagName, attribute, profile) {
+    const name = attribute.name.toLowerCase()
+    if (name.startsWith('on')) return false
+
+    const allowed = [...(profile.attributes?.['*'] || []), ...(profile.attributes?.[tagName] || [])]
+    const isAllowed = allowed.some(allowedName =>
+      allowedName.endsWith('*') ? name.startsWith(allowedName.slice(0, -1)) : name === allowedName,
+    )
+    if (!isAllowed) return false
+
+    if (urlAttributes.has(name)) {
+      return this._isAllowedUrl(attribute.value, profile.urlSchemes)
+    }
+
+    return true
+  }
+
+  /**
+   * Tells if a URL is relative or uses an allowed scheme.
+   *
+   * @private
+   * @param {string} value - The URL.
+   * @param {string[]} [urlSchemes=[]] - The allowed schemes.
+   * @returns {boolean} True if the URL may be kept.
+   */
+  _isAllowedUrl(value, urlSchemes = []) {
+    // the browsers ignore the whitespaces and control characters in a scheme (eg. "java\tscript:")
+    const url = Array.from(value).filter(char => char > ' ' && (char < '\u007F' || char > '\u009F')).join('')
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/i)
+    return !scheme || urlSchemes.includes(scheme[1].toLowerCase())
+  }
+}
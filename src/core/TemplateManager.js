@@ -21,6 +21,52 @@
  * -----------------------------------------------------------------------------------------
  **/
 
+import { TemplateStorage } from './TemplateStorage.js'
+
+// ids of the templates rendered while the json block waits for its data, has no data or failed to get them
+const stateTemplateIds = ['loading', 'empty', 'error']
+
+// data processors of the json blocks (data-blapy-template-init-processdata), shared by all the Blapy instances
+const processors = new Map()
+
+// partials registered with registerPartial(), shared by all the Blapy instances
+const partials = new Map()
+
+// template engines of the json blocks (data-blapy-template-engine), shared by all the Blapy instances
+const engines = new Map(Object.entries({
+  mustache: {
+    compile(tpl, { container }) {
+      let mustacheStartDelimiter = '{{'
+      let mustacheEndDelimiter = '}}'
+      let newDelimiters = ''
+
+      if (container?.getAttribute('data-blapy-template-mustache-delimiterStart')) {
+        mustacheStartDelimiter = container.getAttribute('data-blapy-template-mustache-delimiterStart')
+        mustacheEndDelimiter = container.getAttribute('data-blapy-template-mustache-delimiterEnd')
+        newDelimiters = '{{=' + mustacheStartDelimiter + ' ' + mustacheEndDelimiter + '=}}'
+      }
+
+      return newDelimiters +
+        mustacheStartDelimiter + '#.' + mustacheEndDelimiter +
+        tpl +
+        mustacheStartDelimiter + '/.' + mustacheEndDelimiter
+    },
+    render(compiled, data, { partials }) {
+      return partials && Object.keys(partials).length > 0
+        ? globalThis.Mustache.render(compiled, data, partials)
+        : globalThis.Mustache.render(compiled, data)
+    },
+  },
+  json2html: {
+    render(tpl, data) {
+      return globalThis.json2html.transform(data, {
+        'tag': 'void',
+        'html': tpl,
+      }).replace(/<.?void>/g, '')
+    },
+  },
+}))
+
 export class TemplateManager {
   /**
    * Creates a new instance of the class.
@@ -33,12 +79,148 @@ export class TemplateManager {
    * @param {Logger} logger - The logging service instance.
    * @param {AjaxService} ajaxService - The AJAX service for data requests.
    * @param {Utils} utils - Utility functions used across the class.
+   * @param {Object} [options={}] - The template manager options.
+   * @param {boolean} [options.strictProcessors=false] - Refuses the data processors that are not registered
+   *        (else a global function of this name is used).
+   * @param {Object|null} [options.csp=null] - The CSP mode of the Blapy instance ({nonce, trustedTypesPolicy}):
+   *        the scripts of the rendered blocks only run in the blocks with `data-blapy-scripts="true"`.
+   * @param {string|Storage|null} [options.templateStorage=null] - Where the template files are kept between page loads:
+   *        null (memory only), 'local', 'session', 'indexeddb' or a Web Storage object (cf. `TemplateStorage`).
    */
-  constructor(logger, ajaxService, utils) {
+  constructor(logger, ajaxService, utils, options = {}) {
     this.logger = logger
     this.ajaxService = ajaxService
     this.utils = utils
     this.templates = new Map()
+    this.options = { strictProcessors: false, csp: null, templateStorage: null, ...options }
+    this.templateStorage = new TemplateStorage(logger, { storage: this.options.templateStorage })
+    // compiled templates, by engine and content
+    this.compiledTemplates = new Map()
+    // partials of the page (data-blapy-partial), kept once their element is seen
+    this.pagePartials = new Map()
+  }
+
+  /**
+   * Forgets a template file (in memory and in the template storage), downloaded again the next time a block uses it.
+   * Without a file, forgets all the template files and the compiled templates.
+   *
+   * @function invalidate
+   * @param {string|null} [file=null] - The template file (value of `data-blapy-template-file`).
+   * @returns {Promise<void>} Resolves once the template storage is cleaned.
+   *
+   * @example
+   * await blapy.templateManager.invalidate('/templates/users.html')
+   */
+  async invalidate(file = null) {
+    if (file === null) {
+      this.templates.clear()
+      this.compiledTemplates.clear()
+    } else {
+      this.templates.delete(file)
+    }
+    await this.templateStorage.delete(file)
+  }
+
+  /**
+   * Registers a data processor, usable by the json blocks with `data-blapy-template-init-processdata="<name>"`.
+   *
+   * The processor is called with the json data, the arguments given in the attribute
+   * (eg. "sortBy(name,desc)" gives `['name', 'desc']`) and the context `{name, container, jsonFeatures}`.
+   * It returns (or resolves to) the processed json data.
+   *
+   * @static
+   * @param {string} name - The name of the processor.
+   * @param {Function} processor - async function(jsonData, args, ctx).
+   * @returns {void}
+   *
+   * @example
+   * TemplateManager.registerProcessor('sortBy', (items, [property, order]) =>
+   *   [...items].sort((a, b) => (order === 'desc' ? -1 : 1) * String(a[property]).localeCompare(b[property])))
+   */
+  static registerProcessor(name, processor) {
+    if (typeof processor !== 'function') {
+      throw new Error(`The processor "${name}" must be a function`)
+    }
+    processors.set(name, processor)
+  }
+
+  /**
+   * Gets a registered data processor.
+   *
+   * @static
+   * @param {string} name - The name of the processor.
+   * @returns {Function|null} The processor, or `null` if none is registered with this name.
+   */
+  static getProcessor(name) {
+    return processors.get(name) || null
+  }
+
+  /**
+   * Registers a partial, given to the template engines with the partials of the page (`data-blapy-partial`),
+   * eg. used by a Mustache template with `{{> name}}`.
+   *
+   * @static
+   * @param {string} name - The name of the partial.
+   * @param {string} tpl - The template of the partial.
+   * @returns {void}
+   *
+   * @example
+   * TemplateManager.registerPartial('node', '<li>{{name}}<ul>{{#children}}{{> node}}{{/children}}</ul></li>')
+   */
+  static registerPartial(name, tpl) {
+    if (typeof tpl !== 'string') {
+      throw new Error(`The partial "${name}" must be a string`)
+    }
+    partials.set(name, tpl)
+  }
+
+  /**
+   * Gets a registered partial.
+   *
+   * @static
+   * @param {string} name - The name of the partial.
+   * @returns {string|null} The template of the partial, or `null` if none is registered with this name.
+   */
+  static getPartial(name) {
+    return partials.get(name) ?? null
+  }
+
+  /**
+   * Registers a template engine, usable by the json blocks or their templates with `data-blapy-template-engine="<name>"`.
+   *
+   * `compile(tpl, ctx)` (optional) prepares the template content, then `render(compiled, data, ctx)` returns the html
+   * of the json data, ctx being `{name, container, partials}`. "mustache" and "json2html" are registered by default.
+   *
+   * @static
+   * @param {string} name - The name of the engine.
+   * @param {{compile?: Function, render: Function}} engine - The engine.
+   * @returns {void}
+   *
+   * @example
+   * TemplateManager.registerEngine('handlebars', {
+   *   compile: tpl => Handlebars.compile(tpl),
+   *   render: (compiled, data) => compiled(data),
+   * })
+   */
+  static registerEngine(name, engine) {
+    if (typeof engine?.render !== 'function') {
+      throw new Error(`The template engine "${name}" must have a render function`)
+    }
+    if (engine.compile !== undefined && typeof engine.compile !== 'function') {
+      throw new Error(`The compile of the template engine "${name}" must be a function`)
+    }
+    engines.set(name, engine)
+  }
+
+  /**
+   * Gets a registered template engine.
+   *
+   * @static
+   * @param {string} name - The name of the engine.
+   * @returns {{compile?: Function, render: Function}|null} The engine, or `null` if none is registered with this name.
+   */
+  static getEngine(name) {
+    return engines.get(name) || null
   }
 
 
@@ -51,10 +233,11 @@ export class TemplateManager {
    * @param {HTMLElement} container - The container element where the template will be applied.
    * @param {Blapy} blapy - The Blapy instance managing the container.
    * @param {boolean} [forceReload=false] - Whether to force the template reload.
+   * @param {Promise[]|null} [initRequests=null] - If given, collects the Promise of the request of the initial data (cf. _initializeJsonBlock).
    *
    * @returns {Promise<void>} Resolves when the template is successfully initialized.
    */
-  async setBlapyContainerJsonTemplate(container, blapy, forceReload = false) {
+  async setBlapyContainerJsonTemplate(container, blapy, forceReload = false, initRequests = null) {
     this.logger.info('setBlapyContainerJsonTemplate', 'template manager')
     container.setAttribute('data-blapy-update-rule', 'local')
 
@@ -67,7 +250,7 @@ export class TemplateManager {
     if (htmlTpl.length === 0) {
       try {
         const tempElement = document.createElement('div')
-        tempElement.innerHTML = htmlTplContent.trim()
+        tempElement.innerHTML = this.utils.toHTML(htmlTplContent.trim())
         const firstChild = tempElement.firstElementChild
 
         if (firstChild && firstChild.tagName === 'XMP') {
@@ -100,36 +283,34 @@ export class TemplateManager {
             container.getAttribute('id')
 
         if (tplFile && !this.templates.has(tplFile)) {
-          htmlTplContent = await this.ajaxService.get(tplFile, {
-            params: blapyData,
-          })
+          htmlTplContent = await this._loadTemplateFile(tplFile, container, blapyData)
           htmlTplContent = htmlTplContent
             .replace(/<!--(.*?)-->/gm, '')
             .replaceAll('\n\n', '\n')
             .replaceAll('\t\t', '\t')
 
           const tempDiv = document.createElement('div')
-          tempDiv.innerHTML = htmlTplContent.trim()
+          tempDiv.innerHTML = this.utils.toHTML(htmlTplContent.trim())
 
           if (!tempDiv.firstElementChild || tempDiv.firstElementChild.tagName.toLowerCase() !== 'xmp') {
             htmlTplContent =
               '<xmp style="display:none" data-blapy-container-tpl="true">' +
               htmlTplContent +
               '</xmp>'
-            container.innerHTML = htmlTplContent
+            container.innerHTML = this.utils.toHTML(htmlTplContent)
           } else {
-            container.innerHTML = htmlTplContent
+            container.innerHTML = this.utils.toHTML(htmlTplContent)
           }
 
           this.templates.set(tplFile, htmlTplContent)
 
-          this._initializeJsonBlock(container, false, blapy)
+          this._initializeJsonBlock(container, false, blapy, initRequests)
         } else if (tplFile && this.templates.has(tplFile)) {
           this.logger.info('The templates use cache memory')
-          container.innerHTML = this.templates.get(tplFile)
-          this._initializeJsonBlock(container, false, blapy)
+          container.innerHTML = this.utils.toHTML(this.templates.get(tplFile))
+          this._initializeJsonBlock(container, false, blapy, initRequests)
         } else {
-          this._initializeJsonBlock(container, false, blapy)
+          this._initializeJsonBlock(container, false, blapy, initRequests)
         }
       } else {
         let tmpHtmlContent = htmlTplContent
@@ -144,14 +325,14 @@ export class TemplateManager {
             '<xmp style="display:none" data-blapy-container-tpl="true">' +
             htmlTplContent +
             '</xmp>'
-          container.innerHTML = htmlTplContent
+          container.innerHTML = this.utils.toHTML(htmlTplContent)
         } else {
-          container.innerHTML = htmlTplContent
+          container.innerHTML = this.utils.toHTML(htmlTplContent)
         }
-        this._initializeJsonBlock(container, false, blapy)
+        this._initializeJsonBlock(container, false, blapy, initRequests)
       }
     } else if (forceReload) {
-      this._initializeJsonBlock(container, true, blapy)
+      this._initializeJsonBlock(container, true, blapy, initRequests)
     }
   }
 
@@ -175,6 +356,60 @@ export class TemplateManager {
     return objects
   }
 
+  /**
+   * Gets the content of a template file. With the `templateStorage` option, it is read from the storage
+   * if its version did not change (`data-blapy-template-version` of the block, else the ETag of the stored
+   * file revalidated by the server), else downloaded and stored.
+   *
+   * @private
+   * @async
+   * @function _loadTemplateFile
+   *
+   * @param {string} tplFile - The template file (value of `data-blapy-template-file`).
+   * @param {HTMLElement} container - The json block.
+   * @param {string} blapyData - The Blapy parameters of the request.
+   *
+   * @returns {Promise<string>} The template file content.
+   */
+  async _loadTemplateFile(tplFile, container, blapyData) {
+    if (!this.options.templateStorage) {
+      return this.ajaxService.get(tplFile, { params: blapyData })
+    }
+
+    const version = container.getAttribute('data-blapy-template-version')
+    const storedTemplate = await this.templateStorage.get(tplFile)
+
+    if (storedTemplate && version && storedTemplate.version === version) {
+      this.logger.info(`The template ${tplFile} (version ${version}) uses the template storage`, 'templateManager')
+      return storedTemplate.content
+    }
+
+    const headers = {}
+    if (storedTemplate?.etag && !version) {
+      headers['If-None-Match'] = storedTemplate.etag
+    }
+
+    let etag = null
+    let content
+    try {
+      content = await this.ajaxService.get(tplFile, {
+        params: blapyData,
+        headers,
+        onResponse: (response) => {
+          etag = response.getHeader?.('ETag') || null
+        },
+      })
+    } catch (error) {
+      if (error.status !== 304 || !storedTemplate) throw error
+
+      this.logger.info(`The template ${tplFile} is not modified, it uses the template storage`, 'templateManager')
+      return storedTemplate.content
+    }
+
+    await this.templateStorage.set(tplFile, { content, version, etag })
+    return content
+  }
+
   /**
    * Initializes a JSON-based template block by fetching its initial data (if specified)
    * and triggers the `Blapy_templateReady` event once the template is prepared.
@@ -184,10 +419,12 @@ export class TemplateManager {
    * @param {HTMLElement} container - The container element associated with the JSON template.
    * @param {boolean} [forceReload=false] - Whether to force data reload even if already displayed.
    * @param {*} [blapy=blapy] - The Blapy instance managing the templates and events.
+   * @param {Promise[]|null} [initRequests=null] - If given, the request of the initial data is sent with a request id and its Promise,
+   *        settled once the block is updated, is added to it (cf. reloadBlock()).
    *
    * @returns {void} This function does not return a value.
    */
-  _initializeJsonBlock(container, forceReload = false, blapy = blapy) {
+  _initializeJsonBlock(container, forceReload = false, blapy = blapy, initRequests = null) {
     this.logger.info('_initializeJsonBlock', 'template manager')
 
     const containerName = container.getAttribute('data-blapy-container-name')
@@ -235,12 +472,20 @@ export class TemplateManager {
       )
       if (aInitURL_Method == undefined) aInitURL_Method = 'GET'
 
-      blapy.myFSM.trigger('postData', {
+      const initData = {
         aUrl: aInitURL,
         params: aInitURL_Param,
         method: aInitURL_Method,
         noBlapyData: noBlapyData,
-      })
+      }
+      if (initRequests) {
+        initRequests.push(blapy._trackRequest(aInitURL, (requestId) => blapy.myFSM.trigger('postData', { ...initData, requestId })))
+      } else {
+        blapy.myFSM.trigger('postData', initData)
+      }
+
+      // the skeleton of the block, until its data are received
+      this.renderStateTemplate(container, 'loading')
     } else {
     }
 
@@ -282,18 +527,24 @@ export class TemplateManager {
 
       if (!jsonDataObj) return
 
-      const processedData = this._applyDataTransformations(
+      const processedData = await this._applyDataTransformations(
         jsonDataObj,
         myContainer,
         jsonFeatures,
       )
 
+      if (Array.isArray(processedData) && processedData.length === 0 && this.renderStateTemplate(myContainer, 'empty')) {
+        return
+      }
+
 
       const template = this._getTemplate(myContainer)
 
 
       if (!template) return
 
+      await this._loadPagePartials()
+
       const generatedHtml = this._generateHtml(
         processedData,
         template,
@@ -341,7 +592,9 @@ export class TemplateManager {
       this.logger.warn('Premier parsing échoué, tentative d\'extraction HTML', 'templateManager')
 
       try {
-        jsonData = $(jsonData).html()
+        jsonData = this.options.csp
+          ? this.utils.parseHTML(jsonData).find(node => node.nodeType === Node.ELEMENT_NODE)?.innerHTML
+          : $(jsonData).html()
 
         const cleanedData = jsonData.replace(/(\r\n|\n|\r)/g, '')
         const jsonDataObj = jsonFeatures.parse(cleanedData)
@@ -442,9 +695,9 @@ export class TemplateManager {
    * @param {HTMLElement} myContainer - The container element with transformation attributes.
    * @param {*} jsonFeatures - A JSON parser (e.g., JSON or JSON5).
    *
-   * @returns {Object|Array} The transformed JSON data with applied filters and indices.
+   * @returns {Promise<Object|Array>} The transformed JSON data with applied filters and indices.
    */
-  _applyDataTransformations(jsonDataObj, myContainer, jsonFeatures) {
+  async _applyDataTransformations(jsonDataObj, myContainer, jsonFeatures) {
     this.logger.info('_applyDataTransformations', 'templateManager')
     let processedData = jsonDataObj
 
@@ -465,7 +718,7 @@ export class TemplateManager {
       return null
     }
 
-    processedData = this._applyProcessDataFunctions(
+    processedData = await this._applyProcessDataFunctions(
       processedData,
       myContainer,
       jsonFeatures,
@@ -587,9 +840,14 @@ export class TemplateManager {
   }
 
   /**
-   * Applies custom data processing functions defined in the
-   * `data-blapy-template-init-processdata` attribute to the JSON data.
+   * Applies the data processors listed in the `data-blapy-template-init-processdata`
+   * attribute to the JSON data, one after the other.
+   *
+   * The attribute lists processor names, with optional arguments: "filterActive, sortBy(name,desc)".
+   * A name is resolved from the processors registry (cf. `TemplateManager.registerProcessor()`),
+   * then, unless the `strictProcessors` option is set, from the global functions (eg. "myLib.process").
    *
+   * @async
    * @private
    * @function _applyProcessDataFunctions
    *
@@ -597,57 +855,113 @@ export class TemplateManager {
    * @param {HTMLElement} myContainer - The container element with the `data-blapy-template-init-processdata` attribute.
    * @param {*} jsonFeatures - A JSON parser (e.g., JSON or JSON5).
    *
-   * @returns {Object|Array} The processed JSON data, or the original data if no valid processing function is applied.
+   * @returns {Promise<Object|Array>} The processed JSON data; a processor that fails or does not return
+   *          a json structure is skipped.
    */
-  _applyProcessDataFunctions(jsonDataObj, myContainer, jsonFeatures) {
+  async _applyProcessDataFunctions(jsonDataObj, myContainer, jsonFeatures) {
     this.logger.info('_applyProcessDataFunctions', 'templateManager')
-    if (
-      !myContainer.hasAttribute('data-blapy-template-init-processdata') ||
-      myContainer.getAttribute('data-blapy-template-init-processdata') === ''
-    ) {
+    const aJsonDataFunction = myContainer.getAttribute('data-blapy-template-init-processdata')
+    if (!aJsonDataFunction) {
       return jsonDataObj
     }
 
-    let aJsonDataFunction = myContainer.getAttribute(
-      'data-blapy-template-init-processdata',
+    this.logger.info(
+      'Apply data-blapy-template-init-processdata: ' + aJsonDataFunction,
     )
-    if (aJsonDataFunction) {
-      this.logger.info(
-        'Apply data-blapy-template-init-processdata: ' + aJsonDataFunction,
-      )
 
-      aJsonDataFunction.split(',').forEach((aFunctionName) => {
-        let previousJsonDataObj = jsonFeatures;
-        eval(
-          'if (typeof ' +
-          aFunctionName +
-          ' === "function") ' +
-          '   jsonDataObj=' +
-          aFunctionName +
-          '(jsonDataObj);' +
-          'else ' +
-          '    this.logger.error("' +
-          aFunctionName +
-          ' does not exist :(! ' +
+    for (const { name, args } of this._parseProcessorCalls(aJsonDataFunction)) {
+      const processor = this._getProcessor(name)
+      if (!processor) {
+        this.logger.error(
+          name + (this.options.strictProcessors ? ' is not a registered processor :(! ' : ' does not exist :(! ') +
           'Have a look on the : data-blapy-template-init-processdata of container ' +
-          myContainer.id +
-          '", "templateManager");',
+          myContainer.id,
+          'templateManager',
         )
+        continue
+      }
 
-        if (typeof jsonDataObj !== 'object') {
-          this.logger.error(
-            'returned Json Data was not a json structure :(! Perhaps it is due to the processing of this function on them: ' +
-            aJsonDataFunction,
-            'templateManager',
-          )
-          jsonDataObj = previousJsonDataObj
-        }
-      })
+      let processedData
+      try {
+        processedData = await processor(jsonDataObj, args, { name, container: myContainer, jsonFeatures })
+      } catch (error) {
+        this.logger.error(
+          'The processor ' + name + ' failed on the json data of container ' + myContainer.id + ': ' + error.message,
+          'templateManager',
+        )
+        continue
+      }
+
+      if (processedData === null || typeof processedData !== 'object') {
+        this.logger.error(
+          'returned Json Data was not a json structure :(! Perhaps it is due to the processing of this function on them: ' +
+          name,
+          'templateManager',
+        )
+        continue
+      }
+
+      jsonDataObj = processedData
     }
 
     return jsonDataObj
   }
 
+  /**
+   * Parses the processors list of `data-blapy-template-init-processdata`.
+   *
+   * @private
+   * @function _parseProcessorCalls
+   *
+   * @param {string} processorList - eg. "filterActive, sortBy(name,desc), limit('10')".
+   *
+   * @returns {Array<{name: string, args: string[]}>} The processor calls, the quotes of the arguments are removed.
+   */
+  _parseProcessorCalls(processorList) {
+    const calls = []
+
+    // commas out of the parentheses separate the processors
+    processorList.split(/,(?![^(]*\))/).forEach((item) => {
+      const call = item.trim().match(/^([\w$.]+)\s*(?:\((.*)\))?$/)
+      if (!call) {
+        if (item.trim()) this.logger.error('Invalid data-blapy-template-init-processdata processor: ' + item, 'templateManager')
+        return
+      }
+
+      const args = call[2] && call[2].trim()
+        ? call[2].split(',').map((arg) => arg.trim().replace(/^(['"])(.*)\1$/, '$2'))
+        : []
+
+      calls.push({ name: call[1], args })
+    })
+
+    return calls
+  }
+
+  /**
+   * Resolves a data processor by its name: a registered processor or, unless the
+   * `strictProcessors` option is set, a global function (legacy behavior).
+   *
+   * @private
+   * @function _getProcessor
+   *
+   * @param {string} name - The processor name (may be a dotted path for a global function).
+   *
+   * @returns {Function|null} A function(jsonData, args, ctx), or `null` if none is found.
+   */
+  _getProcessor(name) {
+    const processor = TemplateManager.getProcessor(name)
+    if (processor) return processor
+
+    if (this.options.strictProcessors) return null
+
+    const globalFunction = name.split('.').reduce((scope, key) => scope?.[key], globalThis)
+    if (typeof globalFunction !== 'function') return null
+
+    // global functions only take the json data
+    return (jsonData) => globalFunction(jsonData)
+  }
+
   /**
    * Adds Blapy-specific index properties (`blapyIndex`, `blapyFirst`, `blapyLast`)
    * to each element of the JSON data for template rendering.
@@ -683,15 +997,26 @@ export class TemplateManager {
    * @function _getTemplate
    *
    * @param {HTMLElement} myContainer - The container element containing the template(s).
+   * @param {string|null} [stateTemplateId=null] - 'loading', 'empty' or 'error' to get the state template of this id, if any.
+   *        Otherwise the state templates are never used to render the data.
    *
-   * @returns {{content: string, allTemplates: NodeList}|null} An object with the template content and all found templates, or `null` if none are found.
+   * @returns {{content: string, allTemplates: NodeList, engine: string|null}|null} An object with the template content, all found templates
+   *          and the engine set on the template (data-blapy-template-engine), or `null` if none are found.
    */
-  _getTemplate(myContainer) {
+  _getTemplate(myContainer, stateTemplateId = null) {
 
 
     let htmlTpl = ''
     let htmlAllTpl = myContainer.querySelectorAll('[data-blapy-container-tpl]')
 
+    // a state template is optional
+    if (stateTemplateId) {
+      const stateTpl = myContainer.querySelector(`:scope > [data-blapy-container-tpl][data-blapy-container-tpl-id='${stateTemplateId}']`)
+      return stateTpl
+        ? { content: stateTpl.innerHTML, allTemplates: htmlAllTpl, engine: stateTpl.getAttribute('data-blapy-template-engine') }
+        : null
+    }
+
     let htmlTplContent = ''
 
     let tplId = myContainer.getAttribute('data-blapy-template-default-id')
@@ -713,7 +1038,11 @@ export class TemplateManager {
       }
     }
 
-    if (htmlTpl.length == 0) htmlTpl = htmlAllTpl
+    if (htmlTpl.length == 0) {
+      htmlTpl = Array.from(htmlAllTpl).filter((tpl) =>
+        !stateTemplateIds.includes(tpl.getAttribute('data-blapy-container-tpl-id')),
+      )
+    }
 
     if (htmlTpl.length == 0) {
       htmlTplContent = ''
@@ -726,6 +1055,7 @@ export class TemplateManager {
     } else {
       htmlTplContent = htmlTpl[0].innerHTML
     }
+    const engine = htmlTpl[0].getAttribute('data-blapy-template-engine')
 
     if (htmlTplContent.length < 3) {
       this.logger.error(
@@ -739,93 +1069,263 @@ export class TemplateManager {
     return {
       content: htmlTplContent,
       allTemplates: htmlAllTpl,
+      engine,
     }
   }
 
+  /**
+   * Renders a state template of a json block in place of its content:
+   * - 'loading' while its init request (data-blapy-template-init) is pending,
+   * - 'empty' when its processed data are an empty array,
+   * - 'error' when a request targeting it fails.
+   *
+   * The rendered template is told by the `data-blapy-template-state` attribute of the block,
+   * removed once data are rendered.
+   *
+   * @function renderStateTemplate
+   *
+   * @param {HTMLElement} container - The json block.
+   * @param {string} stateTemplateId - 'loading', 'empty' or 'error'.
+   * @param {Object} [data={}] - The data of the template, if it has Mustache tags (eg. the error).
+   *
+   * @returns {boolean} `true` if the block has such a template and it has been rendered.
+   */
+  renderStateTemplate(container, stateTemplateId, data = {}) {
+    const template = this._getTemplate(container, stateTemplateId)
+    if (!template) return false
+
+    this._renderStateContent(container, template.content, stateTemplateId, data, template.engine)
+    return true
+  }
+
+  /**
+   * Renders an error template in place of the content of a block (cf. data-blapy-error-template).
+   *
+   * @function renderErrorTemplate
+   *
+   * @param {HTMLElement} container - The block.
+   * @param {string} templateSelector - The css selector of the template element (eg. "#errorTpl" for a <template id="errorTpl">).
+   * @param {Object} [data={}] - The data of the template, if it has Mustache tags (the error details).
+   *
+   * @returns {boolean} `true` if the template has been found and rendered.
+   */
+  renderErrorTemplate(container, templateSelector, data = {}) {
+    let templateElement = null
+    try {
+      templateElement = document.querySelector(templateSelector)
+    } catch {
+      // invalid selector, logged below
+    }
+
+    if (!templateElement) {
+      this.logger.error(
+        'The error template ' + templateSelector + ' was not found for the block ' +
+        container.getAttribute('data-blapy-container-name') + '!',
+        'templateManager',
+      )
+      return false
+    }
+
+    this._renderStateContent(container, templateElement.innerHTML, 'error', data, templateElement.getAttribute('data-blapy-template-engine'))
+    return true
+  }
+
+  /**
+   * Renders a state template content in a block, keeping its json templates.
+   *
+   * @private
+   * @function _renderStateContent
+   *
+   * @param {HTMLElement} container - The block.
+   * @param {string} content - The template content.
+   * @param {string} stateTemplateId - 'loading', 'empty' or 'error'.
+   * @param {Object} data - The data of the template, if it has Mustache tags or a template engine.
+   * @param {string|null} [engine=null] - The template engine set on the template, if any.
+   *
+   * @returns {void}
+   */
+  _renderStateContent(container, content, stateTemplateId, data, engine = null) {
+    const html = (engine || container.hasAttribute('data-blapy-template-engine') || content.includes('{{'))
+      ? this._generateHtml(data, { content, engine }, container)
+      : this._prepareTemplateContent(content)
+
+    let tplList = ''
+    container.querySelectorAll(':scope > [data-blapy-container-tpl]').forEach((el) => {
+      tplList += el.outerHTML
+    })
+
+    container.innerHTML = this.utils.toHTML(tplList + html)
+    container.setAttribute('data-blapy-template-state', stateTemplateId)
+  }
+
   /**
    * Generates the final HTML from the given JSON data and template.
    *
+   * The template engine is the one set on the template, else on the block (data-blapy-template-engine),
+   * else Mustache if it is loaded and the template has Mustache tags, else json2html if it is loaded.
+   * When no engine can render the template, the `Blapy_templateError` event is sent by the block.
+   *
    * @private
    * @function _generateHtml
    *
    * @param {Object|Array} jsonDataObj - The JSON data used to populate the template.
-   * @param {{content: string, allTemplates: NodeList}} template - The template object containing HTML content.
+   * @param {{content: string, allTemplates: NodeList, engine: string|null}} template - The template object containing HTML content.
    * @param {HTMLElement} myContainer - The container element holding template configuration.
    *
    * @returns {string} The generated HTML string.
    */
   _generateHtml(jsonDataObj, template, myContainer) {
-    let htmlTplContent = this._prepareTemplateContent(template.content);
-    let newHtml = '';
-    let parsed = false;
+    const htmlTplContent = this._prepareTemplateContent(template.content)
 
     if (!jsonDataObj) {
       this.logger.warn(
         'jsonDataObj is null... cannot generate html from template and so returning void html',
         'templateManager._generateHtml',
       )
-      return '';
+      return ''
     }
 
-    const jsonData = JSON.stringify(jsonDataObj);
+    const engineName = template.engine ||
+      myContainer.getAttribute('data-blapy-template-engine') ||
+      this._detectEngine(htmlTplContent, myContainer)
+    const engine = engineName ? TemplateManager.getEngine(engineName) : null
 
-    if (typeof Mustache != 'undefined') {
-      let mustacheStartDelimiter = '{{';
-      let mustacheEndDelimiter = '}}';
-      let newDelimiters = '';
+    if (!engine) {
+      this._templateError(
+        myContainer,
+        engineName
+          ? `The template engine "${engineName}" is not registered`
+          : 'no json parser loaded... need to include json2html or Mustache library! ',
+        engineName,
+      )
+      return ''
+    }
 
-      if (
-        myContainer.hasAttribute(
-          'data-blapy-template-mustache-delimiterStart',
-        ) &&
-        myContainer.getAttribute(
-          'data-blapy-template-mustache-delimiterStart',
-        ) !== ''
-      ) {
-        mustacheStartDelimiter = myContainer.getAttribute(
-          'data-blapy-template-mustache-delimiterStart',
-        );
-        mustacheEndDelimiter = myContainer.getAttribute(
-          'data-blapy-template-mustache-delimiterEnd',
-        );
-        newDelimiters =
-          '{{=' + mustacheStartDelimiter + ' ' + mustacheEndDelimiter + '=}}';
-      }
+    const ctx = { name: engineName, container: myContainer, partials: this._getPartials() }
+    try {
+      const compiled = this._compileTemplate(engineName, engine, htmlTplContent, ctx)
+      return engine.render(compiled, jsonDataObj, ctx)
+    } catch (error) {
+      this._templateError(myContainer, `The template engine "${engineName}" failed: ${error.message}`, engineName, error)
+      return ''
+    }
+  }
+
+  /**
+   * Compiles a template with its engine, once for each content: the compiled templates are kept by
+   * engine and content (with the Mustache delimiters of the block, part of the compiled template).
+   *
+   * @private
+   * @param {string} engineName - The name of the engine.
+   * @param {{compile?: Function, render: Function}} engine - The engine.
+   * @param {string} htmlTplContent - The template content.
+   * @param {{name: string, container: HTMLElement, partials: Object<string, string>}} ctx - The rendering context.
+   * @returns {*} The compiled template.
+   */
+  _compileTemplate(engineName, engine, htmlTplContent, ctx) {
+    if (!engine.compile) return htmlTplContent
+
+    const delimiters = engineName === 'mustache'
+      ? (ctx.container.getAttribute('data-blapy-template-mustache-delimiterStart') || '') + ' ' +
+        (ctx.container.getAttribute('data-blapy-template-mustache-delimiterEnd') || '')
+      : ''
+    // the content itself is the key: two templates never share a compiled template
+    const key = engineName + ':' + delimiters + '\n' + htmlTplContent
+
+    // a registered engine may have been replaced since the template was compiled
+    const compiledTemplate = this.compiledTemplates.get(key)
+    if (compiledTemplate && compiledTemplate.engine === engine) return compiledTemplate.compiled
+
+    const compiled = engine.compile(htmlTplContent, ctx)
+    this.compiledTemplates.set(key, { engine, compiled })
+    return compiled
+  }
 
-      if (newDelimiters != '' || htmlTplContent.includes('{{')) { //it means that we have mustache tags in the template, so we try to parse it with mustache even if no custom delimiter is set, to avoid to return the template without parsing it
-        newHtml = Mustache.render(
-          newDelimiters + mustacheStartDelimiter + '#.' + mustacheEndDelimiter +
-          htmlTplContent +
-          mustacheStartDelimiter + '/.' + mustacheEndDelimiter,
-          jsonDataObj,
-        );
-        parsed = true;
+  /**
+   * Reads the partials of the page: the elements with `data-blapy-partial="<name>"` (eg. an <xmp>), wherever they are,
+   * whose content is the partial, or that load it from their `data-blapy-template-file`.
+   * A partial is kept once read, even if its element is later removed (eg. by the rendering of its block).
+   *
+   * @private
+   * @async
+   * @returns {Promise<void>} Resolves once the partials are read.
+   */
+  async _loadPagePartials() {
+    for (const element of document.querySelectorAll('[data-blapy-partial]')) {
+      const name = element.getAttribute('data-blapy-partial')
+      const tplFile = element.getAttribute('data-blapy-template-file')
+
+      if (!tplFile || element.innerHTML.trim() !== '') {
+        this.pagePartials.set(name, this._prepareTemplateContent(element.innerHTML))
+        continue
       }
 
+      if (!this.templates.has(tplFile)) {
+        const blapyData = element.getAttribute('data-blapy-noblapydata') == '1'
+          ? ''
+          : 'blapycall=1&blapyaction=loadTpl&blapyobjectid=' + (element.id || name)
+        try {
+          this.templates.set(tplFile, await this._loadTemplateFile(tplFile, element, blapyData))
+        } catch (error) {
+          this.logger.error(`The partial "${name}" could not be loaded from ${tplFile}: ${error.message}`, 'templateManager')
+          continue
+        }
+      }
+      this.pagePartials.set(name, this.templates.get(tplFile))
     }
+  }
 
-    if (!parsed && typeof json2html != 'undefined') {
-
-      newHtml = json2html.transform(jsonDataObj, {
-        'tag': 'void',
-        'html': htmlTplContent,
-      });
-      newHtml = newHtml.replace(/<.?void>/g, '');
-      parsed = true;
-    }
+  /**
+   * Gives the partials to the template engines: the registered ones, overridden by the ones of the page.
+   *
+   * @private
+   * @returns {Object<string, string>} The templates of the partials, by name.
+   */
+  _getPartials() {
+    return Object.fromEntries([...partials, ...this.pagePartials])
+  }
 
-    if (!parsed) {
-      this.logger.error(
-        'no json parser loaded... need to include json2html or Mustache library! ',
-        'templateManager._generateHtml',
-      );
-      alert(
-        'no json parser loaded... need to include "json2html" or "Mustache" library!',
-      );
-      return '';
+  /**
+   * Finds the engine of a template without data-blapy-template-engine (legacy behavior):
+   * Mustache if it is loaded and the template has Mustache tags (or the block custom delimiters), else json2html if it is loaded.
+   *
+   * @private
+   * @param {string} htmlTplContent - The template content.
+   * @param {HTMLElement} myContainer - The block.
+   * @returns {string|null} The engine name, or `null` if no engine is loaded.
+   */
+  _detectEngine(htmlTplContent, myContainer) {
+    if (typeof globalThis.Mustache !== 'undefined' && (
+      htmlTplContent.includes('{{') ||
+      myContainer.getAttribute('data-blapy-template-mustache-delimiterStart')
+    )) {
+      return 'mustache'
     }
+    if (typeof globalThis.json2html !== 'undefined') return 'json2html'
+    return null
+  }
 
-    return newHtml;
+  /**
+   * Logs a rendering error and sends the `Blapy_templateError` event by the block.
+   *
+   * @private
+   * @param {HTMLElement} myContainer - The block.
+   * @param {string} message - The error message.
+   * @param {string|null} engine - The name of the template engine, if any.
+   * @param {Error} [error] - The error thrown by the engine, if any.
+   * @returns {void}
+   */
+  _templateError(myContainer, message, engine, error) {
+    this.logger.error(message, 'templateManager')
+    myContainer.dispatchEvent(new CustomEvent('Blapy_templateError', {
+      bubbles: true,
+      detail: {
+        message,
+        engine,
+        blockName: myContainer.getAttribute('data-blapy-container-name'),
+        error: error || null,
+      },
+    }))
   }
 
   /**
@@ -845,6 +1345,40 @@ export class TemplateManager {
       .replace(/blapyScriptJS/gi, 'script')
   }
 
+  /**
+   * Runs the scripts of a rendered json block (an inserted <script> is not run by the browser, so it is recreated).
+   * In CSP mode (`csp` option), they only run in the blocks with `data-blapy-scripts="true"` and carry
+   * the nonce of the option; elsewhere they are removed.
+   *
+   * @private
+   * @param {HTMLElement} myContainer - The rendered json block.
+   * @returns {void}
+   */
+  _runScripts(myContainer) {
+    const { csp } = this.options
+    const runScripts = !csp || myContainer.getAttribute('data-blapy-scripts') === 'true'
+
+    const scripts = myContainer.querySelectorAll('script')
+    scripts.forEach(oldScript => {
+      if (!runScripts) {
+        this.logger.warn(`Script removed from the block "${myContainer.getAttribute('data-blapy-container-name')}" (CSP mode without data-blapy-scripts="true")`, 'templateManager')
+        oldScript.remove()
+        return
+      }
+
+      const newScript = document.createElement('script')
+      if (csp?.nonce) {
+        newScript.nonce = csp.nonce
+      }
+      if (oldScript.src) {
+        newScript.src = oldScript.src
+      } else {
+        newScript.textContent = oldScript.textContent
+      }
+      oldScript.parentNode.replaceChild(newScript, oldScript)
+    })
+  }
+
   /**
    * Injects the generated HTML into the container, applying optional header, footer, and wrapper templates.
    *
@@ -859,6 +1393,10 @@ export class TemplateManager {
   _injectFinalHtml(generatedHtml, myContainer, blapy, template) {
     let newHtml = generatedHtml
 
+    if (myContainer.hasAttribute('data-blapy-sanitize')) {
+      newHtml = blapy.sanitizer.sanitize(newHtml, myContainer.getAttribute('data-blapy-sanitize'), myContainer)
+    }
+
     if (myContainer.hasAttribute('data-blapy-template-header')) {
       this.logger.info('Apply data-blapy-template-header')
       newHtml =
@@ -877,8 +1415,8 @@ export class TemplateManager {
       const wrapTemplate = myContainer.getAttribute('data-blapy-template-wrap')
       const wrapperTemplate = document.createElement('div')
 
-      wrapperTemplate.innerHTML = wrapTemplate
-      wrapperTemplate.firstElementChild.innerHTML = newHtml
+      wrapperTemplate.innerHTML = this.utils.toHTML(wrapTemplate)
+      wrapperTemplate.firstElementChild.innerHTML = this.utils.toHTML(newHtml)
       newHtml = wrapperTemplate.firstElementChild.outerHTML
     }
 
@@ -889,20 +1427,14 @@ export class TemplateManager {
       })
     }
 
-    myContainer.innerHTML = tplList + newHtml
+    myContainer.innerHTML = this.utils.toHTML(tplList + newHtml)
+    myContainer.removeAttribute('data-blapy-template-state')
 
-    const scripts = myContainer.querySelectorAll('script')
-    scripts.forEach(oldScript => {
-      const newScript = document.createElement('script')
-      if (oldScript.src) {
-        newScript.src = oldScript.src
-      } else {
-        newScript.textContent = oldScript.textContent
-      }
-      oldScript.parentNode.replaceChild(newScript, oldScript)
-    })
+    this._runScripts(myContainer)
 
     setTimeout(() => {
+      // the Blapy instance may have been destroyed meanwhile
+      if (!blapy.myFSM) return
 
       const subJsonBlocks = myContainer.querySelectorAll('[data-blapy-update="json"]')
 
@@ -916,8 +1448,12 @@ export class TemplateManager {
           for (const subContainer of subJsonBlocks) {
             await templateManager.setBlapyContainerJsonTemplate(subContainer, blapy)
           }
-          blapy.myFSM.trigger('blapyJsonTemplatesIsSet')
         })()
+          .catch((error) => {
+            templateManager.logger.error(`The json sub-blocks were not rendered: ${error.toString()}`, 'templateManager')
+          })
+          // the page change goes on even if a sub-block failed
+          .finally(() => blapy.myFSM?.trigger('blapyJsonTemplatesIsSet'))
       } else {
         blapy.myFSM.trigger('blapyJsonTemplatesIsSet')
       }
@@ -0,0 +1,93 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/TemplateStorage.js
+ * TemplateStorage : persistent storage of the template files (data-blapy-template-file)
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview Template storage for Blapy2 - keeps the downloaded template files, with their version
+ *               (data-blapy-template-version or ETag), in the localStorage or in IndexedDB between page loads.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ */
+
+import { PersistentStore } from './PersistentStore.js'
+
+export class TemplateStorage {
+  /**
+   * Creates a TemplateStorage instance.
+   *
+   * @param {Logger} logger - The logging service instance.
+   * @param {Object} [options={}] - Storage options.
+   * @param {string|Storage|null} [options.storage=null] - null (nothing persisted), 'local' (localStorage),
+   *        'session' (sessionStorage), 'indexeddb' or any object implementing the Web Storage interface.
+   * @param {string} [options.storageKey='blapy2-templates'] - Prefix of the keys written in a Web Storage,
+   *        or name of the IndexedDB database.
+   */
+  constructor(logger, options = {}) {
+    this.logger = logger
+    this.options = {
+      storage: null,
+      storageKey: 'blapy2-templates',
+      ...options,
+    }
+    this.store = new PersistentStore(logger, {
+      storage: this.options.storage,
+      storageKey: this.options.storageKey,
+      storeName: 'templates',
+      name: 'Template storage',
+      logContext: 'templateStorage',
+    })
+  }
+
+  /**
+   * Gets a stored template file.
+   *
+   * @param {string} file - The template file.
+   * @returns {Promise<{content: string, version: string|null, etag: string|null, storedAt: number}|null>}
+   *          The stored template, or `null` if there is none.
+   */
+  async get(file) {
+    try {
+      return await this.store.get(file)
+    } catch (error) {
+      this.logger.warn(`Template "${file}" not read from the template storage: ${error.toString()}`, 'templateStorage')
+      return null
+    }
+  }
+
+  /**
+   * Stores a template file.
+   *
+   * @param {string} file - The template file.
+   * @param {{content: string, version: string|null, etag: string|null}} entry - The template and its version.
+   * @returns {Promise<void>}
+   */
+  async set(file, entry) {
+    try {
+      await this.store.set(file, { ...entry, storedAt: Date.now() })
+    } catch (error) {
+      this.logger.warn(`Template "${file}" not persisted in the template storage: ${error.toString()}`, 'templateStorage')
+    }
+  }
+
+  /**
+   * Removes a template file, or all of them.
+   *
+   * @param {string|null} [file=null] - The template file, or `null` for all the files.
+   * @returns {Promise<void>}
+   */
+  async delete(file = null) {
+    try {
+      await (file !== null ? this.store.delete(file) : this.store.clear())
+    } catch (error) {
+      this.logger.warn(`Template storage not cleaned: ${error.toString()}`, 'templateStorage')
+    }
+  }
+}
@@ -0,0 +1,228 @@
+/**
+ * -----------------------------------------------------------------------------------------
+ * INTERSEL - 4 cité d'Hauteville - 75010 PARIS
+ * RCS PARIS 488 379 660 - NAF 721Z
+ *
+ * File : core/UpdateStrategies.js
+ * UpdateStrategies : built-in update strategies of the Blapy blocks (data-blapy-update)
+ *
+ * -----------------------------------------------------------------------------------------
+ * @copyright Intersel 2015-2026
+ * @fileoverview Built-in update strategies for Blapy2 - each one applies an incoming block
+ *               received from the server on the matching live block of the page.
+ *               Other strategies may be added with `Blapy.registerUpdateStrategy()`.
+ * @see {@link https://github.com/intersel/blapy2}
+ * @author agent - agent@local
+ * @version 1.0.0
+ * @license DonationWare - see https://github.com/intersel/blapy2/blob/master/LICENSE
+ * -----------------------------------------------------------------------------------------
+ *
+ * An update strategy is a function (liveBlock, incomingBlock, ctx) that may be async:
+ * - liveBlock: the Blapy block of the page
+ * - incomingBlock: the Blapy block with the same name in the loaded content
+ * - ctx: {
+ *     name,           // name of the strategy (data-blapy-update value)
+ *     blapy,          // the Blapy instance
+ *     params,         // the parameters of the request
+ *     local,          // true if only the inner content must be changed (data-blapy-update-rule="local")
+ *     changed,        // true if the container-content differs or if the update is forced
+ *     encodedContent, // the <xmp class="blapybin"> element of an embedded content, if any
+ *     jsonFeatures,   // JSON5 if available, else JSON
+ *   }
+ * It returns (or resolves to) the element now holding the block content when it is not liveBlock,
+ * or false when the block has not been updated (the after change events are then not sent).
+ */
+
+/**
+ * Puts the incoming block in place of the live one (or only its inner content if the rule is local).
+ *
+ * @param {HTMLElement} liveBlock - The block of the page.
+ * @param {HTMLElement} incomingBlock - The block of the loaded content.
+ * @param {Object} ctx - The update context.
+ * @returns {HTMLElement} The incoming block.
+ */
+function replaceBlock(liveBlock, incomingBlock, ctx) {
+  const { utils } = ctx.blapy
+  if (ctx.local) {
+    liveBlock.innerHTML = utils.toHTML(incomingBlock.innerHTML)
+  } else {
+    liveBlock.outerHTML = utils.toHTML(incomingBlock.outerHTML)
+  }
+  return incomingBlock
+}
+
+/**
+ * Merges the json data received by a "json-append" block with the ones it already shows.
+ *
+ * @param {HTMLElement} liveBlock - The block of the page.
+ * @param {Array|Object} newJsonData - The received json data.
+ * @param {Array} currentData - The json data already shown.
+ * @returns {Array} The merged json data.
+ */
+function mergeJsonData(liveBlock, newJsonData, currentData) {
+  const newItems = Array.isArray(newJsonData) ? newJsonData : [newJsonData]
+  const appendStrategy = liveBlock.getAttribute('data-blapy-json-append-strategy') || 'end'
+  let mergedData
+
+  if (appendStrategy === 'start') {
+    mergedData = [...newItems, ...currentData]
+  } else if (appendStrategy === 'unique') {
+    const uniqueKey = liveBlock.getAttribute('data-blapy-json-unique-key') || 'id'
+    mergedData = [...currentData]
+
+    for (const newItem of newItems) {
+      const exists = mergedData.some(item =>
+        item[uniqueKey] && newItem[uniqueKey] && item[uniqueKey] === newItem[uniqueKey],
+      )
+      if (!exists) {
+        mergedData.push(newItem)
+      }
+    }
+  } else {
+    mergedData = [...currentData, ...newItems]
+  }
+
+  const maxItems = parseInt(liveBlock.getAttribute('data-blapy-json-max-items'))
+  if (maxItems && maxItems > 0 && mergedData.length > maxItems) {
+    mergedData = appendStrategy === 'start' ? mergedData.slice(0, maxItems) : mergedData.slice(-maxItems)
+  }
+
+  return mergedData
+}
+
+export const defaultUpdateStrategies = {
+  /**
+   * Replaces the block if its container-content changed.
+   */
+  update(liveBlock, incomingBlock, ctx) {
+    if (ctx.changed) return replaceBlock(liveBlock, incomingBlock, ctx)
+  },
+
+  /**
+   * Always replaces the block.
+   */
+  'force-update'(liveBlock, incomingBlock, ctx) {
+    return replaceBlock(liveBlock, incomingBlock, ctx)
+  },
+
+  /**
+   * Only patches the nodes and attributes that changed.
+   */
+  morph(liveBlock, incomingBlock, ctx) {
+    if (ctx.changed) {
+      ctx.blapy.domMorph.morph(liveBlock, incomingBlock, {
+        childrenOnly: ctx.local,
+      })
+    }
+  },
+
+  /**
+   * Adds the incoming content after the current one.
+   */
+  append(liveBlock, incomingBlock, ctx) {
+    incomingBlock.insertAdjacentHTML('afterbegin', ctx.blapy.utils.toHTML(liveBlock.innerHTML))
+    return replaceBlock(liveBlock, incomingBlock, ctx)
+  },
+
+  /**
+   * Adds the incoming content before the current one.
+   */
+  prepend(liveBlock, incomingBlock, ctx) {
+    incomingBlock.insertAdjacentHTML('beforeend', ctx.blapy.utils.toHTML(liveBlock.innerHTML))
+    return replaceBlock(liveBlock, incomingBlock, ctx)
+  },
+
+  /**
+   * Adds the incoming json data to the ones of the block and renders them all.
+   */
+  async 'json-append'(liveBlock, incomingBlock, ctx) {
+    const { blapy, jsonFeatures } = ctx
+    let currentData = []
+
+    const currentJsonData = liveBlock.getAttribute('data-blapy-json-data')
+    if (currentJsonData) {
+      try {
+        currentData = jsonFeatures.parse(currentJsonData)
+        if (!Array.isArray(currentData)) {
+          currentData = [currentData]
+        }
+      } catch {
+        blapy.logger.warn('Could not parse existing JSON data, starting fresh', 'json-append')
+        currentData = []
+      }
+    }
+
+    let newJsonData = null
+    try {
+      newJsonData = ctx.encodedContent
+        ? jsonFeatures.parse(blapy.utils.atou(ctx.encodedContent.innerHTML))
+        : jsonFeatures.parse(incomingBlock.innerHTML)
+    } catch {
+      blapy.logger.error('Failed to decode/parse new JSON data', 'json-append')
+      return false
+    }
+
+    if (newJsonData && newJsonData['blapy-data']) {
+      newJsonData = newJsonData['blapy-data']
+    }
+
+    const mergedData = mergeJsonData(liveBlock, newJsonData, currentData)
+
+    liveBlock.setAttribute('data-blapy-json-data', JSON.stringify(mergedData))
+
+    const tempBlapyContainer = incomingBlock.cloneNode(true)
+    tempBlapyContainer.innerHTML = blapy.utils.toHTML(JSON.stringify(mergedData))
+
+    await blapy.templateManager.processJsonUpdate(null, liveBlock, tempBlapyContainer, jsonFeatures, blapy)
+
+    const newItemsCount = Array.isArray(newJsonData) ? newJsonData.length : 1
+
+    liveBlock.dispatchEvent(new CustomEvent('Blapy_jsonAppended', {
+      detail: {
+        newItems: newItemsCount,
+        totalItems: mergedData.length,
+        data: mergedData,
+      },
+    }))
+
+    blapy.logger.info(`JSON Append completed: added ${newItemsCount} items, total: ${mergedData.length}`, 'json-append')
+  },
+
+  /**
+   * Replaces the inner content of the block.
+   */
+  replace(liveBlock, incomingBlock, ctx) {
+    liveBlock.innerHTML = ctx.blapy.utils.toHTML(incomingBlock.innerHTML)
+    return incomingBlock
+  },
+
+  /**
+   * Lets the doCustomChange option and the Blapy_doCustomChange listeners do the change.
+   */
+  custom(liveBlock, incomingBlock, ctx) {
+    if (!ctx.changed) return
+
+    if (ctx.blapy.opts.doCustomChange) {
+      ctx.blapy.opts.doCustomChange(liveBlock, incomingBlock)
+    }
+    liveBlock.dispatchEvent(new CustomEvent('Blapy_doCustomChange', {
+      detail: incomingBlock,
+    }))
+  },
+
+  /**
+   * Removes the block.
+   */
+  remove(liveBlock) {
+    const parent = liveBlock.parentNode
+    liveBlock.remove()
+    return parent
+  },
+
+  /**
+   * Renders the incoming json data with the template of the block.
+   */
+  async json(liveBlock, incomingBlock, ctx) {
+    await ctx.blapy.templateManager.processJsonUpdate(ctx.encodedContent, liveBlock, incomingBlock, ctx.jsonFeatures, ctx.blapy)
+  },
+}
@@ -4,17 +4,75 @@
  * RCS PARIS 488 379 660 - NAF 721Z
  *
  * File : Utils.js
- * Utils : Utility class providing base64 encoding/decoding helpers for Blapy
+ * Utils : Utility class providing base64 encoding/decoding and HTML helpers for Blapy
  *
  * -----------------------------------------------------------------------------------------
  * @class Utils
  * @classdesc Provides utility methods for base64 encoding and decoding operations
- *            (with UTF-8 support) used within the Blapy framework.
+ *            (with UTF-8 support) used within the Blapy framework, and the creation of the
+ *            HTML given to the DOM (through a Trusted Types policy when one is set).
  * @see {@link https://github.com/intersel/blapy2}
  * @version 1.0.0
  * -----------------------------------------------------------------------------------------
  */
 export class Utils {
+  /**
+   * Creates the utilities of a Blapy instance.
+   *
+   * @constructor
+   */
+  constructor() {
+    this.trustedTypesPolicy = null;
+  }
+
+  /**
+   * Sets the Trusted Types policy creating the HTML given to the DOM sinks (innerHTML, outerHTML...).
+   *
+   * @function setTrustedTypesPolicy
+   * @param {Object|string|null} policy - A Trusted Types policy (with a `createHTML` function), or the name of
+   *        the policy to create (passing the HTML through, so it should be allowed by the `trusted-types` directive
+   *        only for trusted contents or with a sanitizer). Ignored by the browsers without Trusted Types.
+   * @returns {void}
+   *
+   * @example
+   * utils.setTrustedTypesPolicy(trustedTypes.createPolicy('blapy', { createHTML: html => DOMPurify.sanitize(html) }));
+   */
+  setTrustedTypesPolicy(policy) {
+    if (typeof policy === 'string') {
+      policy = globalThis.trustedTypes
+        ? globalThis.trustedTypes.createPolicy(policy, { createHTML: html => html })
+        : null;
+    }
+    this.trustedTypesPolicy = policy || null;
+  }
+
+  /**
+   * Gives the HTML to assign to a DOM sink: a TrustedHTML if a Trusted Types policy is set, else the string itself.
+   *
+   * @function toHTML
+   * @param {string} html - The HTML.
+   * @returns {TrustedHTML|string} The HTML for the sink.
+   *
+   * @example
+   * element.innerHTML = utils.toHTML('<b>Hello</b>');
+   */
+  toHTML(html) {
+    return this.trustedTypesPolicy ? this.trustedTypesPolicy.createHTML(html) : html;
+  }
+
+  /**
+   * Parses an HTML string into nodes, without running its scripts.
+   *
+   * @function parseHTML
+   * @param {string} html - The HTML.
+   * @returns {Node[]} The top level nodes.
+   */
+  parseHTML(html) {
+    const template = document.createElement('template');
+    template.innerHTML = this.toHTML(html);
+    return Array.from(template.content.childNodes);
+  }
+
   /**
    * Decodes a base64 string to a UTF-8 string.
    *
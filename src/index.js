@@ -21,8 +21,14 @@ export { Logger } from './core/Logger.js';
 export { Utils } from './core/Utils.js';
 export { AjaxService } from './core/AjaxService.js';
 export { TemplateManager } from './core/TemplateManager.js';
+export { TemplateStorage } from './core/TemplateStorage.js';
 export { Router } from './core/Router.js';
 export { BlapyBlock } from './core/BlapyBlock.js';
+export { DomMorph } from './core/DomMorph.js';
+export { ResponseCache } from './core/ResponseCache.js';
+export { defaultUpdateStrategies } from './core/UpdateStrategies.js';
+export { BlapyRequestError } from './core/BlapyRequestError.js';
+export { Sanitizer, defaultSanitizerProfiles } from './core/Sanitizer.js';
 
 export * from './modules/Compatibility.js';
 
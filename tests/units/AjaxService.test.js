@@ -60,4 +60,229 @@ describe("AjaxService", () => {
     await expect(service.get("/fail")).rejects.toThrow("HTTP 404: Not Found");
     expect(logger.error).toHaveBeenCalledWith(expect.stringContaining("AJAX Error"), expect.anything());
   });
+
+  it("should reject with an AbortError when the XHR request is aborted", async () => {
+    const controller = new AbortController();
+    xhrInstance.abort = vi.fn(() => xhrInstance.onabort());
+
+    const promise = service.get("/slow", { signal: controller.signal });
+    controller.abort();
+
+    await expect(promise).rejects.toMatchObject({ name: "AbortError" });
+    expect(xhrInstance.abort).toHaveBeenCalled();
+  });
+
+  it("should not send the request when the signal is already aborted", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(service.get("/never", { signal: controller.signal })).rejects.toMatchObject({ name: "AbortError" });
+    expect(global.XMLHttpRequest).not.toHaveBeenCalled();
+  });
+
+  it("should keep the content type given by the caller", async () => {
+    setTimeout(() => xhrInstance.onload());
+
+    await service.post("/save", "{\"name\":\"John\"}", { headers: { "content-type": "application/json" } });
+
+    expect(xhrInstance.setRequestHeader).toHaveBeenCalledWith("content-type", "application/json");
+    expect(xhrInstance.setRequestHeader).not.toHaveBeenCalledWith("Content-Type", expect.anything());
+  });
+
+  describe("fetch transport", () => {
+    let fetchService;
+
+    beforeEach(() => {
+      fetchService = new AjaxService(logger, { transport: "fetch" });
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it("should perform a POST request with an url-encoded body", async () => {
+      const fetchMock = vi.fn(async () => new Response("<div>ok</div>", {
+        status: 200,
+        headers: { "content-type": "text/html" },
+      }));
+      vi.stubGlobal("fetch", fetchMock);
+
+      const result = await fetchService.post("/save", { name: "John", age: 30 });
+
+      expect(result).toBe("<div>ok</div>");
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toBe("/save");
+      expect(init.method).toBe("POST");
+      expect(init.body).toBe("name=John&age=30");
+      expect(init.headers["X-Requested-With"]).toBe("XMLHttpRequest");
+      expect(global.XMLHttpRequest).not.toHaveBeenCalled();
+    });
+
+    it("should keep the content type given by the caller", async () => {
+      const fetchMock = vi.fn(async () => new Response("ok", { status: 200 }));
+      vi.stubGlobal("fetch", fetchMock);
+
+      await fetchService.post("/save", "{\"name\":\"John\"}", { headers: { "content-type": "application/json" } });
+      await fetchService.post("/save", { name: "John" });
+
+      expect(fetchMock.mock.calls[0][1].headers).toEqual({ "X-Requested-With": "XMLHttpRequest", "content-type": "application/json" });
+      expect(fetchMock.mock.calls[1][1].headers["Content-Type"]).toBe("application/x-www-form-urlencoded");
+    });
+
+    it("should parse JSON responses", async () => {
+      vi.stubGlobal("fetch", vi.fn(async () => new Response("{\"success\":true}", {
+        status: 200,
+        headers: { "content-type": "application/json" },
+      })));
+
+      await expect(fetchService.get("/data", { params: { a: 1 } })).resolves.toEqual({ success: true });
+      expect(fetch.mock.calls[0][0]).toBe("/data?a=1");
+    });
+
+    it("should throw on HTTP error", async () => {
+      vi.stubGlobal("fetch", vi.fn(async () => new Response("oops", { status: 500, statusText: "Server Error" })));
+
+      await expect(fetchService.get("/fail")).rejects.toThrow("HTTP 500: Server Error");
+    });
+
+    it("should abort the fetch when the caller signal is aborted", async () => {
+      vi.stubGlobal("fetch", vi.fn((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener("abort", () => reject(new DOMException("Aborted", "AbortError")));
+      })));
+      const controller = new AbortController();
+
+      const promise = fetchService.get("/slow", { signal: controller.signal });
+      controller.abort();
+
+      await expect(promise).rejects.toMatchObject({ name: "AbortError" });
+    });
+  });
+
+  describe("interceptors", () => {
+    it("should let request interceptors rewrite the url and headers", async () => {
+      xhrInstance.getResponseHeader = vi.fn(() => "application/json");
+      setTimeout(() => xhrInstance.onload());
+
+      service.use({
+        request(ctx) {
+          ctx.url = "/api" + ctx.url;
+          ctx.headers["X-Tenant"] = "acme";
+        },
+      });
+      service.use({
+        async request(ctx) {
+          return { ...ctx, params: { page: 2 } };
+        },
+      });
+
+      await service.get("/users");
+
+      expect(xhrInstance.open).toHaveBeenCalledWith("GET", "/api/users?page=2", true);
+      expect(xhrInstance.setRequestHeader).toHaveBeenCalledWith("X-Tenant", "acme");
+    });
+
+    it("should let response interceptors transform the data", async () => {
+      xhrInstance.getResponseHeader = vi.fn(() => "application/json");
+      setTimeout(() => xhrInstance.onload());
+
+      service.use({
+        response(ctx) {
+          expect(ctx.status).toBe(200);
+          ctx.data = { ...ctx.data, intercepted: true };
+        },
+      });
+
+      await expect(service.get("/data")).resolves.toEqual({ success: true, intercepted: true });
+    });
+
+    it("should let error interceptors recover a failed request", async () => {
+      xhrInstance.status = 401;
+      xhrInstance.statusText = "Unauthorized";
+      setTimeout(() => xhrInstance.onload());
+
+      const error = vi.fn((ctx) => {
+        if (ctx.status === 401) ctx.data = "<div>login</div>";
+      });
+      service.use({ error });
+
+      await expect(service.get("/private")).resolves.toBe("<div>login</div>");
+      expect(error.mock.calls[0][0].error.message).toBe("HTTP 401: Unauthorized");
+    });
+
+    it("should remove an interceptor with the returned function", async () => {
+      xhrInstance.getResponseHeader = vi.fn(() => "application/json");
+      setTimeout(() => xhrInstance.onload());
+
+      const request = vi.fn();
+      const eject = service.use({ request });
+      eject();
+
+      await service.get("/data");
+      expect(request).not.toHaveBeenCalled();
+    });
+  });
+  describe("retry", () => {
+    let fetchService;
+
+    beforeEach(() => {
+      fetchService = new AjaxService(logger, { transport: "fetch" });
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it("should retry a retryable status until it succeeds", async () => {
+      vi.stubGlobal("fetch", vi.fn()
+        .mockResolvedValueOnce(new Response("busy", { status: 503, statusText: "Service Unavailable" }))
+        .mockResolvedValueOnce(new Response("<div>ok</div>", { status: 200 })));
+      const onRetry = vi.fn();
+
+      const result = await fetchService.get("/data", { retry: { delay: 0, onRetry } });
+
+      expect(result).toBe("<div>ok</div>");
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 2, maxAttempts: 3 }));
+    });
+
+    it("should give up after maxAttempts and report it", async () => {
+      vi.stubGlobal("fetch", vi.fn(async () => { throw new TypeError("Failed to fetch"); }));
+      const onExhausted = vi.fn();
+
+      await expect(fetchService.get("/down", { retry: { maxAttempts: 2, delay: 0, onExhausted } }))
+        .rejects.toThrow("Network error");
+      expect(fetch).toHaveBeenCalledTimes(2);
+      expect(onExhausted).toHaveBeenCalledWith(expect.objectContaining({ attempts: 2 }));
+    });
+
+    it("should not retry a status that is not in retryOn", async () => {
+      vi.stubGlobal("fetch", vi.fn(async () => new Response("nope", { status: 404, statusText: "Not Found" })));
+
+      await expect(fetchService.get("/missing", { retry: { delay: 0 } })).rejects.toThrow("HTTP 404: Not Found");
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it("should retry only the methods of the policy", async () => {
+      vi.stubGlobal("fetch", vi.fn(async () => new Response("busy", { status: 503, statusText: "Service Unavailable" })));
+
+      await expect(fetchService.post("/save", { name: "Jane" }, { retry: { delay: 0 } })).rejects.toThrow("HTTP 503");
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await expect(fetchService.post("/save", { name: "Jane" }, { retry: { maxAttempts: 2, delay: 0, methods: ["post"] } })).rejects.toThrow("HTTP 503");
+      expect(fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it("should stop waiting for the next attempt when the signal is aborted", async () => {
+      vi.stubGlobal("fetch", vi.fn(async () => new Response("busy", { status: 503 })));
+      const controller = new AbortController();
+
+      const promise = fetchService.get("/data", {
+        signal: controller.signal,
+        retry: { delay: 60000, onRetry: () => controller.abort() },
+      });
+
+      await expect(promise).rejects.toMatchObject({ name: "AbortError" });
+      expect(fetch).toHaveBeenCalledTimes(1);
+    });
+  });
 });
@@ -0,0 +1,581 @@
+import { describe, it, expect, vi, beforeAll, beforeEach, afterEach } from 'vitest'
+import fs from 'fs'
+import { Blapy } from '../../src/core/Blapy2.js'
+import { BlapyRequestError } from '../../src/core/BlapyRequestError.js'
+import { Router } from '../../src/core/Router.js'
+
+describe('Blapy', () => {
+  let blapy
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app">
+        <form id="profile" data-blapy-guard-dirty="Unsaved profile!">
+          <input name="name" value="John">
+        </form>
+      </div>`
+    blapy = new Blapy(document.getElementById('app'))
+  })
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  describe('navigation guards', () => {
+    it('should allow a navigation when nothing guards it', () => {
+      expect(blapy._checkNavigation({ aUrl: '/page' })).toBe(true)
+    })
+
+    it('should ask before leaving a dirty guarded form', () => {
+      const confirm = vi.spyOn(window, 'confirm').mockReturnValue(false)
+      const cancelled = vi.fn()
+      blapy.container.addEventListener('Blapy_navigationCancelled', cancelled)
+
+      document.querySelector('input').value = 'Jane'
+
+      expect(blapy._checkNavigation({ aUrl: '/page' })).toBe(false)
+      expect(confirm).toHaveBeenCalledWith('Unsaved profile!')
+      expect(cancelled.mock.calls[0][0].detail).toMatchObject({ aUrl: '/page', reason: 'dirty' })
+
+      // submitting the dirty form itself is not guarded
+      expect(blapy._checkNavigation({ aUrl: '/save', source: document.getElementById('profile') })).toBe(true)
+
+      blapy._resetDirtyState(document.getElementById('profile'))
+      expect(blapy._checkNavigation({ aUrl: '/page' })).toBe(true)
+      expect(confirm).toHaveBeenCalledTimes(1)
+    })
+
+    it('should let a Blapy_beforeNavigate listener cancel the navigation', () => {
+      blapy.container.addEventListener('Blapy_beforeNavigate', (event) => {
+        if (event.detail.aUrl === '/forbidden') event.preventDefault()
+      })
+
+      expect(blapy._checkNavigation({ aUrl: '/forbidden' })).toBe(false)
+      expect(blapy._checkNavigation({ aUrl: '/allowed' })).toBe(true)
+    })
+
+    it('should wait for an async beforeNavigate option', async () => {
+      blapy.opts.beforeNavigate = vi.fn(async (descriptor) => descriptor.method !== 'POST')
+
+      await expect(blapy._checkNavigation({ aUrl: '/page', method: 'post' })).resolves.toBe(false)
+      await expect(blapy._checkNavigation({ aUrl: '/page' })).resolves.toBe(true)
+      expect(blapy.opts.beforeNavigate).toHaveBeenCalledWith(expect.objectContaining({ aUrl: '/page', method: 'GET' }))
+    })
+
+    it('should not guard the requests sent by Blapy itself', () => {
+      blapy.opts.beforeNavigate = () => false
+
+      expect(blapy._checkNavigation({ aUrl: '/poll', background: true })).toBe(true)
+      expect(blapy._checkNavigation({ aUrl: '/page', navigationAllowed: true })).toBe(true)
+    })
+  })
+
+  describe('head management', () => {
+    beforeEach(() => {
+      document.head.innerHTML = `
+        <meta name="description" content="home page">
+        <meta property="og:image" content="/home.png" data-blapy-head>
+        <link rel="canonical" href="/home" data-blapy-head>`
+      document.title = 'Home'
+    })
+
+    it('should update the title and the tagged head tags from a loaded page', () => {
+      const headUpdated = vi.fn()
+      blapy.container.addEventListener('Blapy_headUpdated', headUpdated)
+
+      blapy._updateHead(`
+        <title>Page 2</title>
+        <meta name="description" content="page 2" data-blapy-head>
+        <link rel="canonical" href="/page2" data-blapy-head>
+        <div data-blapy-container="true" data-blapy-container-name="content">page 2</div>`)
+
+      expect(document.title).toBe('Page 2')
+      expect(document.head.querySelector('meta[name="description"]').getAttribute('content')).toBe('page 2')
+      expect(document.head.querySelectorAll('link[rel="canonical"]')).toHaveLength(1)
+      expect(document.head.querySelector('link[rel="canonical"]').getAttribute('href')).toBe('/page2')
+      expect(document.head.querySelector('meta[property="og:image"]')).toBeNull()
+      expect(headUpdated.mock.calls[0][0].detail).toMatchObject({ title: 'Page 2' })
+      expect(headUpdated.mock.calls[0][0].detail.tags).toHaveLength(3)
+    })
+
+    it('should prefer the title given apart from the page and keep the head of a fragment', () => {
+      blapy._updateHead('<title>Ignored</title><div>fragment</div>', 'Caf%C3%A9')
+
+      expect(document.title).toBe('Café')
+      expect(document.head.querySelector('link[rel="canonical"]').getAttribute('href')).toBe('/home')
+    })
+
+    it('should read the title of a json response', () => {
+      expect(blapy._getJsonTitle([{ 'blapy-container-name': 'content' }, { 'blapy-title': 'Json page' }])).toBe('Json page')
+      expect(blapy._getJsonTitle({ 'blapy-container-name': 'content' })).toBeNull()
+    })
+
+    it('should not trigger Blapy_headUpdated when nothing changes', () => {
+      const headUpdated = vi.fn()
+      blapy.container.addEventListener('Blapy_headUpdated', headUpdated)
+
+      blapy._updateHead('<title>Home</title><div>same</div>')
+
+      expect(headUpdated).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Promise-based API', () => {
+    beforeEach(() => {
+      blapy.myFSM = { trigger: vi.fn() }
+    })
+
+    it('should send the request with an id and resolve once the blocks are updated', async () => {
+      const loading = blapy.load('/news.php', { params: { page: 2 }, embeddingBlockId: 'news' })
+
+      const [eventName, data] = blapy.myFSM.trigger.mock.calls[0]
+      expect(eventName).toBe('loadUrl')
+      expect(data).toMatchObject({ aUrl: '/news.php', method: 'GET', params: { page: 2, embeddingBlockId: 'news' } })
+
+      const block = document.createElement('div')
+      blapy._resolveRequest(data.requestId, { updatedBlocks: [block], response: '<div></div>' })
+
+      await expect(loading).resolves.toEqual({ updatedBlocks: [block], response: '<div></div>' })
+    })
+
+    it('should give the Promise of the navigation', async () => {
+      const navigation = blapy.navigate('/news.php', { params: { page: 2 } })
+
+      const [eventName, data] = blapy.myFSM.trigger.mock.calls[0]
+      expect(eventName).toBe('loadUrl')
+      expect(data).toMatchObject({ aUrl: '/news.php', params: { page: 2 } })
+      blapy._resolveRequest(data.requestId, { updatedBlocks: [], response: '' })
+      await expect(navigation).resolves.toEqual({ updatedBlocks: [], response: '' })
+
+      // with the router, a URL matching no route is pushed in the history and loaded
+      globalThis.Navigo = function () {}
+      blapy.opts.enableRouter = true
+      blapy.router = new Router(blapy.logger, blapy, { enableRouter: true })
+      blapy.router.init()
+      blapy.myFSM.trigger.mockClear()
+      const routedNavigation = blapy.navigate('/users.php#blapylink#news', { params: { id: 7 } })
+
+      const [routedEventName, routedData] = blapy.myFSM.trigger.mock.calls[0]
+      expect(routedEventName).toBe('loadUrl')
+      expect(routedData).toMatchObject({ aUrl: '/users.php', params: { id: 7, embeddingBlockId: 'news' } })
+      expect(window.location.pathname).toBe('/users.php')
+      expect(window.history.state.request).toMatchObject({ aUrl: '/users.php', method: 'GET' })
+      blapy._resolveRequest(routedData.requestId, { updatedBlocks: [], response: 'users' })
+      await expect(routedNavigation).resolves.toEqual({ updatedBlocks: [], response: 'users' })
+
+      vi.spyOn(blapy, '_checkNavigation').mockReturnValue(false)
+      await expect(blapy.navigate('/other.php')).rejects.toMatchObject({ code: 'cancelled' })
+
+      blapy.router.destroy()
+      window.history.replaceState(null, '', '/')
+      delete globalThis.Navigo
+    })
+
+    it('should post the data and keep each request apart', async () => {
+      const first = blapy.post('/save.php', { name: 'Jane' }, { method: 'put' })
+      const second = blapy.updateBlock('news', [{ id: 1 }])
+
+      const [firstEvent, firstData] = blapy.myFSM.trigger.mock.calls[0]
+      const [secondEvent, secondData] = blapy.myFSM.trigger.mock.calls[1]
+      expect(firstEvent).toBe('postData')
+      expect(firstData).toMatchObject({ method: 'PUT', params: { name: 'Jane' } })
+      expect(secondEvent).toBe('updateBlock')
+      expect(secondData).toMatchObject({ html: [{ id: 1 }], params: { embeddingBlockId: 'news' } })
+      expect(firstData.requestId).not.toBe(secondData.requestId)
+
+      blapy._rejectRequest(firstData.requestId, new BlapyRequestError('HTTP 500', { code: 'http', status: 500 }))
+      blapy._resolveRequest(secondData.requestId, { updatedBlocks: [], response: null })
+
+      await expect(first).rejects.toMatchObject({ name: 'BlapyRequestError', code: 'http', status: 500 })
+      await expect(second).resolves.toMatchObject({ updatedBlocks: [] })
+    })
+
+    it('should reject a request dropped by the request policy', async () => {
+      blapy.opts.requestPolicy = 'drop'
+      const data = { aUrl: '/page', requestId: 42 }
+      blapy.pendingRequests.set(blapy._getRequestKey(data), new AbortController())
+      const request = new Promise((resolve, reject) => blapy.requestPromises.set(42, { resolve, reject }))
+
+      expect(blapy._applyRequestPolicy(data)).toBe(false)
+      await expect(request).rejects.toMatchObject({ code: 'dropped', url: '/page' })
+    })
+
+    it('should type the errors of the ajaxService', () => {
+      const httpError = Object.assign(new Error('HTTP 404: Not Found'), { status: 404 })
+      const abortError = Object.assign(new Error('Request aborted'), { name: 'AbortError' })
+
+      expect(BlapyRequestError.from(httpError, '/a')).toMatchObject({ code: 'http', status: 404, url: '/a', cause: httpError })
+      expect(BlapyRequestError.from(abortError, '/a').code).toBe('aborted')
+      expect(BlapyRequestError.from(new Error('Request timeout after 100ms'), '/a').code).toBe('timeout')
+      expect(BlapyRequestError.from(new Error('Network error occurred'), '/a').code).toBe('network')
+    })
+  })
+
+  describe('error templates', () => {
+    let block, error
+
+    beforeEach(() => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <template id="loadError"><p>Could not load the news</p><button data-blapy-error-retry>Retry</button></template>
+        <div data-blapy-container="true" data-blapy-container-name="news" data-blapy-container-content="news"
+             data-blapy-error-template="#loadError">The news</div>`)
+      block = document.querySelector('[data-blapy-container-name="news"]')
+      blapy.myFSM = { trigger: vi.fn() }
+
+      const httpError = Object.assign(new Error('HTTP 503: Service Unavailable'), {
+        status: 503,
+        statusText: 'Service Unavailable',
+        responseText: '<h1>Down</h1>',
+      })
+      error = BlapyRequestError.from(httpError, '/news.php', 'news')
+    })
+
+    it('should give the details of the failed response', () => {
+      expect(error.toJSON()).toMatchObject({
+        code: 'http',
+        url: '/news.php',
+        status: 503,
+        statusText: 'Service Unavailable',
+        body: '<h1>Down</h1>',
+        blockId: 'news',
+      })
+    })
+
+    it('should render the error template in the block and retry the request', () => {
+      const data = { aUrl: '/news.php', method: 'GET', params: { embeddingBlockId: 'news' }, requestId: 3, navigationAllowed: true }
+
+      blapy._renderRequestError(data, error)
+
+      expect(block.querySelector('p').textContent).toBe('Could not load the news')
+      expect(block.getAttribute('data-blapy-template-state')).toBe('error')
+
+      block.querySelector('[data-blapy-error-retry]').click()
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('postData', {
+        aUrl: '/news.php',
+        method: 'GET',
+        params: { embeddingBlockId: 'news' },
+      })
+    })
+
+    it('should apply an error response made of Blapy blocks', () => {
+      blapy.opts.applyErrorResponse = true
+      error.body = '<div data-blapy-container="true" data-blapy-container-name="news">Not found</div>'
+
+      blapy._renderRequestError({ aUrl: '/news.php', params: { embeddingBlockId: 'news' } }, error)
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('updateBlock', { html: error.body, params: {} })
+      expect(block.textContent).toBe('The news')
+    })
+  })
+
+  describe('block subscriptions', () => {
+    it('should call the handlers of an event until they are removed', () => {
+      const handler = vi.fn()
+      const unsubscribe = blapy.on('block:news', handler)
+
+      blapy._emit('block:news', { loading: true })
+      blapy._emit('block:cart', { loading: true })
+      unsubscribe()
+      blapy._emit('block:news', { loading: false })
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(handler).toHaveBeenCalledWith({ loading: true })
+    })
+
+    it('should not stop on a failing handler', () => {
+      const handler = vi.fn()
+      blapy.on('block:news', () => { throw new Error('oops') })
+      blapy.on('block:news', handler)
+
+      blapy._emit('block:news', {})
+
+      expect(handler).toHaveBeenCalled()
+    })
+
+    it('should know the blocks targeted by a request', () => {
+      const block = document.createElement('div')
+      block.setAttribute('data-blapy-container-name', 'clock')
+
+      expect(blapy._getRequestBlockNames({ params: { embeddingBlockId: 'news' } })).toEqual(['news'])
+      expect(blapy._getRequestBlockNames({ params: {}, source: block })).toEqual(['clock'])
+      expect(blapy._getRequestBlockNames({ params: {} })).toEqual([])
+
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div data-blapy-container="true" data-blapy-container-name="cart"></div>
+        <div data-blapy-container="true" data-blapy-container-name="ads" data-blapy-applyon="otherApp"></div>`)
+      const link = document.createElement('a')
+      expect(blapy._getRequestBlockNames({ aUrl: '/page.php', params: {}, source: link })).toContain('cart')
+      expect(blapy._getRequestBlockNames({ aUrl: '/page.php', params: {}, source: link })).not.toContain('ads')
+      expect(blapy._getRequestBlockNames({ aUrl: '/page.php', params: {} }, { pageBlocks: false })).toEqual([])
+    })
+  })
+
+  describe('response cache', () => {
+    it('should cache only the GET responses unless the policy lists the method', () => {
+      blapy.opts.cache = 'max-age=60'
+
+      expect(blapy._getCachePolicy({ aUrl: '/page' }, 'GET')).toMatchObject({ maxAge: 60 })
+      expect(blapy._getCachePolicy({ aUrl: '/save' }, 'POST')).toBeNull()
+
+      const form = document.getElementById('profile')
+      form.setAttribute('data-blapy-cache', 'max-age=60, methods=GET POST')
+      expect(blapy._getCachePolicy({ aUrl: '/save', source: form }, 'post')).toMatchObject({ maxAge: 60 })
+    })
+  })
+
+  describe('loading state', () => {
+    it('should show the request on its form, its block and its indicator until it ends', () => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div data-blapy-container="true" data-blapy-container-name="cart"></div>
+        <div id="spinner" hidden></div>`)
+      blapy.blapyBlocks.initializeBlocks(blapy.container)
+      const form = document.getElementById('profile')
+      form.setAttribute('data-blapy-indicator', '#spinner')
+      form.setAttribute('data-blapy-disable-while-loading', '')
+      form.insertAdjacentHTML('beforeend', '<button>Save</button>')
+      const block = document.querySelector('[data-blapy-container-name="cart"]')
+      const spinner = document.getElementById('spinner')
+      const button = form.querySelector('button')
+
+      const data = { aUrl: '/cart.php', params: { embeddingBlockId: 'cart' }, source: form }
+      const endFirst = blapy._startLoading(data)
+      const endSecond = blapy._startLoading(data)
+
+      expect(form.classList.contains('blapy-loading')).toBe(true)
+      expect(block.getAttribute('aria-busy')).toBe('true')
+      expect(spinner.hidden).toBe(false)
+      expect(button.disabled).toBe(true)
+      expect(blapy.blapyBlocks.getBlock('cart').loading).toBe(true)
+
+      endFirst()
+      expect(block.getAttribute('aria-busy')).toBe('true')
+
+      const error = new BlapyRequestError('Not found', { code: 'http', status: 404 })
+      endSecond(error)
+      expect(form.classList.contains('blapy-loading')).toBe(false)
+      expect(form.hasAttribute('aria-busy')).toBe(false)
+      expect(block.hasAttribute('aria-busy')).toBe(false)
+      expect(spinner.hidden).toBe(true)
+      expect(button.disabled).toBe(false)
+      expect(blapy.blapyBlocks.getBlock('cart')).toMatchObject({ loading: false, error })
+    })
+  })
+
+  describe('destroy', () => {
+    it('should abort the requests and remove the listeners, timers and observers', async () => {
+      blapy.myFSM = { trigger: vi.fn() }
+      blapy.router.init()
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <a id="link" data-blapy-link="true" href="/page2">page 2</a>
+        <div data-blapy-container="true" data-blapy-container-name="clock" data-blapy-href="/clock.php" data-blapy-updateblock-time="1000"></div>`)
+      blapy.blapyBlocks.setBlapyUpdateIntervals()
+      blapy.displayObserver = { disconnect: vi.fn() }
+      const displayObserver = blapy.displayObserver
+
+      const controller = new AbortController()
+      blapy.pendingRequests.set('page', controller)
+      const loading = blapy.load('/page')
+      document.getElementById('app')._blapyInstance = blapy
+      document.querySelector('input').value = 'Jane'
+
+      blapy.destroy()
+
+      await expect(loading).rejects.toMatchObject({ code: 'aborted' })
+      expect(controller.signal.aborted).toBe(true)
+      expect(blapy.blapyBlocks.intervalsSet.size).toBe(0)
+      expect(displayObserver.disconnect).toHaveBeenCalled()
+      expect(document.getElementById('app')._blapyInstance).toBeUndefined()
+
+      const beforeUnload = new Event('beforeunload', { cancelable: true })
+      window.dispatchEvent(beforeUnload)
+      expect(beforeUnload.defaultPrevented).toBe(false)
+
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true })
+      document.getElementById('link').dispatchEvent(click)
+      expect(click.defaultPrevented).toBe(false)
+
+      await expect(blapy.load('/other')).rejects.toMatchObject({ code: 'aborted' })
+    })
+  })
+
+  describe('page change', () => {
+    beforeAll(() => {
+      // the FSM of Blapy runs on jQuery and iFSM
+      ['jquery/jquery-3.7.1.js', 'iFSM/extlib/jquery.dotimeout.js', 'iFSM/extlib/jquery.attrchange.js', 'iFSM/iFSM.js']
+        .forEach((file) => window.eval(fs.readFileSync(`lib/${file}`, 'utf-8')))
+      globalThis.$ = window.jQuery
+    })
+
+    it('should end the page change once all the blocks are updated', async () => {
+      const events = []
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div id="news" data-blapy-container="true" data-blapy-container-name="news" data-blapy-update="slow">old</div>`)
+      blapy = new Blapy(document.getElementById('app'), {
+        afterContentChange: () => events.push('afterContentChange'),
+        afterPageChange: () => events.push('afterPageChange'),
+        pageReadyFunction: () => events.push('PageReady'),
+      })
+      Blapy.registerUpdateStrategy('slow', async (liveBlock, incomingBlock) => {
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        liveBlock.innerHTML = incomingBlock.innerHTML
+      })
+      await blapy.initApplication()
+      await vi.waitFor(() => expect(events).toContain('PageReady'))
+      events.length = 0
+
+      await blapy.updateBlock('news', 'new')
+      await vi.waitFor(() => expect(events).toContain('PageReady'))
+
+      expect(document.getElementById('news').textContent).toBe('new')
+      expect(events).toEqual(['afterContentChange', 'PageReady', 'afterPageChange'])
+      expect(blapy.myFSM.currentState).toBe('PageReady')
+    })
+
+    it('should not run the handlers of the content received by a sanitized block', async () => {
+      const created = vi.fn()
+      customElements.define('blapy-probe', class extends HTMLElement {
+        constructor() {
+          super()
+          created()
+        }
+      })
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div id="comments" data-blapy-container="true" data-blapy-container-name="comments" data-blapy-sanitize="strict"></div>`)
+      blapy = new Blapy(document.getElementById('app'))
+      vi.spyOn(blapy.ajaxService, 'request').mockResolvedValue(`
+        <div data-blapy-container="true" data-blapy-container-name="comments" data-blapy-container-content="2" onmouseover="hacked()">
+          <p>Nice<img src="x" onerror="hacked()"><blapy-probe></blapy-probe></p>
+        </div>`)
+      await blapy.initApplication()
+      await vi.waitFor(() => expect(blapy.myFSM.currentState).toBe('PageReady'))
+
+      await blapy.load('/comments.php')
+
+      const comments = document.getElementById('comments')
+      expect(created).not.toHaveBeenCalled()
+      expect(comments.hasAttribute('onmouseover')).toBe(false)
+      expect(comments.innerHTML.trim()).toBe('<p>Nice</p>')
+    })
+
+    it('should apply the request policy as soon as a request is triggered', async () => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div id="news" data-blapy-container="true" data-blapy-container-name="news">old</div>`)
+      blapy = new Blapy(document.getElementById('app'))
+      const signals = []
+      vi.spyOn(blapy.ajaxService, 'request').mockImplementation((url, options) => new Promise((resolve, reject) => {
+        signals.push(options.signal)
+        options.signal.addEventListener('abort', () => reject(Object.assign(new Error('Request aborted'), { name: 'AbortError' })))
+        if (url === '/news.php?page=2') resolve('<div data-blapy-container="true" data-blapy-container-name="news" data-blapy-container-content="2">page 2</div>')
+      }))
+      await blapy.initApplication()
+      await vi.waitFor(() => expect(blapy.myFSM.currentState).toBe('PageReady'))
+
+      const first = blapy.load('/news.php', { embeddingBlockId: 'news' })
+      await vi.waitFor(() => expect(signals).toHaveLength(1))
+      const second = blapy.load('/news.php?page=2', { embeddingBlockId: 'news' })
+
+      expect(signals[0].aborted).toBe(true)
+      await expect(first).rejects.toMatchObject({ code: 'aborted' })
+      await second
+      expect(document.getElementById('news').textContent).toBe('page 2')
+    })
+
+    it('should settle the Promise of reloadBlock once the data of the block are loaded', async () => {
+      Blapy.registerTemplateEngine('literal', { render: (tpl, items) => items.map((item) => `<li>${item.name}</li>`).join('') })
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <ul id="users" data-blapy-container="true" data-blapy-container-name="users" data-blapy-update="json"
+          data-blapy-template-engine="literal" data-blapy-template-init="/users.php"><xmp>users</xmp></ul>`)
+      blapy = new Blapy(document.getElementById('app'))
+      let users = '[{"name":"Ada"}]'
+      const request = vi.spyOn(blapy.ajaxService, 'request').mockImplementation(() => Promise.resolve(users))
+      await blapy.initApplication()
+      await vi.waitFor(() => expect(document.getElementById('users').textContent).toContain('Ada'))
+      await vi.waitFor(() => expect(blapy.myFSM.currentState).toBe('PageReady'))
+
+      users = '[{"name":"Grace"}]'
+      const reload = blapy.reloadBlock('users')
+      await Promise.resolve()
+      expect(document.getElementById('users').textContent).not.toContain('Grace')
+      const { updatedBlocks } = await reload
+
+      expect(document.getElementById('users').textContent).toContain('Grace')
+      expect(updatedBlocks.map((block) => block.id)).toEqual(['users'])
+      await vi.waitFor(() => expect(blapy.myFSM.currentState).toBe('PageReady'))
+
+      request.mockRejectedValue(Object.assign(new Error('Internal Server Error'), { status: 500 }))
+      await expect(blapy.reloadBlock('users')).rejects.toMatchObject({ code: 'http', status: 500 })
+    })
+
+    it('should remove the handlers of the FSM and refuse its delayed events on destroy', async () => {
+      blapy = new Blapy(document.getElementById('app'))
+      const request = vi.spyOn(blapy.ajaxService, 'request').mockReturnValue(new Promise(() => {}))
+      await blapy.initApplication()
+      await vi.waitFor(() => expect(blapy.myFSM.currentState).toBe('PageReady'))
+      const fsm = blapy.myFSM
+      const documentHandler = vi.fn()
+      $(document).on('loadUrl', '#app', documentHandler)
+
+      blapy.load('/news.php').catch(() => {})
+      // waits for the page change in flight, delayed again and again
+      blapy.load('/weather.php').catch(() => {})
+      const processEvent = vi.spyOn(fsm, 'processEvent')
+      blapy.destroy()
+      await new Promise((resolve) => setTimeout(resolve, 150))
+
+      expect(processEvent.mock.calls.length).toBeLessThanOrEqual(1)
+      processEvent.mockClear()
+      $('#app').trigger('loadUrl', { aUrl: '/sport.php' })
+      expect(processEvent).not.toHaveBeenCalled()
+      expect(documentHandler).toHaveBeenCalledTimes(1)
+      expect(request).toHaveBeenCalledTimes(1)
+      $(document).off('loadUrl', '#app', documentHandler)
+    })
+
+    it('should abort the background revalidation of a target when a newer request is sent', async () => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div id="news" data-blapy-container="true" data-blapy-container-name="news">old</div>`)
+      blapy = new Blapy(document.getElementById('app'), { cache: 'max-age=60, stale-while-revalidate=300', requestPolicy: 'drop' })
+      const signals = {}
+      vi.spyOn(blapy.ajaxService, 'request').mockImplementation((url, options) => new Promise((resolve, reject) => {
+        signals[url] = options.signal
+        options.signal.addEventListener('abort', () => reject(Object.assign(new Error('Request aborted'), { name: 'AbortError' })))
+        if (url === '/news.php?page=2') resolve('page 2')
+      }))
+      vi.spyOn(blapy.responseCache, 'get').mockReturnValueOnce({ content: 'cached page 1', age: 100, fresh: false })
+      await blapy.initApplication()
+      await vi.waitFor(() => expect(blapy.myFSM.currentState).toBe('PageReady'))
+
+      await blapy.load('/news.php', { embeddingBlockId: 'news' })
+      expect(document.getElementById('news').textContent).toBe('cached page 1')
+      expect(blapy.pendingRequests.get('block:news')).toBeDefined()
+
+      await blapy.load('/news.php?page=2', { embeddingBlockId: 'news' })
+
+      expect(signals['/news.php'].aborted).toBe(true)
+      expect(document.getElementById('news').textContent).toBe('page 2')
+      expect(blapy.revalidatingRequests.size).toBe(0)
+    })
+
+    it('should wait for the stored responses before sending the requests', async () => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <div id="news" data-blapy-container="true" data-blapy-container-name="news">old</div>`)
+      blapy = new Blapy(document.getElementById('app'), { cache: 'max-age=60' })
+      let endLoading
+      blapy.responseCache.ready = new Promise((resolve) => { endLoading = resolve })
+      vi.spyOn(blapy.ajaxService, 'request').mockResolvedValue('from the network')
+      await blapy.initApplication()
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      expect(blapy.myFSM.currentState).not.toBe('PageReady')
+
+      const loading = blapy.load('/news.php', { embeddingBlockId: 'news' })
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      expect(blapy.ajaxService.request).not.toHaveBeenCalled()
+
+      endLoading()
+      await loading
+
+      expect(blapy.ajaxService.request).toHaveBeenCalledTimes(1)
+      expect(document.getElementById('news').textContent).toBe('from the network')
+    })
+  })
+})
@@ -1,4 +1,4 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
 import { BlapyBlock } from '../../src/core/BlapyBlock.js'
 import { Logger } from '../../src/core/Logger.js'
 import { TemplateManager } from '../../src/core/TemplateManager.js'
@@ -68,4 +68,124 @@ describe('BlapyBlock', () => {
 
     expect(warnSpy).toHaveBeenCalled()
   })
+
+  describe('blocks state', () => {
+    beforeEach(() => {
+      mockBlapy._emit = vi.fn()
+      blapyBlock.setBlapyInstance(mockBlapy)
+      container.querySelector('#block1').setAttribute('data-blapy-container-content', 'v1')
+      blapyBlock.initializeBlocks(container)
+    })
+
+    it('should give the state of a block', () => {
+      expect(blapyBlock.getBlock('testBlock')).toEqual({
+        name: 'testBlock',
+        element: container.querySelector('#block1'),
+        contentId: 'v1',
+        lastUpdated: null,
+        loading: false,
+        error: null,
+        sourceUrl: null,
+        jsonData: null
+      })
+      expect(blapyBlock.getBlock('unknown')).toBeNull()
+      expect(blapyBlock.listBlocks().map(block => block.name)).toEqual(['testBlock'])
+    })
+
+    it('should notify the subscribers when the state of a block changes', () => {
+      blapyBlock.updateBlockState('testBlock', { loading: true })
+      blapyBlock.updateBlockState('testBlock', { loading: true })
+
+      expect(blapyBlock.getBlock('testBlock').loading).toBe(true)
+      expect(mockBlapy._emit).toHaveBeenCalledTimes(1)
+      expect(mockBlapy._emit).toHaveBeenCalledWith('block:testBlock', expect.objectContaining({ loading: true }))
+    })
+
+    it('should keep the state of a block replaced by an update', async () => {
+      document.body.appendChild(container)
+      mockBlapy.trigger = vi.fn()
+      mockBlapy.myUIObject = container
+      blapyBlock.observeBlocks(container)
+      blapyBlock.updateBlockState('testBlock', { sourceUrl: '/news.php', lastUpdated: 1 })
+
+      container.querySelector('#block1').outerHTML = '<div data-blapy-container="true" data-blapy-container-name="testBlock" data-blapy-container-content="v2" id="block1"></div>'
+      expect(blapyBlock.getBlock('testBlock').contentId).toBe('v2')
+      await Promise.resolve()
+
+      expect(blapyBlock.getBlock('testBlock')).toMatchObject({ contentId: 'v2', sourceUrl: '/news.php', lastUpdated: 1 })
+
+      blapyBlock.destroy()
+      container.remove()
+    })
+  })
+
+  describe('observeBlocks', () => {
+    beforeEach(() => {
+      vi.useFakeTimers()
+      templateManager.setBlapyContainerJsonTemplate = vi.fn(() => Promise.resolve())
+      mockBlapy.trigger = vi.fn()
+      mockBlapy._observeUpdateOnDisplay = vi.fn()
+      document.body.appendChild(mockBlapy.myUIObject)
+      blapyBlock.setBlapyInstance(mockBlapy)
+      blapyBlock.observeBlocks(mockBlapy.myUIObject)
+    })
+
+    afterEach(() => {
+      blapyBlock.destroy()
+      mockBlapy.myUIObject.remove()
+      vi.useRealTimers()
+    })
+
+    it('should register the inserted blocks and set them up', async () => {
+      mockBlapy.myUIObject.innerHTML = `
+        <section>
+          <div data-blapy-container="true" data-blapy-container-name="clock" data-blapy-href="/clock.php" data-blapy-updateblock-time="1000"></div>
+          <div data-blapy-container="true" data-blapy-container-name="list" data-blapy-update="json">
+            <div data-blapy-container="true" data-blapy-container-name="sub" data-blapy-update="json"></div>
+          </div>
+          <div data-blapy-updateblock-ondisplay="true" data-blapy-href="/lazy.php"></div>
+        </section>`
+      await Promise.resolve()
+
+      expect([...blapyBlock.blocks.keys()]).toEqual(['clock', 'list', 'sub'])
+      expect(mockBlapy.trigger).toHaveBeenCalledWith('Blapy_blockAdded', expect.objectContaining({ name: 'clock' }))
+      expect(templateManager.setBlapyContainerJsonTemplate).toHaveBeenCalledTimes(1)
+      expect(mockBlapy._observeUpdateOnDisplay).toHaveBeenCalledTimes(1)
+
+      vi.advanceTimersByTime(1000)
+      expect(mockBlapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/clock.php?blapyContainerName=clock' }))
+    })
+
+    it('should log the rendering failure of an inserted json block', async () => {
+      vi.spyOn(logger, 'error')
+      templateManager.setBlapyContainerJsonTemplate.mockRejectedValueOnce(new Error('no template'))
+
+      mockBlapy.myUIObject.innerHTML = '<div data-blapy-container="true" data-blapy-container-name="list" data-blapy-update="json"></div>'
+      await vi.waitFor(() => expect(logger.error).toHaveBeenCalledWith('The json block list was not rendered: Error: no template', 'blocks'))
+    })
+
+    it('should unregister the removed blocks and clear their interval', async () => {
+      mockBlapy.myUIObject.innerHTML = '<div data-blapy-container="true" data-blapy-container-name="clock" data-blapy-href="/clock.php" data-blapy-updateblock-time="1000"></div>'
+      await Promise.resolve()
+
+      mockBlapy.myUIObject.firstElementChild.remove()
+      await Promise.resolve()
+
+      expect(blapyBlock.blocks.has('clock')).toBe(false)
+      expect(blapyBlock.intervalsSet.size).toBe(0)
+      expect(mockBlapy.trigger).toHaveBeenCalledWith('Blapy_blockRemoved', expect.objectContaining({ name: 'clock' }))
+
+      vi.advanceTimersByTime(1000)
+      expect(mockBlapy.myFSM.trigger).not.toHaveBeenCalled()
+    })
+
+    it('should keep a single interval when the intervals are set again', async () => {
+      mockBlapy.myUIObject.innerHTML = '<div data-blapy-container="true" data-blapy-container-name="clock" data-blapy-href="/clock.php" data-blapy-updateblock-time="1000"></div>'
+      blapyBlock.setBlapyUpdateIntervals()
+      await Promise.resolve()
+
+      vi.advanceTimersByTime(1000)
+      expect(mockBlapy.myFSM.trigger).toHaveBeenCalledTimes(1)
+    })
+  })
 })
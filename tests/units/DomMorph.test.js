@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { DomMorph } from '../../src/core/DomMorph.js'
+import { Logger } from '../../src/core/Logger.js'
+
+function html(markup) {
+  const tmp = document.createElement('div')
+  tmp.innerHTML = markup.trim()
+  return tmp.firstElementChild
+}
+
+describe('DomMorph', () => {
+  let domMorph
+
+  beforeEach(() => {
+    domMorph = new DomMorph(new Logger())
+    document.body.innerHTML = ''
+  })
+
+  it('should keep the live element and patch its attributes and text', () => {
+    const live = html('<div id="b" data-blapy-container-content="c1"><p class="a">old</p></div>')
+    document.body.appendChild(live)
+    const paragraph = live.querySelector('p')
+
+    domMorph.morph(live, html('<div id="b" data-blapy-container-content="c2"><p class="b">new</p></div>'))
+
+    expect(document.getElementById('b')).toBe(live)
+    expect(live.getAttribute('data-blapy-container-content')).toBe('c2')
+    expect(live.querySelector('p')).toBe(paragraph)
+    expect(paragraph.className).toBe('b')
+    expect(paragraph.textContent).toBe('new')
+  })
+
+  it('should add and remove children', () => {
+    const live = html('<ul><li>1</li><li>2</li><li>3</li></ul>')
+
+    domMorph.morph(live, html('<ul><li>1</li><li>4</li></ul>'))
+    expect(live.innerHTML).toBe('<li>1</li><li>4</li>')
+
+    domMorph.morph(live, html('<ul><li>1</li><li>4</li><span>5</span></ul>'))
+    expect(live.innerHTML).toBe('<li>1</li><li>4</li><span>5</span>')
+  })
+
+  it('should match children by id when they are reordered', () => {
+    const live = html('<div><p id="x">x</p><p id="y">y</p></div>')
+    const x = live.querySelector('#x')
+    const y = live.querySelector('#y')
+
+    domMorph.morph(live, html('<div><p id="y">y2</p><p id="x">x2</p></div>'))
+
+    expect(live.firstElementChild).toBe(y)
+    expect(live.lastElementChild).toBe(x)
+    expect(x.textContent).toBe('x2')
+  })
+
+  it('should replace a child holding the id of an incoming child of another tag', () => {
+    const idCounts = []
+    customElements.define('morph-probe', class extends HTMLElement {
+      connectedCallback() {
+        idCounts.push(document.querySelectorAll(`#${this.id}`).length)
+      }
+    })
+    const live = html('<div><p>intro</p><section id="x">old</section><p id="y">y</p></div>')
+    document.body.appendChild(live)
+
+    domMorph.morph(live, html('<div><p>intro</p><morph-probe id="x">new</morph-probe><p id="y">y</p></div>'))
+
+    expect(idCounts).toEqual([1])
+    expect(live.innerHTML).toBe('<p>intro</p><morph-probe id="x">new</morph-probe><p id="y">y</p>')
+  })
+
+  it('should not touch preserved subtrees', () => {
+    const live = html('<div><div id="widget" data-blapy-preserve>live widget</div><p>old</p></div>')
+    const widget = live.querySelector('#widget')
+
+    domMorph.morph(live, html('<div><p>new</p></div>'))
+
+    expect(live.querySelector('#widget')).toBe(widget)
+    expect(widget.textContent).toBe('live widget')
+    expect(live.querySelector('p').textContent).toBe('new')
+  })
+
+  it('should leave the root attributes untouched with childrenOnly', () => {
+    const live = html('<div id="b" class="live"><span>old</span></div>')
+
+    domMorph.morph(live, html('<div class="incoming"><span>new</span></div>'), { childrenOnly: true })
+
+    expect(live.id).toBe('b')
+    expect(live.className).toBe('live')
+    expect(live.textContent).toBe('new')
+  })
+
+  it('should not overwrite the value of the focused input', () => {
+    const live = html('<form><input id="q" name="q" value="a"></form>')
+    document.body.appendChild(live)
+    const input = live.querySelector('input')
+    input.focus()
+    input.value = 'typed'
+
+    domMorph.morph(live, html('<form><input id="q" name="q" value="server"></form>'))
+
+    expect(live.querySelector('input')).toBe(input)
+    expect(document.activeElement).toBe(input)
+    expect(input.value).toBe('typed')
+  })
+})
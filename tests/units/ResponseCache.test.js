@@ -0,0 +1,130 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { ResponseCache } from '../../src/core/ResponseCache.js'
+import { Logger } from '../../src/core/Logger.js'
+
+// minimal in-memory IndexedDB: one object store per database, the requests succeed asynchronously
+function createFakeIndexedDB() {
+  const databases = new Map()
+  const request = (run) => {
+    const idbRequest = {}
+    Promise.resolve().then(() => {
+      idbRequest.result = run(idbRequest)
+      idbRequest.onsuccess()
+    })
+    return idbRequest
+  }
+
+  const open = name => request((openRequest) => {
+    const stores = databases.get(name) ?? new Map()
+    const database = {
+      createObjectStore: storeName => stores.set(storeName, new Map()),
+      transaction: storeName => ({
+        objectStore: () => {
+          const entries = stores.get(storeName)
+          return {
+            get: key => request(() => entries.get(key)),
+            put: (value, key) => request(() => entries.set(key, structuredClone(value))),
+            delete: key => request(() => entries.delete(key)),
+            clear: () => request(() => entries.clear()),
+            getAllKeys: () => request(() => [...entries.keys()]),
+            getAll: () => request(() => [...entries.values()]),
+          }
+        },
+      }),
+    }
+    if (!databases.has(name)) {
+      databases.set(name, stores)
+      openRequest.result = database
+      openRequest.onupgradeneeded?.()
+    }
+    return database
+  })
+
+  return { databases, open }
+}
+
+describe('ResponseCache', () => {
+  let cache
+  const policy = { maxAge: 60, staleWhileRevalidate: 300 }
+
+  beforeEach(() => {
+    vi.useFakeTimers()
+    vi.setSystemTime(new Date('2026-01-01T00:00:00Z'))
+    cache = new ResponseCache(new Logger())
+  })
+
+  afterEach(() => {
+    vi.useRealTimers()
+    sessionStorage.clear()
+  })
+
+  it('should parse cache-control like directives', () => {
+    expect(ResponseCache.parsePolicy('max-age=60, stale-while-revalidate=300')).toEqual(policy)
+    expect(ResponseCache.parsePolicy({ maxAge: 10 })).toEqual({ maxAge: 10, staleWhileRevalidate: 0 })
+    expect(ResponseCache.parsePolicy('no-store')).toBeNull()
+    expect(ResponseCache.parsePolicy('max-age=0')).toBeNull()
+    expect(ResponseCache.parsePolicy(null)).toBeNull()
+    expect(ResponseCache.parsePolicy('max-age=60, methods=GET post')).toEqual({ maxAge: 60, staleWhileRevalidate: 0, methods: ['GET', 'POST'] })
+    expect(ResponseCache.parsePolicy({ maxAge: 60, methods: ['post'] })).toEqual({ maxAge: 60, staleWhileRevalidate: 0, methods: ['POST'] })
+  })
+
+  it('should build the same key whatever the order of the parameters', () => {
+    expect(cache.getKey('post', '/page', { a: 1, b: 2 })).toBe(cache.getKey('POST', '/page', { b: 2, a: 1 }))
+    expect(cache.getKey('GET', '/page', { a: 1 })).not.toBe(cache.getKey('POST', '/page', { a: 1 }))
+  })
+
+  it('should serve a response fresh, then stale, then expire it', () => {
+    cache.set('k', '<div>page</div>')
+
+    expect(cache.get('k', policy)).toMatchObject({ content: '<div>page</div>', fresh: true })
+
+    vi.advanceTimersByTime(61 * 1000)
+    expect(cache.get('k', policy)).toMatchObject({ content: '<div>page</div>', fresh: false })
+
+    vi.advanceTimersByTime(300 * 1000)
+    expect(cache.get('k', policy)).toBeNull()
+  })
+
+  it('should evict the least recently used responses', () => {
+    cache = new ResponseCache(new Logger(), { maxEntries: 2 })
+    cache.set('a', 'A')
+    cache.set('b', 'B')
+    cache.get('a', policy)
+    cache.set('c', 'C')
+
+    expect(cache.get('a', policy)).not.toBeNull()
+    expect(cache.get('b', policy)).toBeNull()
+    expect(cache.get('c', policy)).not.toBeNull()
+  })
+
+  it('should persist the responses in the sessionStorage', () => {
+    cache = new ResponseCache(new Logger(), { storage: 'session' })
+    cache.set('k', 'content')
+
+    const otherCache = new ResponseCache(new Logger(), { storage: 'session' })
+    expect(otherCache.get('k', policy)).toMatchObject({ content: 'content', fresh: true })
+
+    otherCache.clear()
+    expect(sessionStorage.length).toBe(0)
+  })
+  it('should persist the responses in IndexedDB and load them in memory', async () => {
+    const fakeIndexedDB = createFakeIndexedDB()
+    vi.stubGlobal('indexedDB', fakeIndexedDB)
+
+    cache = new ResponseCache(new Logger(), { storage: 'indexeddb' })
+    await cache.ready
+    cache.set('k', 'content')
+    const storedResponses = () => fakeIndexedDB.databases.get('blapy2-cache').get('responses')
+    await vi.waitFor(() => expect(storedResponses().has('k')).toBe(true))
+
+    const otherCache = new ResponseCache(new Logger(), { storage: 'indexeddb' })
+    expect(otherCache.get('k', policy)).toBeNull()
+    await otherCache.ready
+    expect(otherCache.get('k', policy)).toMatchObject({ content: 'content', fresh: true })
+
+    otherCache.clear()
+    await vi.waitFor(() => expect(storedResponses().size).toBe(0))
+
+    vi.unstubAllGlobals()
+  })
+})
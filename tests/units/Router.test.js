@@ -0,0 +1,415 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { Router } from '../../src/core/Router.js'
+import { Logger } from '../../src/core/Logger.js'
+import { Utils } from '../../src/core/Utils.js'
+
+describe('Router', () => {
+  let router
+  let blapy
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app">
+        <div data-blapy-container="true" data-blapy-container-name="content" data-blapy-container-content="home">home</div>
+        <div data-blapy-container="true" data-blapy-container-name="clock" data-blapy-history="false">10:00</div>
+        <a id="link" data-blapy-link="true" href="/page2#blapylink#content">page 2</a>
+      </div>`
+
+    const container = document.getElementById('app')
+    blapy = {
+      container,
+      myUIObject: container,
+      myUIObjectID: 'app',
+      myFSM: { trigger: vi.fn() },
+      pendingRequests: new Map(),
+      utils: new Utils(),
+      trigger: vi.fn(),
+      _checkNavigation: vi.fn(() => true),
+      setBlapyURL: vi.fn(),
+      setBlapyUpdateOnDisplay: vi.fn(),
+      blapyBlocks: { setBlapyUpdateIntervals: vi.fn() },
+    }
+
+    globalThis.Navigo = function () {}
+    window.history.replaceState(null, '', '/')
+
+    router = new Router(new Logger(), blapy, { enableRouter: true })
+    router.init()
+  })
+
+  afterEach(() => {
+    // the routers of the previous tests must not handle the popstates
+    router.destroy()
+    delete globalThis.Navigo
+  })
+
+  function content() {
+    return document.querySelector('[data-blapy-container-name="content"]')
+  }
+
+  describe('history', () => {
+    it('should push an entry carrying the request of the link', () => {
+      document.getElementById('link').click()
+
+      expect(window.location.pathname).toBe('/page2')
+      expect(window.history.state).toMatchObject({
+        blapy: true,
+        request: { aUrl: '/page2', params: { embeddingBlockId: 'content' }, method: 'GET' },
+      })
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({
+        aUrl: '/page2',
+        params: { embeddingBlockId: 'content' },
+      }))
+    })
+
+    it('should restore the blocks from the snapshot on popstate without any request', () => {
+      const homeState = window.history.state
+      document.getElementById('link').click()
+      const page2State = window.history.state
+
+      content().textContent = 'page 2'
+      content().setAttribute('data-blapy-json-data', '[{"id":2}]')
+      document.querySelector('[data-blapy-container-name="clock"]').textContent = '10:01'
+      blapy.myFSM.trigger.mockClear()
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: homeState }))
+
+      expect(content().textContent).toBe('home')
+      expect(content().hasAttribute('data-blapy-json-data')).toBe(false)
+      expect(document.querySelector('[data-blapy-container-name="clock"]').textContent).toBe('10:01')
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+      expect(blapy.trigger).toHaveBeenCalledWith('Blapy_HistoryRestored', expect.any(Object))
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: page2State }))
+
+      expect(content().textContent).toBe('page 2')
+      expect(content().getAttribute('data-blapy-json-data')).toBe('[{"id":2}]')
+    })
+
+    it('should replay the GET request of an entry without snapshot, but never send a form again', () => {
+      window.dispatchEvent(new PopStateEvent('popstate', {
+        state: { blapy: true, entryId: 'unknown', request: { aUrl: '/search', params: { q: 'a' }, method: 'GET' } },
+      }))
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({
+        aUrl: '/search',
+        params: { q: 'a' },
+        method: 'GET',
+      }))
+
+      blapy.myFSM.trigger.mockClear()
+      const request = { aUrl: '/comment.php', params: {}, method: 'POST' }
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { blapy: true, entryId: 'posted', request } }))
+
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+      expect(blapy.trigger).toHaveBeenCalledWith('Blapy_HistoryNotRestored', { request })
+    })
+
+    it('should push an entry for a submitted form and restore the blocks it changed', () => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <form id="comment" data-blapy-link="true" action="/comment.php" method="post">
+          <input name="text" value="Hello">
+        </form>`)
+      router.opts.historyRevalidate = true
+      const homeState = window.history.state
+
+      document.getElementById('comment').requestSubmit()
+
+      expect(window.location.pathname).toBe('/')
+      expect(window.history.state).toMatchObject({
+        blapy: true,
+        request: { aUrl: `${window.location.origin}/comment.php`, params: {}, method: 'POST' },
+      })
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('postData', expect.objectContaining({
+        aUrl: `${window.location.origin}/comment.php`,
+        params: { text: 'Hello' },
+        method: 'post',
+      }))
+      const commentState = window.history.state
+
+      content().textContent = 'comment saved'
+      window.dispatchEvent(new PopStateEvent('popstate', { state: homeState }))
+      expect(content().textContent).toBe('home')
+
+      blapy.myFSM.trigger.mockClear()
+      window.dispatchEvent(new PopStateEvent('popstate', { state: commentState }))
+      expect(content().textContent).toBe('comment saved')
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+    })
+
+    it('should restore a submitted form entry after a reload without sending the form again', async () => {
+      document.getElementById('app').insertAdjacentHTML('beforeend', `
+        <form id="login" data-blapy-link="true" action="/login.php" method="post">
+          <input type="password" name="password" value="secret">
+        </form>`)
+
+      document.getElementById('login').requestSubmit()
+      content().textContent = 'logged in'
+      blapy.container.dispatchEvent(new CustomEvent('Blapy_afterPageChange'))
+
+      expect(JSON.stringify(window.history.state)).not.toContain('secret')
+      expect(window.history.state.snapshot).toEqual([expect.objectContaining({ name: 'content' })])
+
+      // after a reload, the snapshots are only in the history states
+      router.historySnapshots.clear()
+      window.history.back()
+      await vi.waitFor(() => expect(content().textContent).toBe('home'))
+
+      router.historySnapshots.clear()
+      blapy.myFSM.trigger.mockClear()
+      window.history.forward()
+      await vi.waitFor(() => expect(content().textContent).toBe('logged in'))
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+    })
+
+    it('should revalidate a restored GET entry when historyRevalidate is set', () => {
+      router.opts.historyRevalidate = true
+      const homeState = window.history.state
+      document.getElementById('link').click()
+      blapy.myFSM.trigger.mockClear()
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: homeState }))
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/' }))
+    })
+  })
+
+  describe('routes', () => {
+    function createRouter(routes) {
+      blapy.container.insertAdjacentHTML('beforeend', `
+        <template data-blapy-route="/docs/*" data-blapy-embedding-blockid="content"></template>
+        <a id="userLink" data-blapy-link="true" href="/users/42?tab=posts">user</a>`)
+      const routedRouter = new Router(new Logger(), blapy, { enableRouter: true, routes })
+      routedRouter.init()
+      return routedRouter
+    }
+
+    const routes = [
+      { path: '/users/:id', url: '/api/user.php?id=:id', embeddingBlockId: 'content', templateId: 'userTpl' },
+      { path: '*', url: '/404.html', embeddingBlockId: 'content' },
+    ]
+
+    it('should match the path parameters, the markup routes and the fallback route', () => {
+      const routedRouter = createRouter(routes)
+
+      expect(routedRouter.matchRoute('/users/42')).toMatchObject({ route: { path: '/users/:id' }, params: { id: '42' } })
+      expect(routedRouter.matchRoute('/docs/a/b')).toMatchObject({ route: { path: '/docs/*' }, params: { wildcard: 'a/b' } })
+      expect(routedRouter.matchRoute('/nowhere')).toMatchObject({ route: { path: '*' }, params: { path: '/nowhere' } })
+      expect(routedRouter.matchRoute('/nowhere', { fallback: false })).toBeNull()
+    })
+
+    it('should load the route of a clicked link into its embedding block', () => {
+      createRouter(routes)
+      blapy.myFSM.trigger.mockClear()
+
+      document.getElementById('userLink').click()
+
+      expect(window.location.pathname).toBe('/users/42')
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({
+        aUrl: '/api/user.php?id=42&tab=posts',
+        params: { embeddingBlockId: 'content', templateId: 'userTpl' },
+      }))
+      expect(window.history.state.request.aUrl).toBe('/api/user.php?id=42&tab=posts')
+    })
+
+    it('should load the route of a deep link once the page is ready', () => {
+      window.history.replaceState(null, '', '/missing/page')
+      createRouter(routes)
+      blapy.myFSM.trigger.mockClear()
+
+      blapy.container.dispatchEvent(new CustomEvent('Blapy_PageReady'))
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({
+        aUrl: '/404.html',
+        params: { embeddingBlockId: 'content' },
+      }))
+    })
+
+    it('should not load the fallback route on the root path', () => {
+      createRouter(routes)
+      blapy.myFSM.trigger.mockClear()
+
+      blapy.container.dispatchEvent(new CustomEvent('Blapy_PageReady'))
+
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('hash mode', () => {
+    function createHashRouter(routes = []) {
+      blapy.container.insertAdjacentHTML('beforeend', '<a id="hashLink" data-blapy-link="true" href="#!/page2?x=1">page 2</a>')
+      router.destroy()
+      router = new Router(new Logger(), blapy, { enableRouter: true, hash: true, routes })
+      router.init()
+      blapy.myFSM.trigger.mockClear()
+      return router
+    }
+
+    it('should keep the application URL of a link in the hash', () => {
+      createHashRouter()
+
+      document.getElementById('hashLink').click()
+
+      expect(window.location.pathname).toBe('/')
+      expect(window.location.hash).toBe('#!/page2?x=1')
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/page2?x=1' }))
+    })
+
+    it('should navigate and match routes on the hash path', () => {
+      const hashRouter = createHashRouter([{ path: '/users/:id', url: '/api/user.php?id=:id' }])
+
+      expect(hashRouter.matchRoute('#!/users/7')).toMatchObject({ params: { id: '7' } })
+
+      hashRouter.navigate('/users/7')
+
+      expect(window.location.hash).toBe('#!/users/7')
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/api/user.php?id=7' }))
+    })
+
+    it('should settle the Promise of a navigation with its request, or reject it once cancelled', () => {
+      blapy._rejectRequest = vi.fn()
+      const hashRouter = createHashRouter([{ path: '/users/:id', url: '/api/user.php?id=:id' }])
+
+      hashRouter.navigate('/users/7', { requestId: 3 })
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ requestId: 3 }))
+
+      blapy._checkNavigation.mockReturnValue(false)
+      hashRouter.navigate('/users/8', { requestId: 4 })
+      expect(blapy._rejectRequest).toHaveBeenCalledWith(4, expect.objectContaining({ code: 'cancelled', url: '/users/8' }))
+    })
+
+    it('should load a hash changed outside of Blapy only once', () => {
+      createHashRouter()
+
+      window.history.replaceState(null, '', '#!/typed')
+      window.dispatchEvent(new HashChangeEvent('hashchange'))
+      window.dispatchEvent(new HashChangeEvent('hashchange'))
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledTimes(1)
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/typed' }))
+    })
+
+    it('should load the hash location the page is opened on', () => {
+      window.history.replaceState(null, '', '/#!/page3')
+      createHashRouter()
+
+      blapy.container.dispatchEvent(new CustomEvent('Blapy_PageReady'))
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/page3' }))
+    })
+  })
+
+  describe('navigation guards', () => {
+    it('should not push nor load a link the guards cancel', () => {
+      blapy._checkNavigation.mockReturnValue(false)
+      const historyLength = window.history.length
+
+      document.getElementById('link').click()
+
+      expect(window.history.length).toBe(historyLength)
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+    })
+
+    it('should go on once an async guard allows the navigation', async () => {
+      blapy._checkNavigation.mockReturnValue(Promise.resolve(true))
+
+      document.getElementById('link').click()
+      await Promise.resolve()
+
+      expect(window.location.pathname).toBe('/page2')
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ navigationAllowed: true }))
+    })
+
+    it('should go back to the left entry when a popstate is cancelled', () => {
+      const homeState = window.history.state
+      document.getElementById('link').click()
+      blapy.myFSM.trigger.mockClear()
+      blapy._checkNavigation.mockReturnValue(false)
+      const go = vi.spyOn(window.history, 'go').mockImplementation(() => {})
+      content().textContent = 'page 2'
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: homeState }))
+
+      expect(go).toHaveBeenCalledWith(1)
+      expect(content().textContent).toBe('page 2')
+      expect(blapy._checkNavigation).toHaveBeenCalledWith(expect.objectContaining({ history: true }))
+
+      // the popstate of the revert is ignored
+      window.dispatchEvent(new PopStateEvent('popstate', { state: window.history.state }))
+      expect(blapy._checkNavigation).toHaveBeenCalledTimes(2)
+      go.mockRestore()
+    })
+
+    it('should reach the entry once the history is reverted when an async guard allows a popstate', async () => {
+      document.getElementById('link').click()
+      content().textContent = 'page 2'
+      blapy._checkNavigation.mockClear()
+      blapy._checkNavigation.mockReturnValueOnce(Promise.resolve(true))
+
+      window.history.back()
+      await vi.waitFor(() => expect(content().textContent).toBe('home'))
+      await new Promise((resolve) => setTimeout(resolve, 50))
+
+      expect(window.location.pathname).toBe('/')
+      expect(router.currentIndex).toBe(window.history.state.index)
+      expect(router.ignoreNextPopState).toBe(false)
+      expect(blapy._checkNavigation).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('link activation', () => {
+    function createStandardRouter() {
+      blapy.container.insertAdjacentHTML('beforeend', `
+        <div id="custom" data-blapy-link="true" role="button" tabindex="0"
+          data-blapy-href="/news.php#blapylink#content" data-blapy-params='{"page": 2}'><span>news</span></div>
+        <button id="button" data-blapy-link="true" data-blapy-href="/more.php">more</button>`)
+      router.destroy()
+      router = new Router(new Logger(), blapy, { enableRouter: false })
+      router.init()
+      return router
+    }
+
+    it('should load a custom link once per click whatever the number of updates', () => {
+      createStandardRouter()
+
+      document.querySelector('#custom span').click()
+      document.getElementById('button').click()
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledTimes(2)
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({
+        aUrl: '/news.php',
+        params: { page: 2, embeddingBlockId: 'content' },
+        source: document.getElementById('custom'),
+      }))
+      expect(blapy.myFSM.trigger).toHaveBeenCalledWith('loadUrl', expect.objectContaining({ aUrl: '/more.php' }))
+    })
+
+    it('should activate the custom links with role button from the keyboard', () => {
+      createStandardRouter()
+      const custom = document.getElementById('custom')
+
+      custom.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true }))
+      custom.setAttribute('role', 'link')
+      custom.dispatchEvent(new KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true }))
+      custom.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true, cancelable: true }))
+
+      expect(blapy.myFSM.trigger).toHaveBeenCalledTimes(2)
+    })
+  })
+
+  describe('destroy', () => {
+    it('should remove the link and popstate listeners', () => {
+      const homeState = window.history.state
+      router.destroy()
+
+      const click = new MouseEvent('click', { bubbles: true, cancelable: true })
+      document.getElementById('link').dispatchEvent(click)
+      window.dispatchEvent(new PopStateEvent('popstate', { state: homeState }))
+
+      expect(click.defaultPrevented).toBe(false)
+      expect(blapy.myFSM.trigger).not.toHaveBeenCalled()
+      expect(blapy.trigger).not.toHaveBeenCalled()
+      expect(router.isInitialized).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,72 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { Sanitizer, defaultSanitizerProfiles } from '../../src/core/Sanitizer.js'
+import { Logger } from '../../src/core/Logger.js'
+import { Utils } from '../../src/core/Utils.js'
+
+describe('Sanitizer', () => {
+  let sanitizer
+  let logger
+
+  beforeEach(() => {
+    logger = new Logger()
+    vi.spyOn(logger, 'info')
+    vi.spyOn(logger, 'error')
+    sanitizer = new Sanitizer(logger, new Utils())
+  })
+
+  it('should keep the allowed tags and unwrap the other ones', () => {
+    const html = sanitizer.sanitize('<p>Hello <font><b>you</b></font><script>alert(1)</script><style>p{}</style></p><!-- note -->', 'strict')
+
+    expect(html).toBe('<p>Hello <b>you</b></p>')
+  })
+
+  it('should remove the event handlers, the disallowed attributes and the unsafe URLs', () => {
+    const html = sanitizer.sanitize(
+      '<a href="java\tscript:alert(1)" onclick="alert(2)" class="x">a</a><a href="/page?id=1" title="t">b</a><a href="https://intersel.fr">c</a>',
+      'strict',
+    )
+
+    expect(html).toBe('<a>a</a><a href="/page?id=1" title="t">b</a><a href="https://intersel.fr">c</a>')
+  })
+
+  it('should allow more tags and the attribute prefixes with the basic profile', () => {
+    const html = sanitizer.sanitize('<img src="data:image/png;base64,xx" alt="x" aria-label="l" onerror="alert(1)"><h2 class="t">Title</h2>', 'basic')
+
+    expect(html).toBe('<img alt="x" aria-label="l"><h2 class="t">Title</h2>')
+  })
+
+  it('should log the stripped nodes of a block', () => {
+    const block = document.createElement('div')
+    block.setAttribute('data-blapy-container-name', 'comments')
+
+    sanitizer.sanitize('<p onclick="go()">a</p><iframe></iframe>', 'strict', block)
+
+    expect(logger.info).toHaveBeenCalledWith('Sanitizer "strict" stripped from the block "comments": <p onclick>, <iframe>', 'sanitizer')
+  })
+
+  it('should remove the event handlers and the unsafe URLs from the attributes of a received block', () => {
+    const block = document.createElement('div')
+    block.innerHTML = '<div id="c" data-blapy-container-name="comments" class="list" onmouseover="alert(1)" background="javascript:alert(2)"><b>a</b></div>'
+    const receivedBlock = block.firstElementChild
+
+    sanitizer.sanitizeAttributes(receivedBlock, 'strict')
+
+    expect(receivedBlock.outerHTML).toBe('<div id="c" data-blapy-container-name="comments" class="list"><b>a</b></div>')
+    expect(logger.info).toHaveBeenCalledWith('Sanitizer "strict" stripped from the attributes of the block "comments": onmouseover, background', 'sanitizer')
+  })
+
+  it('should use the registered sanitizers and fall back on the strict profile', () => {
+    const purify = vi.fn(() => 'clean')
+    Sanitizer.register('purify', purify)
+    Sanitizer.register('comments', { tags: ['em'] })
+
+    expect(sanitizer.sanitize('<b>dirty</b>', 'purify')).toBe('clean')
+    expect(purify).toHaveBeenCalledWith('<b>dirty</b>', { name: 'purify', block: null })
+    expect(sanitizer.sanitize('<b><em>a</em></b>', 'comments')).toBe('<em>a</em>')
+
+    expect(sanitizer.sanitize('<div><b>a</b></div>', 'unknown')).toBe('<b>a</b>')
+    expect(logger.error).toHaveBeenCalled()
+    expect(() => Sanitizer.register('wrong', {})).toThrow('The sanitizer "wrong" must be a function or a profile with a list of tags')
+    expect(Sanitizer.get('strict')).toBe(defaultSanitizerProfiles.strict)
+  })
+})
@@ -21,7 +21,8 @@ const mockAjaxService = {
 
 const mockUtils = {
   atou: vi.fn((str) => atob(str)),
-  utoa: vi.fn((str) => btoa(str))
+  utoa: vi.fn((str) => btoa(str)),
+  toHTML: vi.fn((html) => html)
 }
 
 const mockBlapy = {
@@ -42,7 +43,7 @@ global.Mustache = {
 }
 
 global.json2html = {
-  transform: vi.fn((data, template) => `<div>json2html: ${data}</div>`)
+  transform: vi.fn((data, template) => `<div>json2html: ${JSON.stringify(data)}</div>`)
 }
 
 global.$ = vi.fn((selector) => ({
@@ -126,6 +127,59 @@ describe('TemplateManager', () => {
     })
   })
 
+  describe('template storage', () => {
+    let storedManager, container
+
+    beforeEach(() => {
+      storedManager = new TemplateManager(mockLogger, mockAjaxService, mockUtils, { templateStorage: 'session' })
+      container = document.createElement('div')
+      container.id = 'users'
+    })
+
+    afterEach(() => {
+      sessionStorage.clear()
+    })
+
+    it('should reuse a stored template file of the same version', async () => {
+      container.setAttribute('data-blapy-template-version', '2')
+      mockAjaxService.get.mockResolvedValue('<li>{{name}}</li>')
+
+      expect(await storedManager._loadTemplateFile('users.html', container, '')).toBe('<li>{{name}}</li>')
+      expect(await storedManager._loadTemplateFile('users.html', container, '')).toBe('<li>{{name}}</li>')
+      expect(mockAjaxService.get).toHaveBeenCalledTimes(1)
+
+      container.setAttribute('data-blapy-template-version', '3')
+      await storedManager._loadTemplateFile('users.html', container, '')
+      expect(mockAjaxService.get).toHaveBeenCalledTimes(2)
+    })
+
+    it('should revalidate a stored template file with its ETag', async () => {
+      mockAjaxService.get.mockImplementationOnce(async (url, options) => {
+        options.onResponse({ getHeader: () => '"v1"' })
+        return '<li>{{name}}</li>'
+      })
+      await storedManager._loadTemplateFile('users.html', container, '')
+
+      mockAjaxService.get.mockRejectedValueOnce(Object.assign(new Error('HTTP 304: Not Modified'), { status: 304 }))
+
+      expect(await storedManager._loadTemplateFile('users.html', container, '')).toBe('<li>{{name}}</li>')
+      expect(mockAjaxService.get.mock.calls[1][1].headers).toEqual({ 'If-None-Match': '"v1"' })
+    })
+
+    it('should download an invalidated template file again', async () => {
+      container.setAttribute('data-blapy-template-version', '2')
+      mockAjaxService.get.mockResolvedValue('<li>{{name}}</li>')
+      await storedManager._loadTemplateFile('users.html', container, '')
+      storedManager.templates.set('users.html', '<li>{{name}}</li>')
+
+      await storedManager.invalidate('users.html')
+
+      expect(storedManager.templates.has('users.html')).toBe(false)
+      await storedManager._loadTemplateFile('users.html', container, '')
+      expect(mockAjaxService.get).toHaveBeenCalledTimes(2)
+    })
+  })
+
   describe('getObjects', () => {
     const testObj = {
       users: [
@@ -395,13 +449,13 @@ describe('TemplateManager', () => {
       ]
     })
 
-    it('should apply all transformations in correct order', () => {
+    it('should apply all transformations in correct order', async () => {
       const fromPropSpy = vi.spyOn(templateManager, '_applyInitFromProperty').mockReturnValue(jsonData)
       const searchSpy = vi.spyOn(templateManager, '_applyInitSearch').mockReturnValue(jsonData)
       const processSpy = vi.spyOn(templateManager, '_applyProcessDataFunctions').mockReturnValue(jsonData)
       const indicesSpy = vi.spyOn(templateManager, '_addBlapyIndices').mockReturnValue(jsonData)
       
-      templateManager._applyDataTransformations(jsonData, container, JSON)
+      await templateManager._applyDataTransformations(jsonData, container, JSON)
       
       expect(fromPropSpy).toHaveBeenCalledWith(jsonData, container)
       expect(searchSpy).toHaveBeenCalledWith(jsonData, container)
@@ -515,6 +569,69 @@ describe('TemplateManager', () => {
     })
   })
 
+  describe('_applyProcessDataFunctions', () => {
+    let container
+
+    beforeEach(() => {
+      container = document.createElement('div')
+      container.id = 'people'
+    })
+
+    afterEach(() => {
+      delete globalThis.legacyProcessor
+    })
+
+    it('should apply the registered processors with their arguments', async () => {
+      TemplateManager.registerProcessor('sortBy', (items, [property, order]) =>
+        [...items].sort((a, b) => (order === 'desc' ? -1 : 1) * a[property].localeCompare(b[property])))
+      TemplateManager.registerProcessor('withCount', async (items, args, ctx) => {
+        await Promise.resolve()
+        return items.map(item => ({ ...item, count: items.length, block: ctx.container.id }))
+      })
+      container.setAttribute('data-blapy-template-init-processdata', 'sortBy(name, "desc"), withCount')
+
+      const result = await templateManager._applyProcessDataFunctions([{ name: 'Ann' }, { name: 'Bob' }], container, JSON)
+
+      expect(result).toEqual([
+        { name: 'Bob', count: 2, block: 'people' },
+        { name: 'Ann', count: 2, block: 'people' }
+      ])
+    })
+
+    it('should parse the processors list', () => {
+      expect(templateManager._parseProcessorCalls("a, b(), c(x,'y z'), my.fn(1)")).toEqual([
+        { name: 'a', args: [] },
+        { name: 'b', args: [] },
+        { name: 'c', args: ['x', 'y z'] },
+        { name: 'my.fn', args: ['1'] }
+      ])
+    })
+
+    it('should use a global function unless the processors are strict', async () => {
+      globalThis.legacyProcessor = vi.fn(items => items.concat({ name: 'Zoe' }))
+      container.setAttribute('data-blapy-template-init-processdata', 'legacyProcessor')
+
+      expect(await templateManager._applyProcessDataFunctions([], container, JSON)).toEqual([{ name: 'Zoe' }])
+
+      const strictManager = new TemplateManager(mockLogger, mockAjaxService, mockUtils, { strictProcessors: true })
+      expect(await strictManager._applyProcessDataFunctions([], container, JSON)).toEqual([])
+      expect(globalThis.legacyProcessor).toHaveBeenCalledTimes(1)
+    })
+
+    it('should skip a processor failing or not returning json data', async () => {
+      TemplateManager.registerProcessor('broken', () => { throw new Error('oops') })
+      TemplateManager.registerProcessor('notJson', () => 'text')
+      container.setAttribute('data-blapy-template-init-processdata', 'broken,notJson')
+
+      expect(await templateManager._applyProcessDataFunctions([{ id: 1 }], container, JSON)).toEqual([{ id: 1 }])
+      expect(mockLogger.error).toHaveBeenCalledTimes(2)
+    })
+
+    it('should refuse a processor that is not a function', () => {
+      expect(() => TemplateManager.registerProcessor('bad', 'nope')).toThrow('The processor "bad" must be a function')
+    })
+  })
+
   describe('_addBlapyIndices', () => {
     it('should add indices to array data', () => {
       const jsonData = [
@@ -616,6 +733,54 @@ describe('TemplateManager', () => {
     })
   })
 
+  describe('state templates', () => {
+    let container
+
+    beforeEach(() => {
+      container = document.createElement('div')
+      container.setAttribute('data-blapy-container-name', 'messages')
+      container.innerHTML = `<xmp data-blapy-container-tpl="true" data-blapy-container-tpl-id="loading"><p>Loading...</p></xmp>` +
+        `<xmp data-blapy-container-tpl="true" data-blapy-container-tpl-id="list">{{title}}</xmp>` +
+        `<xmp data-blapy-container-tpl="true" data-blapy-container-tpl-id="empty"><p>No message</p></xmp>`
+    })
+
+    it('should never use a state template to render the data', () => {
+      expect(templateManager._getTemplate(container).content).toBe('{{title}}')
+    })
+
+    it('should render a state template and keep the templates', () => {
+      expect(templateManager.renderStateTemplate(container, 'loading')).toBe(true)
+
+      expect(container.querySelector('p').textContent).toBe('Loading...')
+      expect(container.querySelectorAll('[data-blapy-container-tpl]')).toHaveLength(3)
+      expect(container.getAttribute('data-blapy-template-state')).toBe('loading')
+    })
+
+    it('should do nothing without such a state template', () => {
+      expect(templateManager.renderStateTemplate(container, 'error')).toBe(false)
+      expect(container.hasAttribute('data-blapy-template-state')).toBe(false)
+    })
+
+    it('should render the loading template while the init request is pending', () => {
+      container.setAttribute('data-blapy-template-init', '/api/messages')
+
+      templateManager._initializeJsonBlock(container, false, mockBlapy)
+
+      expect(container.getAttribute('data-blapy-template-state')).toBe('loading')
+    })
+
+    it('should render the empty template when there is no data', async () => {
+      vi.spyOn(templateManager, '_extractAndParseJsonData').mockResolvedValue([])
+      const generateSpy = vi.spyOn(templateManager, '_generateHtml')
+
+      await templateManager.processJsonUpdate(null, container, document.createElement('div'), JSON, mockBlapy)
+
+      expect(generateSpy).not.toHaveBeenCalled()
+      expect(container.getAttribute('data-blapy-template-state')).toBe('empty')
+      expect(container.querySelector('p').textContent).toBe('No message')
+    })
+  })
+
   describe('_generateHtml', () => {
     let container, template
 
@@ -660,7 +825,7 @@ describe('TemplateManager', () => {
       const result = templateManager._generateHtml(jsonData, template, container)
       
       expect(global.json2html.transform).toHaveBeenCalledWith(
-        JSON.stringify(jsonData),
+        jsonData,
         { tag: 'void', html: '<div>{{name}}</div>' }
       )
       expect(result).toBe('<div>json2html: {"name":"John"}</div>')
@@ -669,7 +834,8 @@ describe('TemplateManager', () => {
     it('should show error when no parser is available', () => {
       global.Mustache = undefined
       global.json2html = undefined
-      global.alert = vi.fn()
+      const onError = vi.fn()
+      container.addEventListener('Blapy_templateError', onError)
       
       const result = templateManager._generateHtml({}, template, container)
       
@@ -677,11 +843,91 @@ describe('TemplateManager', () => {
         'no json parser loaded... need to include json2html or Mustache library! ',
         'templateManager'
       )
-      expect(global.alert).toHaveBeenCalledWith(
-        'no json parser loaded... need to include "json2html" or "Mustache" library!'
-      )
+      expect(onError.mock.calls[0][0].detail).toMatchObject({
+        message: 'no json parser loaded... need to include json2html or Mustache library! ',
+        engine: null
+      })
       expect(result).toBe('')
     })
+
+    it('should render with the engine set on the template or on the block', () => {
+      const render = vi.fn((compiled, data) => compiled(data))
+      TemplateManager.registerEngine('literal', {
+        compile: tpl => data => tpl.replace('${name}', data.name),
+        render
+      })
+
+      expect(templateManager._generateHtml({ name: 'John' }, { content: '<b>${name}</b>', engine: 'literal' }, container)).toBe('<b>John</b>')
+      expect(render.mock.calls[0][2]).toEqual({ name: 'literal', container, partials: {} })
+
+      container.setAttribute('data-blapy-template-engine', 'literal')
+      expect(templateManager._generateHtml({ name: 'Jane' }, { content: '<b>${name}</b>' }, container)).toBe('<b>Jane</b>')
+
+      expect(() => TemplateManager.registerEngine('wrong', {})).toThrow('The template engine "wrong" must have a render function')
+    })
+
+    it('should compile a template once for each content', () => {
+      const compile = vi.fn(tpl => data => tpl.replace('${name}', data.name))
+      TemplateManager.registerEngine('compiled', { compile, render: (compiled, data) => compiled(data) })
+
+      expect(templateManager._generateHtml({ name: 'John' }, { content: '<b>${name}</b>', engine: 'compiled' }, container)).toBe('<b>John</b>')
+      expect(templateManager._generateHtml({ name: 'Jane' }, { content: '<b>${name}</b>', engine: 'compiled' }, container)).toBe('<b>Jane</b>')
+      expect(compile).toHaveBeenCalledTimes(1)
+
+      templateManager._generateHtml({ name: 'John' }, { content: '<i>${name}</i>', engine: 'compiled' }, container)
+      expect(compile).toHaveBeenCalledTimes(2)
+    })
+
+    it('should send an error event when the engine is unknown or fails', () => {
+      const onError = vi.fn()
+      container.addEventListener('Blapy_templateError', onError)
+      TemplateManager.registerEngine('failing', { render: () => { throw new Error('bad tag') } })
+
+      expect(templateManager._generateHtml({}, { content: 'x', engine: 'unknown' }, container)).toBe('')
+      expect(templateManager._generateHtml({}, { content: 'x', engine: 'failing' }, container)).toBe('')
+
+      expect(onError.mock.calls.map(([event]) => event.detail.message)).toEqual([
+        'The template engine "unknown" is not registered',
+        'The template engine "failing" failed: bad tag'
+      ])
+    })
+  })
+
+  describe('partials', () => {
+    let container
+
+    beforeEach(() => {
+      container = document.createElement('div')
+      global.Mustache = { render: vi.fn(() => '<ul>tree</ul>') }
+    })
+
+    it('should give the registered partials and the ones of the page to the engine', async () => {
+      TemplateManager.registerPartial('node', '<li>{{name}}<ul>{{#children}}{{> node}}{{/children}}</ul></li>')
+      TemplateManager.registerPartial('row', '<tr>registered</tr>')
+      document.body.innerHTML = '<xmp data-blapy-partial="row"><tr><td>{{name}}</td></tr></xmp>'
+
+      await templateManager._loadPagePartials()
+      document.body.innerHTML = ''
+      const tree = [{ name: 'root', children: [{ name: 'leaf' }] }]
+
+      expect(templateManager._generateHtml(tree, { content: '<ul>{{> node}}</ul>' }, container)).toBe('<ul>tree</ul>')
+      expect(global.Mustache.render).toHaveBeenCalledWith('{{#.}}<ul>{{> node}}</ul>{{/.}}', tree, {
+        node: '<li>{{name}}<ul>{{#children}}{{> node}}{{/children}}</ul></li>',
+        row: '<tr><td>{{name}}</td></tr>'
+      })
+      expect(() => TemplateManager.registerPartial('wrong', null)).toThrow('The partial "wrong" must be a string')
+    })
+
+    it('should load a partial of the page from its template file once', async () => {
+      document.body.innerHTML = '<xmp data-blapy-partial="card" data-blapy-template-file="card.html"></xmp>'
+      mockAjaxService.get.mockResolvedValue('<div class="card">{{title}}</div>')
+
+      await templateManager._loadPagePartials()
+      await templateManager._loadPagePartials()
+
+      expect(mockAjaxService.get).toHaveBeenCalledTimes(1)
+      expect(templateManager._getPartials().card).toBe('<div class="card">{{title}}</div>')
+    })
   })
 
   describe('_prepareTemplateContent', () => {
@@ -759,6 +1005,33 @@ describe('TemplateManager', () => {
       expect(scripts[0].src).toContain('test.js')
     })
 
+    it('should sanitize the rendered html of a block with data-blapy-sanitize', () => {
+      const sanitizer = { sanitize: vi.fn(() => '<p>clean</p>') }
+      container.setAttribute('data-blapy-sanitize', 'basic')
+
+      templateManager._injectFinalHtml('<p onclick="go()">clean</p>', container, { ...mockBlapy, sanitizer }, template)
+
+      expect(sanitizer.sanitize).toHaveBeenCalledWith('<p onclick="go()">clean</p>', 'basic', container)
+      expect(container.innerHTML).toBe('<p>clean</p>')
+    })
+
+    it('should remove the scripts in CSP mode unless the block allows them', () => {
+      const cspManager = new TemplateManager(mockLogger, mockAjaxService, mockUtils, { csp: { nonce: 'n0nce' } })
+      const htmlWithScript = '<div>Content</div><script>console.log("test")</script>'
+
+      cspManager._injectFinalHtml(htmlWithScript, container, mockBlapy, template)
+
+      expect(container.querySelectorAll('script')).toHaveLength(0)
+      expect(mockUtils.toHTML).toHaveBeenCalledWith(htmlWithScript)
+
+      container.setAttribute('data-blapy-scripts', 'true')
+      cspManager._injectFinalHtml(htmlWithScript, container, mockBlapy, template)
+
+      const scripts = container.querySelectorAll('script')
+      expect(scripts).toHaveLength(1)
+      expect(scripts[0].nonce).toBe('n0nce')
+    })
+
     it('should include template list in final HTML', () => {
       const template1 = document.createElement('xmp')
       template1.setAttribute('data-blapy-container-tpl', 'true')
@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { TemplateStorage } from '../../src/core/TemplateStorage.js'
+import { Logger } from '../../src/core/Logger.js'
+
+describe('TemplateStorage', () => {
+  let storage
+
+  beforeEach(() => {
+    storage = new TemplateStorage(new Logger(), { storage: 'local' })
+  })
+
+  afterEach(() => {
+    localStorage.clear()
+  })
+
+  it('should persist the template files with their version', async () => {
+    await storage.set('users.html', { content: '<li>{{name}}</li>', version: '2', etag: null })
+
+    const otherPageStorage = new TemplateStorage(new Logger(), { storage: 'local' })
+    expect(await otherPageStorage.get('users.html')).toMatchObject({ content: '<li>{{name}}</li>', version: '2', etag: null })
+    expect(localStorage.getItem('blapy2-templates:users.html')).not.toBeNull()
+  })
+
+  it('should remove one template file or all of them', async () => {
+    localStorage.setItem('other-key', 'kept')
+    await storage.set('users.html', { content: 'a', version: '1' })
+    await storage.set('orders.html', { content: 'b', version: '1' })
+
+    await storage.delete('users.html')
+    expect(await storage.get('users.html')).toBeNull()
+    expect(await storage.get('orders.html')).not.toBeNull()
+
+    await storage.delete()
+    expect(await storage.get('orders.html')).toBeNull()
+    expect(localStorage.getItem('other-key')).toBe('kept')
+  })
+
+  it('should keep nothing without a storage', async () => {
+    const memoryStorage = new TemplateStorage(new Logger())
+
+    await memoryStorage.set('users.html', { content: 'a', version: '1' })
+    expect(await memoryStorage.get('users.html')).toBeNull()
+  })
+})
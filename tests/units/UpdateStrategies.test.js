@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import { defaultUpdateStrategies } from '../../src/core/UpdateStrategies.js'
+import { Blapy } from '../../src/core/Blapy2.js'
+import { Utils } from '../../src/core/Utils.js'
+
+describe('UpdateStrategies', () => {
+  let liveBlock
+  let ctx
+
+  function incoming(html) {
+    const wrapper = document.createElement('div')
+    wrapper.innerHTML = html
+    return wrapper.firstElementChild
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="app">
+        <div id="list" data-blapy-container="true" data-blapy-container-name="list" data-blapy-container-content="v1"><p>a</p></div>
+      </div>`
+    liveBlock = document.getElementById('list')
+    ctx = { blapy: { opts: {}, utils: new Utils() }, params: {}, local: false, changed: true, jsonFeatures: JSON }
+  })
+
+  it('should replace the block only when its content changed', () => {
+    const block = incoming('<div id="list" data-blapy-container-content="v2"><p>b</p></div>')
+
+    expect(defaultUpdateStrategies.update(liveBlock, block, { ...ctx, changed: false })).toBeUndefined()
+    expect(document.getElementById('list').textContent).toBe('a')
+
+    expect(defaultUpdateStrategies.update(liveBlock, block, ctx)).toBe(block)
+    expect(document.getElementById('list').getAttribute('data-blapy-container-content')).toBe('v2')
+  })
+
+  it('should append the incoming content in the inner content on a local rule', () => {
+    defaultUpdateStrategies.append(liveBlock, incoming('<div id="list"><p>b</p></div>'), { ...ctx, local: true })
+
+    expect(document.getElementById('list').innerHTML).toBe('<p>a</p><p>b</p>')
+    expect(document.getElementById('list').getAttribute('data-blapy-container-content')).toBe('v1')
+  })
+
+  it('should remove the block and give its parent', () => {
+    expect(defaultUpdateStrategies.remove(liveBlock)).toBe(document.getElementById('app'))
+    expect(document.getElementById('list')).toBeNull()
+  })
+
+  it('should call the custom change only when the content changed', () => {
+    ctx.blapy.opts.doCustomChange = vi.fn()
+    const block = incoming('<div id="list"><p>b</p></div>')
+
+    defaultUpdateStrategies.custom(liveBlock, block, { ...ctx, changed: false })
+    defaultUpdateStrategies.custom(liveBlock, block, ctx)
+
+    expect(ctx.blapy.opts.doCustomChange).toHaveBeenCalledTimes(1)
+    expect(ctx.blapy.opts.doCustomChange).toHaveBeenCalledWith(liveBlock, block)
+  })
+
+  it('should not update a json-append block whose received data cannot be read', async () => {
+    ctx.blapy.logger = { warn: vi.fn(), error: vi.fn() }
+    ctx.blapy.templateManager = { processJsonUpdate: vi.fn() }
+
+    const result = await defaultUpdateStrategies['json-append'](liveBlock, incoming('<div id="list">{not json</div>'), ctx)
+
+    expect(result).toBe(false)
+    expect(ctx.blapy.logger.error).toHaveBeenCalledWith('Failed to decode/parse new JSON data', 'json-append')
+    expect(ctx.blapy.templateManager.processJsonUpdate).not.toHaveBeenCalled()
+  })
+
+  it('should register strategies and let them override the built-in ones', () => {
+    const fade = vi.fn()
+    Blapy.registerUpdateStrategy('fade', fade)
+
+    expect(Blapy.getUpdateStrategy('fade')).toBe(fade)
+    expect(Blapy.getUpdateStrategy('update')).toBe(defaultUpdateStrategies.update)
+    expect(Blapy.getUpdateStrategy('unknown')).toBeNull()
+    expect(() => Blapy.registerUpdateStrategy('bad', 'fade')).toThrow()
+
+    Blapy.registerUpdateStrategy('update', fade)
+    expect(Blapy.getUpdateStrategy('update')).toBe(fade)
+    Blapy.registerUpdateStrategy('update', defaultUpdateStrategies.update)
+  })
+})
@@ -12,3 +12,17 @@ test('Decode SGVsbG8gd29ybGQh', () => {
     const decoded = utils.atou("SGVsbG8gd29ybGQh");
     expect(decoded).toBe('Hello world!');
 });
+
+test('Create the HTML through the Trusted Types policy', () => {
+    const cspUtils = new Utils();
+    expect(cspUtils.toHTML('<b>Hello</b>')).toBe('<b>Hello</b>');
+
+    cspUtils.setTrustedTypesPolicy({ createHTML: html => html.replace(/<script.*?<\/script>/g, '') });
+    expect(cspUtils.toHTML('<b>Hello</b><script>alert(1)</script>')).toBe('<b>Hello</b>');
+});
+
+test('Parse HTML without running its scripts', () => {
+    const nodes = utils.parseHTML('<p>a</p><script>window.parsed = true</script>text');
+    expect(nodes.map(node => node.nodeName)).toEqual(['P', 'SCRIPT', '#text']);
+    expect(window.parsed).toBeUndefined();
+});